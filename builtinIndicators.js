@@ -0,0 +1,159 @@
+const {
+    StreamingADX,
+    StreamingStochastic,
+    StreamingWilliamsR,
+    StreamingCCI,
+    StreamingVWAP
+} = require('./streamingIndicators');
+
+// Встроенные плагины индикаторов (формат плагина описан в indicatorRegistry.js).
+// Параметры по умолчанию переопределяются секциями config.technicalAnalysis.<имя>.
+
+// ADX: сила тренда и направление по +DI/-DI, во флэте снижает вес краткосрочного тренда
+const adx = {
+    name: 'adx',
+    inputs: ['high', 'low', 'close'],
+    params: { period: 14, trendThreshold: 25, rangeTrendFactor: 0.5 },
+    warmup: params => params.period * 2,
+    create: params => new StreamingADX(params.period),
+    vote(value, params) {
+        if (!value || value.adx === null) return null;
+
+        const trending = value.adx >= params.trendThreshold;
+        const direction = value.pdi > value.mdi ? 'bullish' : 'bearish';
+        return {
+            signal: trending ? direction : 'neutral',
+            strength: trending ? Math.min(value.adx / 50, 1.5) : 0,
+            confidence: trending ? Math.min(value.adx / 2, 25) : 0,
+            trendFactor: trending ? 1.0 : params.rangeTrendFactor,
+            trending,
+            adx: value.adx,
+            pdi: value.pdi,
+            mdi: value.mdi
+        };
+    },
+    describe: vote => vote.adx.toFixed(1)
+};
+
+// Stochastic: пересечение %K и %D в зоне перепроданности/перекупленности
+const stochastic = {
+    name: 'stochastic',
+    inputs: ['high', 'low', 'close'],
+    params: { period: 14, signalPeriod: 3, overbought: 80, oversold: 20 },
+    warmup: params => params.period + params.signalPeriod - 1,
+    create: params => new StreamingStochastic(params.period, params.signalPeriod),
+    vote(value, params) {
+        if (!value || value.d === null) return null;
+
+        let signal = 'neutral';
+        if (value.k <= params.oversold && value.k > value.d) signal = 'bullish';
+        else if (value.k >= params.overbought && value.k < value.d) signal = 'bearish';
+
+        return {
+            signal,
+            strength: signal === 'neutral' ? 0 : 0.8,
+            confidence: signal === 'neutral' ? 0 : 15,
+            k: value.k,
+            d: value.d
+        };
+    },
+    describe: vote => vote.k.toFixed(1)
+};
+
+// Williams %R: зоны перепроданности/перекупленности
+const williamsR = {
+    name: 'williamsR',
+    inputs: ['high', 'low', 'close'],
+    params: { period: 14, overbought: -20, oversold: -80 },
+    warmup: params => params.period,
+    create: params => new StreamingWilliamsR(params.period),
+    vote(value, params) {
+        if (value === null) return null;
+
+        let signal = 'neutral';
+        if (value <= params.oversold) signal = 'bullish';
+        else if (value >= params.overbought) signal = 'bearish';
+
+        return {
+            signal,
+            strength: signal === 'neutral' ? 0 : 0.6,
+            confidence: signal === 'neutral' ? 0 : 10,
+            value
+        };
+    },
+    describe: vote => vote.value.toFixed(1)
+};
+
+// CCI: экстремальные отклонения (ожидание возврата к средней)
+const cci = {
+    name: 'cci',
+    inputs: ['high', 'low', 'close'],
+    params: { period: 20, extreme: 100, strongExtreme: 200 },
+    warmup: params => params.period,
+    create: params => new StreamingCCI(params.period),
+    vote(value, params) {
+        if (value === null) return null;
+
+        const strong = Math.abs(value) >= params.strongExtreme;
+        let signal = 'neutral';
+        if (value <= -params.extreme) signal = 'bullish';
+        else if (value >= params.extreme) signal = 'bearish';
+
+        return {
+            signal,
+            strength: signal === 'neutral' ? 0 : strong ? 1.0 : 0.7,
+            confidence: signal === 'neutral' ? 0 : strong ? 20 : 12,
+            value
+        };
+    },
+    describe: vote => vote.value.toFixed(1)
+};
+
+// VWAP: цена выше VWAP - бычий уклон, ниже - медвежий; за крайней полосой - перерастяжение
+const vwap = {
+    name: 'vwap',
+    inputs: ['timestamp', 'high', 'low', 'close', 'volume'],
+    params: { sessionStartHour: 0, bands: [1, 2] },
+    warmup: () => 1,
+    create: params => new StreamingVWAP(params.sessionStartHour, ...params.bands),
+    vote(value, params, context) {
+        if (!value || !context.currentPrice) return null;
+
+        const price = context.currentPrice;
+        const outer = value.bands[value.bands.length - 1];
+        let signal = 'neutral';
+        let strength = 0;
+        let position = 'at_vwap';
+
+        if (outer && value.deviation > 0 && price > outer.upper) {
+            signal = 'bearish';
+            strength = 0.5;
+            position = 'above_bands';
+        } else if (outer && value.deviation > 0 && price < outer.lower) {
+            signal = 'bullish';
+            strength = 0.5;
+            position = 'below_bands';
+        } else if (price > value.vwap) {
+            signal = 'bullish';
+            strength = 0.6;
+            position = 'above_vwap';
+        } else if (price < value.vwap) {
+            signal = 'bearish';
+            strength = 0.6;
+            position = 'below_vwap';
+        }
+
+        return {
+            signal,
+            strength,
+            confidence: signal === 'neutral' ? 0 : 10,
+            position,
+            vwap: value.vwap,
+            deviation: value.deviation,
+            bands: value.bands
+        };
+    },
+    describe: vote => vote.position
+};
+
+module.exports = [adx, stochastic, williamsR, cci, vwap];
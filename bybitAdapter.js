@@ -0,0 +1,462 @@
+const ExchangeAdapter = require('./exchangeAdapter');
+const BybitRestApi = require('./bybitRestApi');
+const BybitWebSocket = require('./bybitWebSocket');
+const TimeSync = require('./timeSync');
+const PaperBroker = require('./paperBroker');
+const Environment = require('./environment');
+const CandleStore = require('./candleStore');
+
+// Адаптер Bybit: REST API для торговли, WebSocket для kline данных
+class BybitAdapter extends ExchangeAdapter {
+    constructor(config) {
+        super('bybit');
+        this.config = config;
+        this.category = config.trading?.category || 'linear';
+
+        // Окружение (demo / testnet / mainnet): хосты и ключи
+        this.environment = new Environment(config);
+
+        // REST API для торговых операций
+        this.api = new BybitRestApi({
+            apiKey: this.environment.apiKey,
+            apiSecret: this.environment.apiSecret,
+            testnet: this.environment.testnet,
+            baseUrl: this.environment.restUrl,
+            trading: config.trading,
+            rateLimit: config.rateLimit,
+            recvWindow: config.timeSync.recvWindow
+        });
+
+        // Синхронизация времени с сервером для подписи запросов
+        this.timeSync = new TimeSync(this.api, config.timeSync);
+        this.api.setTimeSync(this.timeSync);
+
+        // Торговые операции: демо REST API или локальный бумажный брокер
+        // (рыночные данные в обоих случаях берутся из публичного API Bybit)
+        this.paper = config.paper?.enabled
+            ? new PaperBroker(config.paper, symbol => this.api.getCurrentPrice(symbol))
+            : null;
+        this.trader = this.paper || this.api;
+
+        // WebSocket для получения kline данных и событий аккаунта
+        this.ws = null;
+        this.accountHandler = null;
+        this.klineHandler = null;
+        this.klineSymbols = [];
+        this.klineInterval = null;
+    }
+
+    // Подключение: проверка ключей, API и синхронизация часов
+    async connect() {
+        // В бумажном режиме ключи не нужны - используются только публичные данные
+        this.environment.validate({ trading: !this.paper });
+        console.log(`🌐 Окружение Bybit: ${this.environment.name} (${this.environment.restUrl})${this.paper ? ', бумажная торговля' : ''}`);
+
+        const apiStatus = await this.api.checkApiStatus();
+        if (!apiStatus) {
+            throw new Error('API недоступен');
+        }
+
+        await this.timeSync.sync();
+        this.timeSync.startAutoSync();
+    }
+
+    // Отключение
+    async close() {
+        this.timeSync.stopAutoSync();
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+
+    setInstrumentRegistry(registry) {
+        super.setInstrumentRegistry(registry);
+        this.api.setInstrumentRegistry(registry);
+        if (this.paper) {
+            this.paper.setInstrumentRegistry(registry);
+        }
+    }
+
+    // ==================== АККАУНТ ====================
+
+    async getBalance(coin = 'USDT') {
+        const response = await this.trader.getWalletBalance();
+        if (response.retCode !== 0 || response.result.list.length === 0) {
+            return null;
+        }
+
+        const account = response.result.list.find(item => item.accountType === 'UNIFIED') || response.result.list[0];
+        return this.normalizeBalance(account, coin);
+    }
+
+    async getPositions(symbol = null) {
+        const response = await this.trader.getPositions(this.category, symbol);
+        this.assertSuccess(response, 'получения позиций');
+
+        return response.result.list
+            .filter(item => parseFloat(item.size) > 0)
+            .map(item => this.normalizePosition(item));
+    }
+
+    async getActiveOrders(symbol = null) {
+        const response = await this.trader.getActiveOrders(this.category, symbol);
+        this.assertSuccess(response, 'получения ордеров');
+
+        return response.result.list.map(item => this.normalizeOrder(item));
+    }
+
+    // ==================== ОРДЕРА ====================
+
+    async placeOrder({ symbol, side, qty, orderType = 'Market', price = null, takeProfit = null, stopLoss = null }) {
+        let response;
+        if (takeProfit && stopLoss) {
+            response = await this.trader.placeOrderWithTPSL(symbol, side, qty, price, takeProfit, stopLoss, orderType);
+        } else if (orderType === 'Limit') {
+            response = await this.trader.placeLimitOrder(symbol, side, qty, price);
+        } else {
+            response = await this.trader.placeMarketOrder(symbol, side, qty);
+        }
+
+        return this.normalizeResult(response);
+    }
+
+    async cancelOrder(symbol, orderId) {
+        return this.normalizeResult(await this.trader.cancelOrder(symbol, orderId));
+    }
+
+    async setTradingStop(symbol, { takeProfit = null, stopLoss = null } = {}) {
+        return this.normalizeResult(await this.trader.setTradingStop(symbol, takeProfit, stopLoss));
+    }
+
+    async closePosition(symbol, side, qty) {
+        return this.normalizeResult(await this.trader.closePosition(symbol, side, qty));
+    }
+
+    // ==================== РЫНОЧНЫЕ ДАННЫЕ ====================
+
+    async getKlines(symbol, interval, limit = 200, { start = null, end = null } = {}) {
+        const list = await this.api.getKlineData(symbol, interval, limit, start, end);
+
+        // Bybit возвращает свечи от новых к старым; свеча завершена, если ее интервал уже закончился
+        const now = this.timeSync.now();
+        return list
+            .map(item => ({
+                start: parseInt(item[0]),
+                open: parseFloat(item[1]),
+                high: parseFloat(item[2]),
+                low: parseFloat(item[3]),
+                close: parseFloat(item[4]),
+                volume: parseFloat(item[5]),
+                confirmed: CandleStore.nextStart(interval, parseInt(item[0])) <= now
+            }))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    async getInstruments() {
+        const instruments = [];
+        let cursor = null;
+
+        do {
+            const response = await this.api.getInstrumentInfo(this.category, null, 1000, cursor);
+            this.assertSuccess(response, 'загрузки инструментов');
+
+            for (const item of response.result.list) {
+                instruments.push(this.normalizeInstrument(item));
+            }
+
+            cursor = response.result.nextPageCursor || null;
+        } while (cursor);
+
+        return instruments;
+    }
+
+    async getServerTime() {
+        return await this.api.getServerTime();
+    }
+
+    // ==================== ПОТОКИ ДАННЫХ ====================
+
+    async subscribeKlines(symbols, interval, handler) {
+        this.klineSymbols = symbols;
+        this.klineInterval = interval;
+        this.klineHandler = handler;
+
+        if (!this.ws) {
+            this.ws = this.createWebSocket();
+        }
+        if (!this.ws.publicWs) {
+            await this.ws.connectPublic();
+        }
+
+        this.ws.subscribeMultipleKlines(symbols, interval);
+    }
+
+    async subscribeAccount(handler) {
+        this.accountHandler = handler;
+
+        // Бумажный брокер публикует события сам (асинхронно, как приватный WebSocket)
+        if (this.paper) {
+            this.paper.onPrivateData = (message) => setImmediate(() => this.handlePrivateMessage(message));
+            return true;
+        }
+
+        if (!this.isPrivateStreamEnabled()) {
+            return false;
+        }
+
+        if (!this.ws) {
+            this.ws = this.createWebSocket();
+        }
+        await this.ws.connectPrivate(this.environment.apiKey, this.environment.apiSecret);
+        return true;
+    }
+
+    // Приватный поток нужен только при реальной торговле через API
+    isPrivateStreamEnabled() {
+        return !this.paper && this.config.websocket?.privateStream !== false;
+    }
+
+    async reconnectStreams() {
+        // Закрываем старое WebSocket соединение
+        if (this.ws) {
+            this.ws.close();
+        }
+
+        // Небольшая пауза для полного закрытия
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+        // Создаем новое соединение и восстанавливаем подписки
+        this.ws = this.createWebSocket();
+        await this.ws.connectPublic();
+        if (this.klineSymbols.length > 0) {
+            this.ws.subscribeMultipleKlines(this.klineSymbols, this.klineInterval);
+        }
+        if (this.accountHandler && this.isPrivateStreamEnabled()) {
+            await this.ws.connectPrivate(this.environment.apiKey, this.environment.apiSecret);
+        }
+    }
+
+    // Создание WebSocket с обработчиком нормализованных свечей
+    createWebSocket() {
+        const ws = new BybitWebSocket({
+            ...this.config.websocket,
+            testnet: this.environment.testnet,
+            url: this.environment.wsUrl,
+            privateUrl: this.environment.privateWsUrl
+        });
+        ws.setTimeSync(this.timeSync);
+        ws.onKlineData = (message) => this.handleKlineMessage(message);
+        ws.onPrivateData = (message) => this.handlePrivateMessage(message);
+        return ws;
+    }
+
+    // Разбор kline сообщения: topic "kline.1.BTCUSDT"
+    handleKlineMessage(message) {
+        if (!this.klineHandler || !message.topic || !Array.isArray(message.data)) {
+            return;
+        }
+
+        const topicParts = message.topic.split('.');
+        if (topicParts.length < 3) {
+            console.warn('⚠️ Не удалось определить символ для kline данных:', message.topic);
+            return;
+        }
+
+        const interval = topicParts[1];
+        const symbol = topicParts[2];
+        for (const kline of message.data) {
+            const candle = {
+                start: parseInt(kline.start),
+                open: parseFloat(kline.open),
+                high: parseFloat(kline.high),
+                low: parseFloat(kline.low),
+                close: parseFloat(kline.close),
+                volume: parseFloat(kline.volume),
+                confirmed: kline.confirm === true
+            };
+
+            // Бумажный брокер исполняет ордера и TP/SL по живым ценам
+            if (this.paper) {
+                this.paper.onCandle(symbol, candle);
+            }
+
+            this.klineHandler(symbol, interval, candle);
+        }
+    }
+
+    // Разбор приватного сообщения: topic "order" | "execution" | "position" | "wallet"
+    handlePrivateMessage(message) {
+        if (!this.accountHandler || !message.topic || !Array.isArray(message.data)) {
+            return;
+        }
+
+        const type = message.topic.split('.')[0];
+        for (const item of message.data) {
+            if (item.category && item.category !== this.category) continue;
+
+            let data = null;
+            if (type === 'order') {
+                data = this.normalizeOrder(item);
+            } else if (type === 'execution') {
+                // Фандинг и прочие начисления не являются исполнениями ордеров
+                if (item.execType && !['Trade', 'BustTrade'].includes(item.execType)) continue;
+                data = this.normalizeExecution(item);
+            } else if (type === 'position') {
+                data = this.normalizePosition(item);
+            } else if (type === 'wallet') {
+                data = this.normalizeBalance(item, 'USDT');
+            }
+
+            if (data) {
+                this.accountHandler({ type, data });
+            }
+        }
+    }
+
+    getStreamStatus() {
+        if (!this.ws) {
+            return { isConnected: false, timeSinceLastData: 0, subscribedSymbols: 0 };
+        }
+        return this.ws.getConnectionStatus();
+    }
+
+    getClockStatus() {
+        return this.timeSync.getStatus();
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            environment: this.environment.getStatus(),
+            requests: this.api.scheduler.getStatus(),
+            paper: this.paper ? this.paper.getSummary() : null
+        };
+    }
+
+    // ==================== НОРМАЛИЗАЦИЯ ====================
+
+    assertSuccess(response, action) {
+        if (response.retCode !== 0) {
+            throw new Error(`Ошибка ${action}: ${response.retMsg} (${response.retCode})`);
+        }
+    }
+
+    normalizeResult(response) {
+        return {
+            success: response.retCode === 0,
+            orderId: response.result?.orderId || null,
+            code: response.retCode,
+            message: response.retMsg
+        };
+    }
+
+    normalizeBalance(account, coin) {
+        const coinData = (account.coin || []).find(item => item.coin === coin);
+        if (!coinData) {
+            return null;
+        }
+
+        return {
+            coin,
+            walletBalance: parseFloat(coinData.walletBalance || 0),
+            equity: parseFloat(coinData.equity || coinData.walletBalance || 0),
+            available: parseFloat(coinData.availableToWithdraw || account.totalAvailableBalance || coinData.walletBalance || 0)
+        };
+    }
+
+    normalizePosition(item) {
+        return {
+            symbol: item.symbol,
+            side: item.side,
+            size: parseFloat(item.size),
+            entryPrice: parseFloat(item.avgPrice),
+            markPrice: parseFloat(item.markPrice),
+            unrealisedPnl: parseFloat(item.unrealisedPnl || 0),
+            takeProfit: item.takeProfit ? parseFloat(item.takeProfit) || null : null,
+            stopLoss: item.stopLoss ? parseFloat(item.stopLoss) || null : null,
+            createdTime: parseInt(item.createdTime),
+            updatedTime: parseInt(item.updatedTime)
+        };
+    }
+
+    normalizeOrder(item) {
+        return {
+            orderId: item.orderId,
+            symbol: item.symbol,
+            side: item.side,
+            orderType: item.orderType,
+            stopOrderType: item.stopOrderType || null,
+            qty: parseFloat(item.qty),
+            price: parseFloat(item.price) || null,
+            triggerPrice: parseFloat(item.triggerPrice) || null,
+            status: item.orderStatus,
+            filledQty: parseFloat(item.cumExecQty) || 0,
+            avgPrice: parseFloat(item.avgPrice) || null,
+            reduceOnly: item.reduceOnly === true,
+            takeProfit: parseFloat(item.takeProfit) || null,
+            stopLoss: parseFloat(item.stopLoss) || null,
+            createdTime: parseInt(item.createdTime)
+        };
+    }
+
+    normalizeExecution(item) {
+        return {
+            symbol: item.symbol,
+            orderId: item.orderId,
+            side: item.side,
+            qty: parseFloat(item.execQty),
+            price: parseFloat(item.execPrice),
+            fee: parseFloat(item.execFee || 0),
+            closedSize: parseFloat(item.closedSize || 0),
+            leavesQty: parseFloat(item.leavesQty || 0),
+            closeReason: this.getCloseReason(item),
+            time: parseInt(item.execTime)
+        };
+    }
+
+    // Причина исполнения на стороне биржи (TP/SL, трейлинг, ликвидация)
+    getCloseReason(item) {
+        const type = `${item.stopOrderType || ''} ${item.createType || ''}`;
+        if (item.execType === 'BustTrade' || type.includes('Liq')) return 'liquidation';
+        if (type.includes('TakeProfit')) return 'take_profit';
+        if (type.includes('TrailingStop')) return 'trailing_stop';
+        if (type.includes('StopLoss')) return 'stop_loss';
+        return null;
+    }
+
+    normalizeInstrument(item) {
+        const lot = item.lotSizeFilter || {};
+        const price = item.priceFilter || {};
+        const leverage = item.leverageFilter || {};
+        const qtyStep = lot.qtyStep || lot.basePrecision || '0.001';
+        const tickSize = price.tickSize || '0.0001';
+
+        return {
+            symbol: item.symbol,
+            status: item.status,
+            minOrderQty: parseFloat(lot.minOrderQty || qtyStep),
+            maxOrderQty: parseFloat(lot.maxOrderQty || lot.maxMktOrderQty || Infinity),
+            maxMktOrderQty: parseFloat(lot.maxMktOrderQty || lot.maxOrderQty || Infinity),
+            qtyStep: parseFloat(qtyStep),
+            qtyDecimals: this.countDecimals(qtyStep),
+            tickSize: parseFloat(tickSize),
+            priceDecimals: this.countDecimals(tickSize),
+            minPrice: parseFloat(price.minPrice || 0),
+            maxPrice: parseFloat(price.maxPrice || Infinity),
+            minNotionalValue: parseFloat(lot.minNotionalValue || 0),
+            maxLeverage: parseFloat(leverage.maxLeverage || 1)
+        };
+    }
+
+    // Количество знаков после запятой для шага ("0.001" -> 3)
+    countDecimals(step) {
+        const value = step.toString();
+        if (value.includes('e-')) {
+            return parseInt(value.split('e-')[1]);
+        }
+        const fraction = value.split('.')[1];
+        return fraction ? fraction.replace(/0+$/, '').length : 0;
+    }
+}
+
+module.exports = BybitAdapter;
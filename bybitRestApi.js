@@ -1,15 +1,23 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const RequestScheduler = require('./requestScheduler');
 
 class BybitRestApi {
     constructor(config) {
         this.config = config;
         this.apiKey = config.apiKey;
         this.apiSecret = config.apiSecret;
-        this.testnet = config.testnet || true;
+        this.testnet = config.testnet === true;
         
-        // Базовый URL для демо API
-        this.baseUrl = 'https://api-demo.bybit.com';
+        // Реестр инструментов (устанавливается через setInstrumentRegistry)
+        this.instruments = null;
+        
+        // Синхронизация времени с сервером (устанавливается через setTimeSync)
+        this.timeSync = null;
+        this.recvWindow = config.recvWindow || 5000;
+        
+        // Базовый URL (по умолчанию демо API, задается окружением или для mock сервера)
+        this.baseUrl = config.baseUrl || (this.testnet ? 'https://api-testnet.bybit.com' : 'https://api-demo.bybit.com');
         
         // Создание экземпляра axios с базовой конфигурацией
         this.client = axios.create({
@@ -19,6 +27,49 @@ class BybitRestApi {
                 'Content-Type': 'application/json'
             }
         });
+        
+        // Планировщик запросов с учетом лимитов Bybit и повторами
+        this.scheduler = new RequestScheduler(config.rateLimit);
+    }
+
+    // Выполнение запроса через планировщик (подпись создается заново при каждой попытке)
+    async request(method, endpoint, { query = '', body = null, signed = false } = {}) {
+        const url = query ? `${endpoint}?${query}` : endpoint;
+        const execute = () => {
+            const headers = signed
+                ? this.getAuthHeaders(method === 'GET' ? query : JSON.stringify(body))
+                : {};
+            return method === 'GET'
+                ? this.client.get(url, { headers })
+                : this.client.post(url, body, { headers });
+        };
+
+        return await this.scheduler.schedule(endpoint, execute, { idempotent: method === 'GET' });
+    }
+
+    // Установка реестра инструментов для валидации и округления ордеров
+    setInstrumentRegistry(registry) {
+        this.instruments = registry;
+    }
+
+    // Установка сервиса синхронизации времени для подписи запросов
+    setTimeSync(timeSync) {
+        this.timeSync = timeSync;
+    }
+
+    // Подготовка ордера: округление количества и валидация по параметрам инструмента
+    prepareOrderQty(symbol, qty, price = null, orderType = 'Market') {
+        if (!this.instruments) {
+            return qty;
+        }
+
+        const roundedQty = this.instruments.roundQty(symbol, parseFloat(qty));
+        const validation = this.instruments.validateOrder(symbol, roundedQty, price, orderType);
+        if (!validation.valid) {
+            throw new Error(validation.reason);
+        }
+
+        return roundedQty;
     }
 
     // Создание подписи для REST API
@@ -29,8 +80,8 @@ class BybitRestApi {
 
     // Получение заголовков для аутентификации
     getAuthHeaders(params = '') {
-        const timestamp = Date.now();
-        const recvWindow = 5000;
+        const timestamp = this.timeSync ? this.timeSync.now() : Date.now();
+        const recvWindow = this.recvWindow;
         const signature = this.createSignature(timestamp, recvWindow, params);
 
         return {
@@ -46,11 +97,7 @@ class BybitRestApi {
     async getWalletBalance(accountType = 'UNIFIED') {
         try {
             const params = `accountType=${accountType}`;
-            const headers = this.getAuthHeaders(params);
-            
-            const response = await this.client.get(`/v5/account/wallet-balance?${params}`, {
-                headers
-            });
+            const response = await this.request('GET', '/v5/account/wallet-balance', { query: params, signed: true });
 
             console.log('💰 Получен баланс кошелька:', response.data);
             return response.data;
@@ -69,11 +116,7 @@ class BybitRestApi {
                 params += `&symbol=${symbol}`;
             }
 
-            const headers = this.getAuthHeaders(params);
-            
-            const response = await this.client.get(`/v5/position/list?${params}`, {
-                headers
-            });
+            const response = await this.request('GET', '/v5/position/list', { query: params, signed: true });
 
             console.log('📈 Получены позиции:', response.data);
             return response.data;
@@ -96,11 +139,8 @@ class BybitRestApi {
                 timeInForce: timeInForce
             });
 
-            // Проверка минимальных требований
-            const minQty = this.getMinQty(symbol);
-            if (parseFloat(qty) < minQty) {
-                throw new Error(`Количество ${qty} меньше минимального ${minQty} для ${symbol}`);
-            }
+            // Округление и проверка по параметрам инструмента
+            qty = this.prepareOrderQty(symbol, qty);
 
             const orderData = {
                 category: this.config?.trading?.category || 'linear',
@@ -114,12 +154,7 @@ class BybitRestApi {
 
             console.log(`📤 Отправляем ордер:`, orderData);
 
-            const params = JSON.stringify(orderData);
-            const headers = this.getAuthHeaders(params);
-            
-            const response = await this.client.post('/v5/order/create', orderData, {
-                headers
-            });
+            const response = await this.request('POST', '/v5/order/create', { body: orderData, signed: true });
 
             console.log(`📋 Размещен рыночный ордер: ${side} ${qty} ${symbol}`, response.data);
             return response.data;
@@ -129,25 +164,6 @@ class BybitRestApi {
         }
     }
 
-    // Получение минимального количества для символа
-    getMinQty(symbol) {
-        const minQtyMap = {
-            'BTCUSDT': 0.001,   // 0.001 BTC
-            'ETHUSDT': 0.01,    // 0.01 ETH
-            'ETCUSDT': 0.02,    // 0.02 ETC
-            'XRPUSDT': 5,       // 5 XRP (целые числа)
-            'ADAUSDT': 0.1,     // 0.1 ADA
-            'DOTUSDT': 0.01,    // 0.01 DOT
-            'LINKUSDT': 0.01,   // 0.01 LINK
-            'LTCUSDT': 0.001,   // 0.001 LTC
-            'BCHUSDT': 0.001,   // 0.001 BCH
-            'EOSUSDT': 0.1,     // 0.1 EOS
-            'TRXUSDT': 1        // 1 TRX
-        };
-        
-        return minQtyMap[symbol] || 0.01;
-    }
-
     // Размещение лимитного ордера
     async placeLimitOrder(symbol, side, qty, price, timeInForce = 'GTC') {
         try {
@@ -162,12 +178,7 @@ class BybitRestApi {
                 positionIdx: 0  // 0 = one-way mode, 1 = buy side of hedge-mode, 2 = sell side of hedge-mode
             };
 
-            const params = JSON.stringify(orderData);
-            const headers = this.getAuthHeaders(params);
-            
-            const response = await this.client.post('/v5/order/create', orderData, {
-                headers
-            });
+            const response = await this.request('POST', '/v5/order/create', { body: orderData, signed: true });
 
             console.log(`📋 Размещен лимитный ордер: ${side} ${qty} ${symbol} @ ${price}`, response.data);
             return response.data;
@@ -190,6 +201,16 @@ class BybitRestApi {
                 orderType: orderType
             });
 
+            // Округление количества и цен TP/SL по параметрам инструмента
+            qty = this.prepareOrderQty(symbol, qty, price, orderType);
+            if (this.instruments) {
+                takeProfit = this.instruments.roundPrice(symbol, takeProfit);
+                stopLoss = this.instruments.roundPrice(symbol, stopLoss);
+                if (orderType === 'Limit') {
+                    price = this.instruments.roundPrice(symbol, price);
+                }
+            }
+
             const orderData = {
                 category: this.config?.trading?.category || 'linear',
                 symbol: symbol,
@@ -212,12 +233,7 @@ class BybitRestApi {
 
             console.log(`📤 Отправляем ордер с TP/SL:`, orderData);
 
-            const params = JSON.stringify(orderData);
-            const headers = this.getAuthHeaders(params);
-            
-            const response = await this.client.post('/v5/order/create', orderData, {
-                headers
-            });
+            const response = await this.request('POST', '/v5/order/create', { body: orderData, signed: true });
 
             console.log(`📋 Размещен ордер с TP/SL: ${side} ${qty} ${symbol}`, response.data);
             return response.data;
@@ -240,12 +256,7 @@ class BybitRestApi {
                 positionIdx: 0
             };
 
-            const params = JSON.stringify(orderData);
-            const headers = this.getAuthHeaders(params);
-            
-            const response = await this.client.post('/v5/order/create', orderData, {
-                headers
-            });
+            const response = await this.request('POST', '/v5/order/create', { body: orderData, signed: true });
 
             console.log(`📋 Размещен стоп-ордер: ${side} ${qty} ${symbol} @ ${stopPrice}`, response.data);
             return response.data;
@@ -264,12 +275,7 @@ class BybitRestApi {
                 orderId: orderId
             };
 
-            const params = JSON.stringify(cancelData);
-            const headers = this.getAuthHeaders(params);
-            
-            const response = await this.client.post('/v5/order/cancel', cancelData, {
-                headers
-            });
+            const response = await this.request('POST', '/v5/order/cancel', { body: cancelData, signed: true });
 
             console.log(`❌ Отменен ордер: ${orderId} для ${symbol}`, response.data);
             return response.data;
@@ -279,6 +285,29 @@ class BybitRestApi {
         }
     }
 
+    // Установка TP/SL для открытой позиции
+    async setTradingStop(symbol, takeProfit = null, stopLoss = null) {
+        try {
+            const round = (price) => this.instruments ? this.instruments.roundPrice(symbol, price) : price;
+            const stopData = {
+                category: this.config?.trading?.category || 'linear',
+                symbol: symbol,
+                tpslMode: 'Full',
+                positionIdx: 0
+            };
+            if (takeProfit) stopData.takeProfit = round(takeProfit).toString();
+            if (stopLoss) stopData.stopLoss = round(stopLoss).toString();
+
+            const response = await this.request('POST', '/v5/position/trading-stop', { body: stopData, signed: true });
+
+            console.log(`🎯 Установлены TP/SL для ${symbol}: TP ${stopData.takeProfit || '-'}, SL ${stopData.stopLoss || '-'}`, response.data);
+            return response.data;
+        } catch (error) {
+            console.error('❌ Ошибка установки TP/SL:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
     // Получение активных ордеров
     async getActiveOrders(category = null, symbol = null) {
         try {
@@ -288,11 +317,7 @@ class BybitRestApi {
                 params += `&symbol=${symbol}`;
             }
 
-            const headers = this.getAuthHeaders(params);
-            
-            const response = await this.client.get(`/v5/order/realtime?${params}`, {
-                headers
-            });
+            const response = await this.request('GET', '/v5/order/realtime', { query: params, signed: true });
 
             console.log('📋 Получены активные ордера:', response.data);
             return response.data;
@@ -311,11 +336,7 @@ class BybitRestApi {
                 params += `&symbol=${symbol}`;
             }
 
-            const headers = this.getAuthHeaders(params);
-            
-            const response = await this.client.get(`/v5/order/history?${params}`, {
-                headers
-            });
+            const response = await this.request('GET', '/v5/order/history', { query: params, signed: true });
 
             console.log('📋 Получена история ордеров:', response.data);
             return response.data;
@@ -334,11 +355,7 @@ class BybitRestApi {
                 params += `&symbol=${symbol}`;
             }
 
-            const headers = this.getAuthHeaders(params);
-            
-            const response = await this.client.get(`/v5/execution/list?${params}`, {
-                headers
-            });
+            const response = await this.request('GET', '/v5/execution/list', { query: params, signed: true });
 
             console.log('⚡ Получена история исполнений:', response.data);
             return response.data;
@@ -349,17 +366,23 @@ class BybitRestApi {
     }
 
     // Получение информации об инструменте
-    async getInstrumentInfo(category = null, symbol = null) {
+    async getInstrumentInfo(category = null, symbol = null, limit = null, cursor = null) {
         try {
             const cat = category || this.config?.trading?.category || 'linear';
             let params = `category=${cat}`;
             if (symbol) {
                 params += `&symbol=${symbol}`;
             }
+            if (limit) {
+                params += `&limit=${limit}`;
+            }
+            if (cursor) {
+                params += `&cursor=${encodeURIComponent(cursor)}`;
+            }
 
-            const response = await this.client.get(`/v5/market/instruments-info?${params}`);
+            const response = await this.request('GET', '/v5/market/instruments-info', { query: params });
 
-            console.log('📊 Получена информация об инструменте:', response.data);
+            console.log(`📊 Получена информация об инструментах: ${response.data.result?.list?.length || 0}`);
             return response.data;
         } catch (error) {
             console.error('❌ Ошибка получения информации об инструменте:', error.response?.data || error.message);
@@ -371,7 +394,7 @@ class BybitRestApi {
     async getCurrentPrice(symbol) {
         try {
             const category = this.config?.trading?.category || 'linear';
-            const response = await this.client.get(`/v5/market/tickers?category=${category}&symbol=${symbol}`);
+            const response = await this.request('GET', '/v5/market/tickers', { query: `category=${category}&symbol=${symbol}` });
             
             if (response.data.retCode === 0 && response.data.result.list.length > 0) {
                 const price = parseFloat(response.data.result.list[0].lastPrice);
@@ -387,10 +410,13 @@ class BybitRestApi {
     }
 
     // Получение исторических данных kline
-    async getKlineData(symbol, interval = '1', limit = 200) {
+    async getKlineData(symbol, interval = '1', limit = 200, start = null, end = null) {
         try {
             const category = this.config?.trading?.category || 'linear';
-            const response = await this.client.get(`/v5/market/kline?category=${category}&symbol=${symbol}&interval=${interval}&limit=${limit}`);
+            let query = `category=${category}&symbol=${symbol}&interval=${interval}&limit=${limit}`;
+            if (start) query += `&start=${start}`;
+            if (end) query += `&end=${end}`;
+            const response = await this.request('GET', '/v5/market/kline', { query });
             
             if (response.data.retCode === 0) {
                 console.log(`📊 Получены kline данные для ${symbol}: ${response.data.result.list.length} свечей`);
@@ -415,10 +441,22 @@ class BybitRestApi {
         }
     }
 
+    // Получение серверного времени (мс).
+    // Запрос идет мимо очереди планировщика: ожидание в очереди исказило бы время ответа и смещение часов
+    async getServerTime() {
+        const response = await this.client.get('/v5/market/time');
+        if (response.data.retCode !== 0) {
+            throw new Error(`Не удалось получить серверное время: ${response.data.retMsg}`);
+        }
+
+        const timeNano = response.data.result?.timeNano;
+        return timeNano ? Math.floor(parseInt(timeNano.slice(0, -3)) / 1000) : response.data.time;
+    }
+
     // Проверка статуса API
     async checkApiStatus() {
         try {
-            const response = await this.client.get('/v5/market/time');
+            const response = await this.request('GET', '/v5/market/time');
             console.log('✅ API статус:', response.data);
             return response.data.retCode === 0;
         } catch (error) {
@@ -4,11 +4,30 @@ const axios = require('axios');
 
 class BybitWebSocket {
     constructor(config) {
-        this.testnet = config.testnet || false;
+        this.testnet = config.testnet === true;
         
         // Настройка URL для получения kline данных (только публичный канал)
-        // Для получения реальных данных используем mainnet
-        this.baseUrl = 'wss://stream.bybit.com/v5/public/linear';
+        // URL задается окружением, по умолчанию - mainnet (или testnet по флагу)
+        this.baseUrl = config.url || (this.testnet
+            ? 'wss://stream-testnet.bybit.com/v5/public/linear'
+            : 'wss://stream.bybit.com/v5/public/linear');
+        
+        // Приватный канал (ордера, исполнения, позиции, кошелек) - требует API ключей
+        this.privateUrl = config.privateUrl || (this.testnet
+            ? 'wss://stream-testnet.bybit.com/v5/private'
+            : 'wss://stream.bybit.com/v5/private');
+        this.privateTopics = config.privateTopics || ['order', 'execution', 'position', 'wallet'];
+        this.privateWs = null;
+        this.privateCredentials = null;
+        this.isPrivateConnected = false;
+        this.isAuthenticated = false;
+        this.privateReconnectAttempts = 0;
+        this.lastPrivateDataReceived = null;
+        this.privatePingInterval = null;
+        this.timeSync = null; // Синхронизация времени с сервером для подписи аутентификации (setTimeSync)
+        this.pingIntervalMs = config.pingInterval || 20000; // Bybit закрывает приватный канал без ping
+        this.isClosing = false;
+        this.publicReconnectTimer = null;
        
         
         this.publicWs = null;
@@ -23,7 +42,7 @@ class BybitWebSocket {
         
         // Настройки мониторинга соединения
         this.dataTimeout = 300000; // 5 минут без данных = проблема
-        this.connectionCheckInterval = 60000; // Проверка каждую минуту
+        this.connectionCheckIntervalMs = 60000; // Проверка каждую минуту
     }
 
     // Подключение к публичному каналу для получения kline данных
@@ -35,10 +54,13 @@ class BybitWebSocket {
                 return;
             }
 
+            this.isClosing = false;
             console.log(`🔄 Подключение к WebSocket: ${this.baseUrl}`);
-            this.publicWs = new WebSocket(this.baseUrl);
+            const ws = new WebSocket(this.baseUrl);
+            this.publicWs = ws;
             
-            this.publicWs.on('open', () => {
+            ws.on('open', () => {
+                clearTimeout(timeout);
                 console.log('✅ Подключение к публичному каналу Bybit установлено');
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
@@ -50,7 +72,7 @@ class BybitWebSocket {
                 resolve();
             });
 
-            this.publicWs.on('message', (data) => {
+            ws.on('message', (data) => {
                 try {
                     this.lastDataReceived = Date.now(); // Обновляем время получения данных
                     const message = JSON.parse(data.toString());
@@ -60,24 +82,30 @@ class BybitWebSocket {
                 }
             });
 
-            this.publicWs.on('error', (error) => {
+            ws.on('error', (error) => {
                 console.error('❌ Ошибка публичного WebSocket:', error);
+                clearTimeout(timeout);
                 this.isConnected = false;
                 reject(error);
             });
 
-            this.publicWs.on('close', (code, reason) => {
+            ws.on('close', (code, reason) => {
                 console.log(`❌ Публичное WebSocket соединение закрыто. Код: ${code}, Причина: ${reason}`);
+                clearTimeout(timeout);
                 this.isConnected = false;
                 this.stopConnectionMonitoring();
-                this.reconnectPublic();
+
+                // Переподключаемся, только если это текущее соединение и оно не закрыто намеренно
+                if (this.publicWs === ws && !this.isClosing) {
+                    this.reconnectPublic();
+                }
             });
 
             // Таймаут подключения
-            setTimeout(() => {
+            const timeout = setTimeout(() => {
                 if (!this.isConnected) {
                     console.error('⏰ Таймаут подключения к WebSocket');
-                    this.publicWs.terminate();
+                    ws.terminate();
                     reject(new Error('WebSocket connection timeout'));
                 }
             }, 10000); // 10 секунд таймаут
@@ -86,6 +114,157 @@ class BybitWebSocket {
 
 
 
+    // ==================== ПРИВАТНЫЙ КАНАЛ ====================
+
+    // Подключение к приватному каналу: аутентификация и подписка на топики аккаунта
+    connectPrivate(apiKey, apiSecret) {
+        this.privateCredentials = { apiKey, apiSecret };
+        this.isClosing = false;
+
+        return new Promise((resolve, reject) => {
+            console.log(`🔐 Подключение к приватному WebSocket: ${this.privateUrl}`);
+            const ws = new WebSocket(this.privateUrl);
+            this.privateWs = ws;
+            let settled = false;
+            const settle = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeout);
+                error ? reject(error) : resolve();
+            };
+
+            ws.on('open', () => {
+                this.isPrivateConnected = true;
+                ws.send(JSON.stringify(this.createAuthMessage(apiKey, apiSecret)));
+            });
+
+            ws.on('message', (data) => {
+                try {
+                    this.lastPrivateDataReceived = Date.now();
+                    const message = JSON.parse(data.toString());
+
+                    if (message.op === 'auth') {
+                        if (!message.success) {
+                            // Неверные ключи - повторное подключение не поможет
+                            this.privateCredentials = null;
+                            settle(new Error(`Ошибка аутентификации приватного WebSocket: ${message.ret_msg}`));
+                            ws.close();
+                            return;
+                        }
+
+                        console.log('✅ Приватный WebSocket аутентифицирован');
+                        this.isAuthenticated = true;
+                        this.privateReconnectAttempts = 0;
+                        ws.send(JSON.stringify({ op: 'subscribe', args: this.privateTopics }));
+                        this.startPrivatePing();
+                        settle();
+                        return;
+                    }
+
+                    this.handlePrivateMessage(message);
+                } catch (error) {
+                    console.error('Ошибка парсинга приватного сообщения:', error);
+                }
+            });
+
+            ws.on('error', (error) => {
+                console.error('❌ Ошибка приватного WebSocket:', error.message);
+                settle(error);
+            });
+
+            ws.on('close', (code) => {
+                console.log(`❌ Приватное WebSocket соединение закрыто. Код: ${code}`);
+                this.isPrivateConnected = false;
+                this.isAuthenticated = false;
+                this.stopPrivatePing();
+                settle(new Error('Приватное WebSocket соединение закрыто до аутентификации'));
+
+                // Переподключаемся, только если соединение было установлено и не закрыто намеренно
+                if (this.privateWs === ws && !this.isClosing) {
+                    this.reconnectPrivate();
+                }
+            });
+
+            // Таймаут подключения и аутентификации
+            const timeout = setTimeout(() => {
+                if (!this.isAuthenticated) {
+                    console.error('⏰ Таймаут подключения к приватному WebSocket');
+                    ws.terminate();
+                    settle(new Error('Private WebSocket connection timeout'));
+                }
+            }, 10000);
+        });
+    }
+
+    // Установка синхронизации времени: expires подписывается по часам сервера, как и REST запросы
+    setTimeSync(timeSync) {
+        this.timeSync = timeSync;
+    }
+
+    // Сообщение аутентификации: подпись HMAC_SHA256("GET/realtime" + expires)
+    createAuthMessage(apiKey, apiSecret) {
+        const expires = (this.timeSync ? this.timeSync.now() : Date.now()) + 10000;
+        const signature = crypto.createHmac('sha256', apiSecret).update(`GET/realtime${expires}`).digest('hex');
+        return { op: 'auth', args: [apiKey, expires, signature] };
+    }
+
+    // Обработка приватных сообщений
+    handlePrivateMessage(message) {
+        if (message.op === 'subscribe') {
+            if (message.success) {
+                console.log(`✅ Подписка на приватные топики: ${this.privateTopics.join(', ')}`);
+            } else {
+                console.error('❌ Ошибка подписки на приватные топики:', message.ret_msg);
+            }
+            return;
+        }
+
+        if (message.op === 'pong' || message.ret_msg === 'pong') {
+            return;
+        }
+
+        if (message.topic && Array.isArray(message.data)) {
+            this.onPrivateData(message);
+        }
+    }
+
+    // Периодический ping для удержания приватного соединения
+    startPrivatePing() {
+        this.stopPrivatePing();
+        this.privatePingInterval = setInterval(() => {
+            if (this.privateWs && this.privateWs.readyState === WebSocket.OPEN) {
+                this.privateWs.send(JSON.stringify({ op: 'ping' }));
+            }
+        }, this.pingIntervalMs);
+    }
+
+    stopPrivatePing() {
+        if (this.privatePingInterval) {
+            clearInterval(this.privatePingInterval);
+            this.privatePingInterval = null;
+        }
+    }
+
+    // Переподключение приватного канала с повторной аутентификацией
+    reconnectPrivate() {
+        if (!this.privateCredentials) return;
+
+        this.privateReconnectAttempts++;
+        const delay = Math.min(this.reconnectDelay * this.privateReconnectAttempts, 30000);
+        console.log(`🔄 Переподключение приватного канала (попытка ${this.privateReconnectAttempts}) через ${delay / 1000} сек`);
+
+        setTimeout(async () => {
+            if (this.isClosing) return;
+            try {
+                await this.connectPrivate(this.privateCredentials.apiKey, this.privateCredentials.apiSecret);
+            } catch (error) {
+                console.error('❌ Ошибка переподключения приватного канала:', error.message);
+            }
+        }, delay);
+    }
+
+    // ==================== ПУБЛИЧНЫЙ КАНАЛ ====================
+
     // Подписка на kline данные
     subscribeKline(symbol, interval) {
         if (!this.publicWs) {
@@ -133,7 +312,7 @@ class BybitWebSocket {
 
         this.connectionCheckInterval = setInterval(() => {
             this.checkConnectionHealth();
-        }, this.connectionCheckInterval);
+        }, this.connectionCheckIntervalMs);
     }
 
     // Остановка мониторинга соединения
@@ -174,8 +353,11 @@ class BybitWebSocket {
         this.isConnected = false;
         this.stopConnectionMonitoring();
         
+        // Старое соединение больше не текущее: его закрытие не запускает второе переподключение
         if (this.publicWs) {
-            this.publicWs.terminate();
+            const ws = this.publicWs;
+            this.publicWs = null;
+            ws.terminate();
         }
         
         this.reconnectPublic();
@@ -205,20 +387,24 @@ class BybitWebSocket {
 
     // Переподключение публичного канала
     reconnectPublic() {
+        if (this.isClosing) return;
+        clearTimeout(this.publicReconnectTimer);
+
         if (this.reconnectAttempts < this.maxReconnectAttempts) {
             this.reconnectAttempts++;
             const delay = Math.min(this.reconnectDelay * this.reconnectAttempts, 30000); // Максимум 30 секунд
             
             console.log(`🔄 Попытка переподключения публичного канала (${this.reconnectAttempts}/${this.maxReconnectAttempts}) через ${delay/1000} сек`);
             
-            setTimeout(async () => {
+            this.publicReconnectTimer = setTimeout(async () => {
+                if (this.isClosing) return;
                 try {
                     await this.connectPublic();
                     
                     // После успешного переподключения восстанавливаем подписки
                     if (this.subscribedSymbols.length > 0 && this.subscribedInterval) {
                         console.log('🔄 Восстанавливаем подписки после переподключения...');
-                        setTimeout(() => {
+                        this.publicReconnectTimer = setTimeout(() => {
                             this.subscribeMultipleKlines(this.subscribedSymbols, this.subscribedInterval);
                         }, 2000); // Ждем 2 секунды перед восстановлением подписок
                     }
@@ -230,7 +416,7 @@ class BybitWebSocket {
             console.error('❌ Превышено максимальное количество попыток переподключения публичного канала');
             console.log('🔄 Сбрасываем счетчик попыток и пробуем снова через 5 минут...');
             this.reconnectAttempts = 0;
-            setTimeout(() => {
+            this.publicReconnectTimer = setTimeout(() => {
                 this.reconnectPublic();
             }, 300000); // 5 минут
         }
@@ -241,13 +427,23 @@ class BybitWebSocket {
     close() {
         console.log('🔒 Закрытие WebSocket соединений...');
         this.isConnected = false;
+        this.isClosing = true;
         this.stopConnectionMonitoring();
+        this.stopPrivatePing();
+        clearTimeout(this.publicReconnectTimer);
+        this.publicReconnectTimer = null;
         
         if (this.publicWs) {
             this.publicWs.close();
             this.publicWs = null;
         }
         
+        if (this.privateWs) {
+            const privateWs = this.privateWs;
+            this.privateWs = null;
+            privateWs.close();
+        }
+        
         console.log('✅ WebSocket соединения закрыты');
     }
 
@@ -259,7 +455,13 @@ class BybitWebSocket {
             timeSinceLastData: Date.now() - this.lastDataReceived,
             reconnectAttempts: this.reconnectAttempts,
             subscribedSymbols: this.subscribedSymbols.length,
-            wsReadyState: this.publicWs ? this.publicWs.readyState : 'CLOSED'
+            wsReadyState: this.publicWs ? this.publicWs.readyState : 'CLOSED',
+            private: this.privateCredentials ? {
+                isConnected: this.isPrivateConnected,
+                isAuthenticated: this.isAuthenticated,
+                lastDataReceived: this.lastPrivateDataReceived,
+                reconnectAttempts: this.privateReconnectAttempts
+            } : null
         };
     }
 
@@ -268,6 +470,10 @@ class BybitWebSocket {
     onKlineData(message) {
         console.log('📊 Kline данные:', JSON.stringify(message, null, 2));
     }
+
+    onPrivateData(message) {
+        console.log('🔐 Приватные данные:', JSON.stringify(message, null, 2));
+    }
 }
 
 module.exports = BybitWebSocket;
@@ -0,0 +1,190 @@
+const CandleStore = require('./candleStore');
+
+// Агрегатор свечей: строит старшие таймфреймы из потока минутных свечей WebSocket,
+// чтобы не запрашивать 5m/15m/D через REST на каждом цикле.
+// Границы баров совпадают с биржевыми (CandleStore.alignStart), формирующийся бар обновляется
+// в хранилище на каждой минутной свече, при закрытии бар помечается завершенным
+// и публикуется событие "бар закрыт" (в том числе для самого минутного интервала).
+//
+// Начальное состояние бара (bootstrap) берется один раз после загрузки серии через REST:
+// если минутная история покрывает бар - он пересчитывается из минутных свечей,
+// иначе за основу берется бар биржи, а текущая минута учитывается только приростом объема.
+class CandleAggregator {
+    constructor(candleStore, baseInterval = '1', intervals = []) {
+        this.store = candleStore;
+        this.baseInterval = baseInterval;
+        this.baseMs = CandleStore.intervalMs(baseInterval);
+        this.intervals = intervals.filter(interval => interval !== baseInterval);
+        this.states = new Map(); // `${symbol}:${interval}` -> состояние формирующегося бара
+        this.barClosedHandlers = [];
+    }
+
+    // Подписка на закрытие бара: handler({ symbol, interval, candle })
+    onBarClosed(handler) {
+        this.barClosedHandlers.push(handler);
+    }
+
+    // Интервал строится агрегатором
+    handles(interval) {
+        return this.intervals.includes(interval);
+    }
+
+    isBootstrapped(symbol, interval) {
+        return this.states.has(this.store.key(symbol, interval));
+    }
+
+    // ==================== НАЧАЛЬНОЕ СОСТОЯНИЕ ====================
+
+    // Начальное состояние текущего бара после загрузки серии через REST
+    bootstrap(symbol, interval, now = Date.now()) {
+        const start = CandleStore.alignStart(interval, now);
+        const end = CandleStore.nextStart(interval, start);
+        const state = { start, agg: null, aggUpTo: start - this.baseMs, overlap: null, forming: null };
+
+        const minutes = this.store.getCandles(symbol, this.baseInterval)
+            .filter(candle => candle.timestamp >= start && candle.timestamp < end);
+        const first = this.store.getCandles(symbol, this.baseInterval)[0];
+        const covered = first && first.timestamp <= start && this.store.findGaps(symbol, this.baseInterval).every(gap => gap.end < start);
+
+        if (covered) {
+            // Минутная история покрывает бар - пересчитываем точно
+            for (const minute of minutes) {
+                this.applyMinute(state, minute);
+            }
+        } else {
+            // Бар биржи уже содержит завершенные минуты и часть текущей
+            const exchangeBar = this.store.getLast(symbol, interval);
+            if (exchangeBar && exchangeBar.timestamp === start) {
+                const currentMinute = CandleStore.alignStart(this.baseInterval, now);
+                const minute = minutes.find(candle => candle.timestamp === currentMinute);
+                state.agg = { open: exchangeBar.open, high: exchangeBar.high, low: exchangeBar.low, close: exchangeBar.close, volume: exchangeBar.volume };
+                state.aggUpTo = currentMinute - this.baseMs;
+                state.overlap = { timestamp: currentMinute, volume: minute ? minute.volume : 0 };
+            }
+        }
+
+        this.states.set(this.store.key(symbol, interval), state);
+        return state;
+    }
+
+    // ==================== ПОТОК МИНУТНЫХ СВЕЧЕЙ ====================
+
+    // Обработка минутной свечи (уже записанной в хранилище) -> закрытые бары
+    addCandle(symbol, candle) {
+        const closed = [];
+
+        if (candle.confirmed) {
+            closed.push(this.emitBarClosed(symbol, this.baseInterval, candle));
+        }
+
+        for (const interval of this.intervals) {
+            const key = this.store.key(symbol, interval);
+            let state = this.states.get(key);
+            if (!state) continue; // Серия еще не загружена через REST
+
+            const start = CandleStore.alignStart(interval, candle.timestamp);
+            if (start < state.start) continue; // Запоздавшая свеча прошлого бара
+
+            if (start > state.start) {
+                // Начался новый бар: предыдущий закрываем, если закрывающая минута не пришла
+                const previous = this.store.getLast(symbol, interval);
+                if (this.buildBar(state) && previous && previous.timestamp === state.start && !previous.confirmed) {
+                    closed.push(this.closeBar(symbol, interval, state));
+                }
+                state = { start, agg: null, aggUpTo: start - this.baseMs, overlap: null, forming: null };
+                this.states.set(key, state);
+            }
+
+            this.applyMinute(state, candle);
+            const bar = this.buildBar(state);
+            if (!bar) continue;
+
+            // Последняя минута бара закрылась - бар закрыт
+            const end = CandleStore.nextStart(interval, state.start);
+            if (candle.confirmed && candle.timestamp + this.baseMs >= end) {
+                closed.push(this.closeBar(symbol, interval, state));
+            } else {
+                this.store.upsert(symbol, interval, { ...bar, start: state.start, confirmed: false });
+            }
+        }
+
+        return closed;
+    }
+
+    // Учет минуты в состоянии бара
+    applyMinute(state, minute) {
+        if (!minute.confirmed) {
+            state.forming = minute;
+            return;
+        }
+
+        if (minute.timestamp <= state.aggUpTo) return; // Уже учтена
+
+        state.agg = this.merge(state.agg, minute, this.overlapVolume(state, minute));
+        state.aggUpTo = minute.timestamp;
+        if (state.overlap && state.overlap.timestamp <= minute.timestamp) {
+            state.overlap = null;
+        }
+        if (state.forming && state.forming.timestamp <= minute.timestamp) {
+            state.forming = null;
+        }
+    }
+
+    // Бар = завершенные минуты + формирующаяся минута
+    buildBar(state) {
+        if (state.forming && state.forming.timestamp > state.aggUpTo) {
+            return this.merge(state.agg, state.forming, this.overlapVolume(state, state.forming));
+        }
+        return state.agg;
+    }
+
+    merge(agg, minute, skipVolume = 0) {
+        const volume = Math.max(minute.volume - skipVolume, 0);
+        if (!agg) {
+            return { open: minute.open, high: minute.high, low: minute.low, close: minute.close, volume };
+        }
+        return {
+            open: agg.open,
+            high: Math.max(agg.high, minute.high),
+            low: Math.min(agg.low, minute.low),
+            close: minute.close,
+            volume: agg.volume + volume
+        };
+    }
+
+    // Объем текущей минуты, уже входящий в бар биржи из bootstrap
+    overlapVolume(state, minute) {
+        return state.overlap && state.overlap.timestamp === minute.timestamp ? state.overlap.volume : 0;
+    }
+
+    // ==================== ЗАКРЫТИЕ БАРА ====================
+
+    closeBar(symbol, interval, state) {
+        const bar = this.buildBar(state);
+        const candle = this.store.upsert(symbol, interval, { ...bar, start: state.start, confirmed: true });
+        return this.emitBarClosed(symbol, interval, candle);
+    }
+
+    emitBarClosed(symbol, interval, candle) {
+        const event = { symbol, interval, candle };
+        for (const handler of this.barClosedHandlers) {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`❌ Ошибка обработчика закрытия бара ${symbol} ${interval}:`, error.message);
+            }
+        }
+        return event;
+    }
+
+    // Получение статуса агрегатора
+    getStatus() {
+        return {
+            baseInterval: this.baseInterval,
+            intervals: this.intervals,
+            series: this.states.size
+        };
+    }
+}
+
+module.exports = CandleAggregator;
@@ -0,0 +1,260 @@
+// Хранилище свечей по ключу (символ, интервал).
+// Свечи хранятся от старых к новым и обновляются по времени открытия (upsert):
+// повторная загрузка той же истории и обновления формирующейся свечи из WebSocket не создают дубликатов.
+// Каждая свеча помечена как завершенная (confirmed) или формирующаяся.
+// Вставка свечи в середину серии, изменение не последней свечи и удаление серии меняют ревизию серии
+// (getRevision) - по ней потоковые индикаторы понимают, что серию нужно пересчитать.
+// Пропуски в серии определяются по границам интервала Bybit и догружаются через REST (TradingBot.loadCandles).
+//
+// Свеча в хранилище: { timestamp, open, high, low, close, volume, confirmed }
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Длительность интервалов Bybit (M - календарный месяц, здесь только для оценки)
+const INTERVAL_MS = {
+    '1': MINUTE, '3': 3 * MINUTE, '5': 5 * MINUTE, '15': 15 * MINUTE, '30': 30 * MINUTE,
+    '60': 60 * MINUTE, '120': 120 * MINUTE, '240': 240 * MINUTE, '360': 360 * MINUTE, '720': 720 * MINUTE,
+    'D': DAY, 'W': 7 * DAY, 'M': 30 * DAY
+};
+
+const WEEK_OFFSET = 4 * DAY; // Недельные свечи Bybit начинаются в понедельник 00:00 UTC (01.01.1970 - четверг)
+
+class CandleStore {
+    constructor(options = {}) {
+        this.maxLength = options.maxLength || 500; // Максимум свечей на серию
+        this.series = new Map(); // `${symbol}:${interval}` -> свечи от старых к новым
+        this.revisions = new Map(); // `${symbol}:${interval}` -> номер ревизии серии
+    }
+
+    // Длительность интервала в мс
+    static intervalMs(interval) {
+        const ms = INTERVAL_MS[String(interval)];
+        if (!ms) {
+            throw new Error(`Неизвестный интервал свечей: ${interval}`);
+        }
+        return ms;
+    }
+
+    // Начало свечи интервала, в которую попадает время (границы как на Bybit, UTC)
+    static alignStart(interval, time) {
+        if (interval === 'M') {
+            const date = new Date(time);
+            return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+        }
+
+        const ms = CandleStore.intervalMs(interval);
+        const offset = interval === 'W' ? WEEK_OFFSET : 0;
+        return Math.floor((time - offset) / ms) * ms + offset;
+    }
+
+    // Начало следующей свечи
+    static nextStart(interval, start) {
+        if (interval === 'M') {
+            const date = new Date(start);
+            return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+        }
+        return start + CandleStore.intervalMs(interval);
+    }
+
+    key(symbol, interval) {
+        return `${symbol}:${interval}`;
+    }
+
+    // ==================== ЗАПИСЬ ====================
+
+    // Добавление или обновление свечи по времени открытия -> свеча в хранилище
+    upsert(symbol, interval, candle) {
+        const key = this.key(symbol, interval);
+        if (!this.series.has(key)) {
+            this.series.set(key, []);
+        }
+
+        const candles = this.series.get(key);
+        const normalized = {
+            timestamp: parseInt(candle.start ?? candle.timestamp),
+            open: parseFloat(candle.open),
+            high: parseFloat(candle.high),
+            low: parseFloat(candle.low),
+            close: parseFloat(candle.close),
+            volume: parseFloat(candle.volume),
+            confirmed: candle.confirmed !== false
+        };
+
+        // Обычно свеча последняя или новая - ищем с конца
+        let index = candles.length - 1;
+        while (index >= 0 && candles[index].timestamp > normalized.timestamp) {
+            index--;
+        }
+
+        if (index >= 0 && candles[index].timestamp === normalized.timestamp) {
+            // Завершенную свечу не заменяем устаревшим снимком формирующейся
+            if (candles[index].confirmed && !normalized.confirmed) {
+                return candles[index];
+            }
+            if (index < candles.length - 1 && !this.isSameCandle(candles[index], normalized)) {
+                this.bumpRevision(key);
+            }
+            candles[index] = normalized;
+        } else {
+            if (index < candles.length - 1) {
+                this.bumpRevision(key);
+            }
+            candles.splice(index + 1, 0, normalized);
+            if (candles.length > this.maxLength) {
+                candles.shift();
+            }
+        }
+
+        return normalized;
+    }
+
+    // Добавление набора свечей
+    upsertMany(symbol, interval, candles) {
+        for (const candle of candles) {
+            this.upsert(symbol, interval, candle);
+        }
+    }
+
+    // Удаление серии
+    clear(symbol, interval) {
+        const key = this.key(symbol, interval);
+        this.series.delete(key);
+        this.bumpRevision(key);
+    }
+
+    bumpRevision(key) {
+        this.revisions.set(key, (this.revisions.get(key) || 0) + 1);
+    }
+
+    isSameCandle(a, b) {
+        return a.open === b.open && a.high === b.high && a.low === b.low && a.close === b.close && a.volume === b.volume;
+    }
+
+    // ==================== ЧТЕНИЕ ====================
+
+    // Свечи серии (confirmedOnly - без формирующейся свечи)
+    getCandles(symbol, interval, { confirmedOnly = false, limit = null } = {}) {
+        let candles = this.series.get(this.key(symbol, interval)) || [];
+        if (confirmedOnly) {
+            candles = candles.filter(candle => candle.confirmed);
+        }
+        return limit ? candles.slice(-limit) : candles;
+    }
+
+    // Ревизия серии (меняется при изменениях не в конце серии)
+    getRevision(symbol, interval) {
+        return this.revisions.get(this.key(symbol, interval)) || 0;
+    }
+
+    size(symbol, interval) {
+        return this.getCandles(symbol, interval).length;
+    }
+
+    getLast(symbol, interval) {
+        const candles = this.getCandles(symbol, interval);
+        return candles.length > 0 ? candles[candles.length - 1] : null;
+    }
+
+    getLastConfirmed(symbol, interval) {
+        const candles = this.getCandles(symbol, interval);
+        for (let i = candles.length - 1; i >= 0; i--) {
+            if (candles[i].confirmed) return candles[i];
+        }
+        return null;
+    }
+
+    // Формирующаяся свеча (если последняя свеча еще не закрыта)
+    getForming(symbol, interval) {
+        const last = this.getLast(symbol, interval);
+        return last && !last.confirmed ? last : null;
+    }
+
+    // Серии значений для индикаторов
+    getOpens(symbol, interval, options) {
+        return this.getCandles(symbol, interval, options).map(candle => candle.open);
+    }
+
+    getHighs(symbol, interval, options) {
+        return this.getCandles(symbol, interval, options).map(candle => candle.high);
+    }
+
+    getLows(symbol, interval, options) {
+        return this.getCandles(symbol, interval, options).map(candle => candle.low);
+    }
+
+    getCloses(symbol, interval, options) {
+        return this.getCandles(symbol, interval, options).map(candle => candle.close);
+    }
+
+    getVolumes(symbol, interval, options) {
+        return this.getCandles(symbol, interval, options).map(candle => candle.volume);
+    }
+
+    // Серии OHLCV одним объектом (формат входа technicalindicators)
+    getOHLCV(symbol, interval, options) {
+        const candles = this.getCandles(symbol, interval, options);
+        return {
+            open: candles.map(candle => candle.open),
+            high: candles.map(candle => candle.high),
+            low: candles.map(candle => candle.low),
+            close: candles.map(candle => candle.close),
+            volume: candles.map(candle => candle.volume),
+            timestamp: candles.map(candle => candle.timestamp)
+        };
+    }
+
+    // ==================== ПРОПУСКИ ====================
+
+    // Пропуски внутри серии -> [{ start, end, count }] (start/end - время открытия первой и последней пропущенной свечи)
+    findGaps(symbol, interval) {
+        const candles = this.getCandles(symbol, interval);
+        const gaps = [];
+
+        for (let i = 1; i < candles.length; i++) {
+            const expected = CandleStore.nextStart(interval, candles[i - 1].timestamp);
+            if (candles[i].timestamp > expected) {
+                let count = 0;
+                let end = expected;
+                for (let start = expected; start < candles[i].timestamp; start = CandleStore.nextStart(interval, start)) {
+                    end = start;
+                    count++;
+                }
+                gaps.push({ start: expected, end, count });
+            }
+        }
+
+        return gaps;
+    }
+
+    // Сколько последних свечей нужно загрузить, чтобы серия дошла до текущей свечи:
+    // новые свечи после последней и незавершенные свечи прошлых периодов (null - серия пуста)
+    getMissingCount(symbol, interval, now = Date.now()) {
+        const candles = this.getCandles(symbol, interval);
+        if (candles.length === 0) return null;
+
+        const currentStart = CandleStore.alignStart(interval, now);
+        const stale = candles.find(candle => !candle.confirmed && candle.timestamp < currentStart);
+        let from = stale ? stale.timestamp : CandleStore.nextStart(interval, candles[candles.length - 1].timestamp);
+
+        let count = 0;
+        for (; from <= currentStart; from = CandleStore.nextStart(interval, from)) {
+            count++;
+        }
+        return count;
+    }
+
+    // Получение статуса хранилища
+    getStatus() {
+        const series = {};
+        for (const [key, candles] of this.series) {
+            series[key] = {
+                candles: candles.length,
+                last: candles.length > 0 ? candles[candles.length - 1].timestamp : null,
+                forming: candles.length > 0 && !candles[candles.length - 1].confirmed
+            };
+        }
+        return series;
+    }
+}
+
+module.exports = CandleStore;
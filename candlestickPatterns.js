@@ -0,0 +1,207 @@
+// Распознавание свечных паттернов на последней закрытой свече серии (любой таймфрейм).
+// Паттерны:
+//   engulfing             - тело свечи поглощает тело предыдущей свечи противоположного цвета (разворот)
+//   pin_bar               - длинная тень в pinWickRatio тел и короткая противоположная (молот / падающая звезда, разворот)
+//   doji                  - тело не больше dojiBody диапазона (нерешительность; у уровня - разворот от уровня)
+//   inside_bar            - диапазон внутри предыдущей свечи (пауза; направление - по тренду)
+//   outside_bar           - диапазон перекрывает предыдущую свечу (направление - по закрытию)
+//   morning/evening_star  - длинная свеча, маленькое тело, свеча обратного цвета за середину первой (разворот)
+//   three_soldiers/crows  - три длинные свечи одного цвета с ростом/снижением закрытий (продолжение)
+// Контекст паттерна:
+//   atLevel   - экстремум паттерна у уровня поддержки (бычий) или сопротивления (медвежий) в пределах levelTolerance
+//   withTrend - направление паттерна совпадает с трендом (counterTrend - против тренда)
+//   afterMove - разворотному паттерну предшествовало движение в обратную сторону за trendLookback свечей
+// Оценка: базовая сила паттерна с надбавками за уровень и тренд и штрафами за контртренд и разворот без движения.
+const DEFAULT_OPTIONS = {
+    dojiBody: 0.1,
+    pinWickRatio: 2,
+    pinOppositeWick: 0.25,
+    longBody: 0.6,
+    starBody: 0.3,
+    trendLookback: 10,
+    levelTolerance: 0.002,
+    levelBonus: 0.5,
+    trendBonus: 0.3,
+    counterTrendFactor: 0.5,
+    noMoveFactor: 0.5
+};
+
+// Базовая сила, тип и названия паттернов по направлению
+const PATTERNS = {
+    engulfing: { strength: 0.8, reversal: true, labels: { bullish: 'бычье поглощение', bearish: 'медвежье поглощение' } },
+    pin_bar: { strength: 0.7, reversal: true, labels: { bullish: 'бычий пин-бар/молот', bearish: 'медвежий пин-бар/падающая звезда' } },
+    doji: { strength: 0.3, reversal: true, labels: { bullish: 'доджи у поддержки', bearish: 'доджи у сопротивления', neutral: 'доджи' } },
+    inside_bar: { strength: 0.3, reversal: false, labels: { bullish: 'внутренний бар по бычьему тренду', bearish: 'внутренний бар по медвежьему тренду', neutral: 'внутренний бар' } },
+    outside_bar: { strength: 0.5, reversal: false, labels: { bullish: 'бычий внешний бар', bearish: 'медвежий внешний бар' } },
+    morning_star: { strength: 0.9, reversal: true, labels: { bullish: 'утренняя звезда' } },
+    evening_star: { strength: 0.9, reversal: true, labels: { bearish: 'вечерняя звезда' } },
+    three_soldiers: { strength: 0.8, reversal: false, labels: { bullish: 'три белых солдата' } },
+    three_crows: { strength: 0.8, reversal: false, labels: { bearish: 'три черные вороны' } }
+};
+
+class CandlestickPatterns {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // Паттерны на последней свече с контекстом и оценкой.
+    // context = { levels: [{ price }], trend: 'bullish' | 'bearish' | 'neutral' }
+    analyze(candles, context = {}) {
+        if (candles.length < 3) return [];
+
+        const priorMove = this.getPriorMove(candles);
+        return this.detect(candles).map(pattern => {
+            const definition = PATTERNS[pattern.name];
+            const direction = this.resolveDirection(pattern, context);
+            const atLevel = direction !== 'neutral' && this.isAtLevel(direction, pattern, context.levels || []);
+            const withTrend = direction !== 'neutral' && direction === context.trend;
+            const counterTrend = direction !== 'neutral' && Boolean(context.trend) && context.trend !== 'neutral' && !withTrend;
+            const afterMove = definition.reversal && priorMove !== 'neutral' && priorMove !== direction;
+
+            let score = direction === 'neutral' ? 0 : definition.strength;
+            if (atLevel) score *= 1 + this.options.levelBonus;
+            if (withTrend) score *= 1 + this.options.trendBonus;
+            if (counterTrend) score *= this.options.counterTrendFactor;
+            if (definition.reversal && !afterMove) score *= this.options.noMoveFactor;
+
+            return {
+                name: pattern.name,
+                label: definition.labels[direction],
+                direction,
+                timestamp: pattern.timestamp,
+                low: pattern.low,
+                high: pattern.high,
+                score: Math.min(score, 1.5),
+                context: { atLevel, withTrend, counterTrend, afterMove }
+            };
+        });
+    }
+
+    // ==================== ПОИСК ПАТТЕРНОВ ====================
+
+    // Паттерны, завершающиеся последней свечой: [{ name, direction, timestamp, low, high }]
+    detect(candles) {
+        const [first, prev, last] = candles.slice(-3);
+        const patterns = [];
+        const add = (name, direction, from) => patterns.push({
+            name,
+            direction,
+            timestamp: last.timestamp,
+            low: Math.min(...from.map(candle => candle.low)),
+            high: Math.max(...from.map(candle => candle.high))
+        });
+
+        // Поглощение
+        if (this.isBullish(last) && this.isBearish(prev) && last.close >= prev.open && last.open <= prev.close && this.body(last) > this.body(prev)) {
+            add('engulfing', 'bullish', [prev, last]);
+        } else if (this.isBearish(last) && this.isBullish(prev) && last.open >= prev.close && last.close <= prev.open && this.body(last) > this.body(prev)) {
+            add('engulfing', 'bearish', [prev, last]);
+        }
+
+        // Пин-бар (молот / падающая звезда)
+        const range = last.high - last.low;
+        if (range > 0) {
+            const body = Math.max(this.body(last), range * 0.01);
+            const upperWick = last.high - Math.max(last.open, last.close);
+            const lowerWick = Math.min(last.open, last.close) - last.low;
+            if (lowerWick >= body * this.options.pinWickRatio && upperWick <= range * this.options.pinOppositeWick) {
+                add('pin_bar', 'bullish', [last]);
+            } else if (upperWick >= body * this.options.pinWickRatio && lowerWick <= range * this.options.pinOppositeWick) {
+                add('pin_bar', 'bearish', [last]);
+            } else if (this.body(last) <= range * this.options.dojiBody) {
+                add('doji', 'neutral', [last]);
+            }
+        }
+
+        // Внутренний и внешний бар
+        if (last.high < prev.high && last.low > prev.low) {
+            add('inside_bar', 'neutral', [prev, last]);
+        } else if (last.high > prev.high && last.low < prev.low) {
+            add('outside_bar', last.close > (last.high + last.low) / 2 ? 'bullish' : 'bearish', [prev, last]);
+        }
+
+        // Утренняя и вечерняя звезда
+        const smallMiddle = this.body(prev) <= this.body(first) * this.options.starBody;
+        const firstMiddle = (first.open + first.close) / 2;
+        if (smallMiddle && this.isLong(first) && this.isBearish(first) && this.isBullish(last) && last.close > firstMiddle) {
+            add('morning_star', 'bullish', [first, prev, last]);
+        } else if (smallMiddle && this.isLong(first) && this.isBullish(first) && this.isBearish(last) && last.close < firstMiddle) {
+            add('evening_star', 'bearish', [first, prev, last]);
+        }
+
+        // Три белых солдата и три черные вороны (каждая свеча открывается внутри тела предыдущей)
+        const three = [first, prev, last];
+        if (three.every(candle => this.isBullish(candle) && this.isLong(candle)) &&
+            prev.close > first.close && last.close > prev.close &&
+            prev.open >= first.open && prev.open <= first.close && last.open >= prev.open && last.open <= prev.close) {
+            add('three_soldiers', 'bullish', three);
+        } else if (three.every(candle => this.isBearish(candle) && this.isLong(candle)) &&
+            prev.close < first.close && last.close < prev.close &&
+            prev.open <= first.open && prev.open >= first.close && last.open <= prev.open && last.open >= prev.close) {
+            add('three_crows', 'bearish', three);
+        }
+
+        return patterns;
+    }
+
+    // ==================== КОНТЕКСТ ====================
+
+    // Направление паттернов без собственного направления: доджи - от уровня, внутренний бар - по тренду
+    resolveDirection(pattern, context) {
+        if (pattern.direction !== 'neutral') return pattern.direction;
+
+        if (pattern.name === 'doji') {
+            const levels = context.levels || [];
+            if (this.isAtLevel('bullish', pattern, levels)) return 'bullish';
+            if (this.isAtLevel('bearish', pattern, levels)) return 'bearish';
+            return 'neutral';
+        }
+        if (pattern.name === 'inside_bar' && context.trend && context.trend !== 'neutral') {
+            return context.trend;
+        }
+        return 'neutral';
+    }
+
+    // Бычий паттерн у уровня под минимумом, медвежий - над максимумом (в пределах levelTolerance)
+    isAtLevel(direction, pattern, levels) {
+        const tolerance = this.options.levelTolerance;
+        return levels.some(level => direction === 'bullish'
+            ? Math.abs(pattern.low - level.price) / level.price <= tolerance
+            : Math.abs(pattern.high - level.price) / level.price <= tolerance);
+    }
+
+    // Движение перед паттерном (до трех последних свечей) по изменению закрытий за trendLookback свечей
+    getPriorMove(candles) {
+        const end = candles.length - 3;
+        const start = Math.max(end - this.options.trendLookback, 0);
+        if (end <= start) return 'neutral';
+
+        const change = (candles[end].close - candles[start].close) / candles[start].close;
+        const averageRange = candles.slice(start, end + 1)
+            .reduce((sum, candle) => sum + (candle.high - candle.low) / candle.close, 0) / (end - start + 1);
+        if (Math.abs(change) < averageRange) return 'neutral';
+        return change > 0 ? 'bullish' : 'bearish';
+    }
+
+    // ==================== ФОРМА СВЕЧИ ====================
+
+    body(candle) {
+        return Math.abs(candle.close - candle.open);
+    }
+
+    isBullish(candle) {
+        return candle.close > candle.open;
+    }
+
+    isBearish(candle) {
+        return candle.close < candle.open;
+    }
+
+    // Длинная свеча: тело не меньше longBody диапазона
+    isLong(candle) {
+        const range = candle.high - candle.low;
+        return range > 0 && this.body(candle) >= range * this.options.longBody;
+    }
+}
+
+module.exports = CandlestickPatterns;
@@ -1,15 +1,38 @@
+require('dotenv').config();
+
 module.exports = {
+    // Окружение Bybit: demo, testnet или mainnet (хосты REST/WebSocket выбираются автоматически)
+    // Ключи: BYBIT_DEMO_API_KEY/SECRET, BYBIT_TESTNET_API_KEY/SECRET, BYBIT_API_KEY/SECRET (mainnet)
+    environment: {
+        name: process.env.BYBIT_ENV || 'demo',
+        confirmMainnet: process.env.BYBIT_CONFIRM_MAINNET === 'yes', // Явное подтверждение реальной торговли
+        restUrl: process.env.BYBIT_REST_URL || null, // Переопределение REST URL (например, http://127.0.0.1:8090 для mock сервера)
+        wsUrl: process.env.BYBIT_WS_URL || null, // Переопределение WebSocket URL (например, ws://127.0.0.1:8090/v5/public/linear)
+        privateWsUrl: process.env.BYBIT_PRIVATE_WS_URL || null, // Переопределение URL приватного WebSocket
+    },
+    
     // Демо-режим Bybit
     demo: {
-        apiKey: '', // Замените на ваш демо API ключ
-        apiSecret: '', // Замените на ваш демо API секрет
-        testnet: false,
+        apiKey: process.env.BYBIT_DEMO_API_KEY || '', // Демо API ключ (из .env)
+        apiSecret: process.env.BYBIT_DEMO_API_SECRET || '', // Демо API секрет (из .env)
     },
     
+    // Бумажная торговля: локальный брокер вместо демо API (ключи не нужны)
+    paper: {
+        enabled: false, // Включить бумажную торговлю
+        initialBalance: 10000, // Начальный баланс (USDT)
+        leverage: 10, // Плечо для расчета маржи
+        takerFee: 0.00055, // Комиссия тейкера (0.055%)
+        makerFee: 0.0002, // Комиссия мейкера (0.02%)
+        slippage: 0.0005, // Проскальзывание рыночных ордеров (0.05%)
+        ledgerFile: 'paper-ledger.json' // Файл журнала бумажного счета
+    },
     
     // WebSocket конфигурация для kline данных
     websocket: {
-        testnet: false, // Используем mainnet для получения реальных kline данных
+        // Хост выбирается по environment (для demo - основной публичный поток)
+        privateStream: true, // Приватный поток ордеров, исполнений, позиций и кошелька
+        pingInterval: 20000, // Ping приватного канала (мс)
     },
     
     // Торговые пары для анализа (фьючерсы)
@@ -23,6 +46,62 @@ module.exports = {
         
     ],
     
+    // Лимиты и повторы запросов к REST API
+    rateLimit: {
+        minInterval: 50, // Минимальная пауза между запросами одной группы эндпоинтов (мс)
+        maxRetries: 3, // Количество повторов для GET запросов
+        baseDelay: 500, // Базовая задержка экспоненциального backoff (мс)
+        maxDelay: 10000, // Максимальная задержка между повторами (мс)
+        maxWait: 5000, // Максимальное ожидание восстановления лимита (мс)
+        reserve: 1 // Запас запросов, который не расходуется
+    },
+    
+    // Синхронизация времени с сервером Bybit
+    timeSync: {
+        syncInterval: 5 * 60 * 1000, // Обновление смещения каждые 5 минут
+        maxDrift: 1000, // Максимальное расхождение часов для торговли (мс)
+        recvWindow: 5000 // Окно приема подписанных запросов (мс)
+    },
+    
+    // Параметры инструментов (шаг лота, шаг цены, лимиты) загружаются с биржи
+    instruments: {
+        refreshInterval: 60 * 60 * 1000 // Обновление каждый час
+    },
+    
+    // Сверка позиций бота с биржей
+    reconciliation: {
+        enabled: true,
+        interval: 60000, // Период сверки (мс)
+        minPositionAge: 15000, // Новые позиции не считаются пропавшими (мс)
+        auditFile: 'reconciliation-audit.log', // Журнал всех расхождений и исправлений
+        // Действие для каждого типа расхождения ('alert' - только сообщить)
+        policy: {
+            missing_locally: 'alert', // Позиция на бирже не известна боту: alert | adopt | close
+            missing_on_exchange: 'remove', // Позиции бота нет на бирже: alert | remove
+            size_mismatch: 'sync', // Размер/сторона отличаются: alert | sync
+            tpsl_mismatch: 'alert', // TP/SL отличаются: alert | push (на биржу, режим Full) | sync (с биржи)
+            orphan_order: 'alert' // Активный ордер без позиции: alert | cancel
+        }
+    },
+
+    // Позиции, открытые на бирже до запуска бота (перезапуск, ручные сделки)
+    adoption: {
+        enabled: true // Принимать под управление при запуске (разворот тренда, выход по времени)
+    },
+
+    // Журнал состояния: восстановление позиций, сделок и счетчиков риска после перезапуска
+    persistence: {
+        enabled: true,
+        journalFile: 'data/bot-state.journal', // Журнал событий (дописывается построчно)
+        snapshotFile: 'data/bot-state.snapshot.json', // Снимок состояния
+        compactThreshold: 1000, // Событий в журнале до записи снимка
+        maxTrades: 5000, // Хранимых закрытых сделок
+        maxSignals: 1000, // Хранимых анализов сигналов
+        maxEquity: 10000, // Хранимых снимков баланса
+        statsFile: 'data/bot-stats.json', // Метрики и сигналы (вне журнала, без гарантий при сбое)
+        statsInterval: 60000 // Период сохранения метрик и сигналов (мс)
+    },
+    
     // Интервалы для анализа
     intervals: {
         short: '1', // 1 минута для краткосрочных сигналов
@@ -31,6 +110,179 @@ module.exports = {
         daily: 'D' // 1 день для долгосрочного трендового анализа
     },
     
+    // Построение старших таймфреймов (intervals.medium/long/daily) из минутного потока WebSocket
+    resampling: {
+        enabled: true // false - старшие таймфреймы обновляются через REST на каждом цикле
+    },
+    
+    // Мультитаймфреймовый анализ: RSI/MACD/BB/тренд на интервалах short/medium/long из intervals
+    multiTimeframe: {
+        enabled: true,
+        depth: 200, // Свечей на каждый таймфрейм
+        // Веса таймфреймов в общем голосе
+        weights: {
+            short: 0.2,   // 1 минута
+            medium: 0.35, // 5 минут
+            long: 0.45    // 15 минут
+        },
+        directionThreshold: 0.2, // Минимальный перевес голосов индикаторов для направления таймфрейма
+        minAgreement: 0.5, // Доля веса старших таймфреймов, согласных с сигналом
+        requireHigherTimeframe: true // Открывать сделку только при подтверждении старших таймфреймов
+    },
+    
+    // Анализ по закрытию свечи вместо фиксированного 30-секундного цикла
+    eventDriven: {
+        enabled: true, // false - анализ всех символов каждые 30 секунд
+        triggerIntervals: ['1'], // Закрытие каких интервалов запускает анализ символа
+        watchdogInterval: 30000, // Период проверки потока данных
+        staleAfter: 150000 // Символ без закрытых свечей дольше - анализ по REST данным
+    },
+    
+    // Уровни поддержки и сопротивления (swing-точки, пивоты, кластеры)
+    supportResistance: {
+        enabled: true,
+        timeframe: 'medium', // Ключ из intervals: таймфрейм уровней для сигнала, стопов и фильтра
+        lookback: 200, // Свечей для поиска уровней
+        swingStrength: 3, // Свечей слева и справа от точки разворота
+        pivotInterval: 'D', // Пивоты по предыдущей завершенной свече этого интервала
+        clusterTolerance: 0.002, // Уровни ближе 0.2% объединяются в один
+        touchTolerance: 0.001, // Касание - экстремум свечи в пределах 0.1% от уровня
+        strongTouches: 4, // Касаний для максимальной силы по касаниям
+        touchWeight: 0.6, // Вес касаний в силе уровня
+        volumeWeight: 0.4, // Вес объема в силе уровня
+        pivotWeight: 0.3, // Надбавка силы для пивотов
+        minStrength: 0.3, // Более слабые уровни не учитываются
+        maxLevels: 10, // Максимум уровней
+        proximity: 0.003, // Цена ближе 0.3% к уровню - сигнал отскока в analyzeSignal
+        // Стопы и цели по уровням (не дальше стоп-лосса и тейк-профита из trading)
+        useForStops: true, // Стоп за ближайшим уровнем
+        useForTargets: true, // Цель перед ближайшим встречным уровнем
+        levelBuffer: 0.001, // Запас 0.1% за уровнем (стоп) и перед уровнем (цель)
+        minStopDistance: 0.004, // Стоп ближе 0.4% к цене входа не ставим
+        minRiskReward: 1.5, // Цель по уровню только при соотношении прибыль/риск не ниже
+        minRoom: 0.005 // Фильтр: до встречного уровня должно оставаться не меньше 0.5%
+    },
+    
+    // Профиль объема: POC, зона стоимости (VAH/VAL) и зоны низкого объема
+    volumeProfile: {
+        enabled: true,
+        timeframe: 'long', // Ключ из intervals: свечи для профиля (глубина должна покрывать прошлую сессию)
+        windows: ['session', 'rolling', 'daily'], // Текущая сессия, последние rollingBars свечей, предыдущая сессия
+        primaryWindow: 'session', // Окно для фильтра подтверждения
+        rollingBars: 96, // Свечей в скользящем окне (96 x 15 минут = 24 часа)
+        sessionStartHour: 0, // Начало сессии (час UTC)
+        rows: 50, // Ценовых строк в профиле
+        valueAreaPercent: 0.7, // Доля объема в зоне стоимости
+        lowVolumeThreshold: 0.3, // Строка слабее 30% от POC - зона низкого объема
+        proximity: 0.002 // Фильтр: цена в пределах 0.2% от VAL/VAH - отскок от границы зоны стоимости
+    },
+
+    // Свечные паттерны (candlestickPatterns.js) на последней закрытой свече - голос в analyzeSignal
+    candlestickPatterns: {
+        enabled: true,
+        timeframes: ['short', 'medium'], // Ключи из intervals: таймфреймы поиска паттернов
+        dojiBody: 0.1,           // Доджи: тело не больше 10% диапазона свечи
+        pinWickRatio: 2,         // Пин-бар: длинная тень не меньше 2 тел
+        pinOppositeWick: 0.25,   // Пин-бар: противоположная тень не больше 25% диапазона
+        longBody: 0.6,           // Длинная свеча: тело не меньше 60% диапазона
+        starBody: 0.3,           // Звезда: тело средней свечи не больше 30% тела первой
+        trendLookback: 10,       // Свечей перед паттерном для оценки предшествующего движения
+        levelTolerance: 0.002,   // Паттерн у уровня: экстремум в пределах 0.2% от уровня поддержки/сопротивления
+        levelBonus: 0.5,         // Надбавка к оценке паттерна у уровня (+50%)
+        trendBonus: 0.3,         // Надбавка к оценке паттерна по тренду (+30%)
+        counterTrendFactor: 0.5, // Множитель оценки паттерна против тренда
+        noMoveFactor: 0.5        // Множитель оценки разворотного паттерна без предшествующего движения
+    },
+
+    // Дивергенции RSI/MACD (divergence.js): обычные и скрытые по свинговым экстремумам цены и осциллятора
+    divergence: {
+        lookback: 60,      // Свечей для поиска экстремумов (не больше истории индикатора - 100 значений)
+        swingStrength: 3,  // Экстремум: максимум/минимум среди 3 свечей слева и справа
+        pivotTolerance: 2, // Экстремум осциллятора - в пределах 2 свечей от экстремума цены
+        minDistance: 5,    // Минимум свечей между экстремумами пары
+        maxDistance: 50,   // Максимум свечей между экстремумами пары
+        maxAge: 6          // Последний экстремум пары не старше 6 свечей
+    },
+
+    // Рыночный контекст (marketContext.js): входы по альткоинам с оглядкой на BTC/ETH
+    marketContext: {
+        enabled: true,
+        references: ['BTCUSDT', 'ETHUSDT'], // Ведущие символы (первый - главный, должны быть в symbols)
+        timeframe: 'medium',     // Ключ из intervals: тренд и моментум ведущих символов
+        momentumBars: 12,        // Свечей для моментума (12 x 5 минут = час)
+        momentumThreshold: 0.01, // Изменение за momentumBars больше 1% при согласованном тренде - медвежий/бычий контекст
+        shockTimeframe: 'short', // Ключ из intervals: поиск резких движений
+        shockBars: 15,           // Окно резкого движения (15 x 1 минута)
+        shockThreshold: 0.02,    // Падение/рост больше 2% за окно - обвал/взлет
+        vetoOnShock: true,       // Обвал запрещает лонги, взлет - шорты (false - только понижение скора)
+        downWeight: 0.7,         // Множитель скора лонгов в медвежьем контексте (шортов - в бычьем)
+        minScore: 45             // Скор ниже порога после понижения - вход отклоняется
+    },
+
+    // Корреляции символов (correlationMatrix.js) и лимит позиций в одном кластере (RiskManager.canTrade)
+    correlation: {
+        enabled: true,
+        timeframe: 'medium',      // Ключ из intervals: доходности для корреляций
+        lookback: 96,             // Доходностей в окне (96 x 5 минут = 8 часов)
+        minOverlap: 30,           // Минимум общих доходностей пары для оценки корреляции
+        refreshInterval: 300000,  // Пересчет матрицы не чаще раза в 5 минут
+        threshold: 0.7,           // Корреляция по модулю выше порога - позиции в одном кластере
+        maxClusterPositions: 3,   // Открытых позиций в кластере, при которых новая позиция отклоняется
+        sizeReduction: 0.5        // Множитель размера новой позиции за каждую позицию кластера (1 - без уменьшения)
+    },
+
+    // Режим рынка (marketRegime.js) и поведение бота в каждом режиме
+    marketRegime: {
+        enabled: true,
+        timeframe: 'medium',          // Ключ из intervals: свечи для классификации
+        adxPeriod: 14,
+        atrPeriod: 14,
+        bbPeriod: 20,
+        bbStdDev: 2,
+        structureLookback: 50,        // Свечей для структуры тренда (analyzeTrendStructure)
+        trendAdx: 25,                 // ADX выше - тренд
+        structureBias: 0.2,           // Перевес структуры против направления DI, при котором тренд не подтверждается
+        squeezeWidthPercentile: 0.15, // Ширина полос в нижних 15% истории - сжатие
+        chaosAtrPercentile: 0.9,      // ATR в верхних 10% истории без тренда - хаос
+        // Поведение по режимам (все поля необязательны):
+        //   weights - веса общего скора поверх trading.scoreWeights
+        //   filters - переопределение trading.filters
+        //   stopMultiplier / targetMultiplier - множители стоп-лосса и тейк-профита
+        //   noTrade - не открывать новые позиции
+        regimes: {
+            trending_up: {
+                weights: { technical: 0.3, trend: 0.4 },
+                stopMultiplier: 1.2,
+                targetMultiplier: 1.5
+            },
+            trending_down: {
+                weights: { technical: 0.3, trend: 0.4 },
+                stopMultiplier: 1.2,
+                targetMultiplier: 1.5
+            },
+            range: {
+                weights: { technical: 0.5, trend: 0.1, structure: 0.15 },
+                filters: { respectLevels: true },
+                stopMultiplier: 0.8,
+                targetMultiplier: 0.7
+            },
+            squeeze: {
+                filters: { requireVolumeConfirmation: true },
+                stopMultiplier: 0.8
+            },
+            high_vol_chaos: {
+                noTrade: true
+            }
+        }
+    },
+    
+    // Плагины индикаторов (indicatorRegistry.js): голосуют в analyzeSignal наравне со встроенными
+    // ADX, Stochastic, Williams %R, CCI и VWAP; параметры плагина - секция technicalAnalysis.<имя плагина>
+    indicatorPlugins: {
+        directory: 'plugins', // Каталог плагинов: каждый .js файл экспортирует плагин или массив плагинов
+        modules: []           // Дополнительные модули плагинов (пути относительно каталога бота или имена пакетов)
+    },
+
     // Параметры технического анализа
     technicalAnalysis: {
         rsi: {
@@ -52,6 +304,42 @@ module.exports = {
             period: 20,
             stdDev: 2
         },
+        // Секции плагинов индикаторов: enabled, weight (множитель силы голоса, по умолчанию 1) и параметры расчета
+        // ADX - сила тренда: во флэте (ADX ниже порога) вес краткосрочного тренда снижается
+        adx: {
+            enabled: true,
+            period: 14,
+            trendThreshold: 25, // ADX выше - рынок в тренде, голос по +DI/-DI
+            rangeTrendFactor: 0.5 // Множитель веса краткосрочного тренда во флэте
+        },
+        // Stochastic - тайминг входа: пересечение %K и %D в зонах перекупленности/перепроданности
+        stochastic: {
+            enabled: true,
+            period: 14,
+            signalPeriod: 3,
+            overbought: 80,
+            oversold: 20
+        },
+        // Williams %R - тайминг входа по зонам перекупленности/перепроданности
+        williamsR: {
+            enabled: true,
+            period: 14,
+            overbought: -20,
+            oversold: -80
+        },
+        // CCI - экстремальные отклонения от средней
+        cci: {
+            enabled: true,
+            period: 20,
+            extreme: 100,      // Экстремум
+            strongExtreme: 200 // Сильный экстремум
+        },
+        // VWAP сессии и полосы отклонения - внутридневной уклон
+        vwap: {
+            enabled: true,
+            sessionStartHour: 0, // Начало сессии (час UTC)
+            bands: [1, 2] // Полосы: VWAP ± N стандартных отклонений (последняя - граница перерастяжения)
+        },
         // Долгосрочный анализ тренда
         trendAnalysis: {
             // EMA для долгосрочного тренда
@@ -103,6 +391,15 @@ module.exports = {
         stopLoss: 0.02, // 2% стоп-лосс (более тугой)
         takeProfit: 0.06, // 4.5% тейк-профит (соотношение 1:3)
         
+        // Веса компонентов общего скора (calculateOverallScore), переопределяются режимом рынка
+        scoreWeights: {
+            technical: 0.4,
+            trend: 0.25,
+            volatility: 0.15,
+            volume: 0.1,
+            structure: 0.1
+        },
+        
         // Защита прибыли при смене тренда
         profitProtection: {
             enabled: true, // Включить защиту прибыли
@@ -152,8 +449,14 @@ module.exports = {
             // Избегать торговли в экстремальных условиях RSI (ослаблено для 40-50% сделок)
             avoidExtremeRSI: false,
             
-            // Требовать дивергенцию для сильных сигналов (ослаблено для 40-50% сделок)
-            preferDivergence: false
+            // Требовать дивергенцию RSI/MACD в сторону сделки для сильных сигналов (ослаблено для 40-50% сделок)
+            preferDivergence: false,
+            
+            // Не покупать вплотную под сопротивлением и не продавать над поддержкой (supportResistance.minRoom)
+            respectLevels: true,
+            
+            // Подтверждение профилем объема: покупка выше POC или от VAL, продажа ниже POC или от VAH
+            requireVolumeProfileConfirmation: false
         }
     },
     
@@ -0,0 +1,113 @@
+// Скользящая матрица корреляций доходностей отслеживаемых символов.
+// Доходность - логарифм отношения закрытий соседних свечей таймфрейма timeframe за последние lookback свечей;
+// ряды двух символов сопоставляются по времени свечи, корреляция Пирсона считается по общим доходностям
+// (меньше minOverlap общих доходностей - корреляция пары неизвестна, null).
+// Матрица пересчитывается по запросу, если с прошлого расчета прошло больше refreshInterval.
+class CorrelationMatrix {
+    constructor(technicalAnalysis, intervals, symbols, options = {}) {
+        this.technicalAnalysis = technicalAnalysis;
+        this.intervals = intervals; // config.intervals: имя таймфрейма -> интервал Bybit
+        this.symbols = symbols;
+        this.options = options;
+        this.matrix = {}; // symbol -> { symbol -> корреляция }
+        this.updatedAt = null;
+    }
+
+    // Пересчет матрицы по всем символам
+    update() {
+        const returns = Object.fromEntries(this.symbols.map(symbol => [symbol, this.getReturns(symbol)]));
+        const matrix = Object.fromEntries(this.symbols.map(symbol => [symbol, {}]));
+
+        for (let i = 0; i < this.symbols.length; i++) {
+            for (let j = i + 1; j < this.symbols.length; j++) {
+                const first = this.symbols[i];
+                const second = this.symbols[j];
+                const correlation = this.correlate(returns[first], returns[second]);
+                matrix[first][second] = correlation;
+                matrix[second][first] = correlation;
+            }
+        }
+
+        this.matrix = matrix;
+        this.updatedAt = Date.now();
+        return matrix;
+    }
+
+    // Пересчет устаревшей матрицы
+    refresh() {
+        if (!this.updatedAt || Date.now() - this.updatedAt >= this.options.refreshInterval) {
+            this.update();
+        }
+        return this.matrix;
+    }
+
+    // Корреляция пары символов (null - недостаточно общих данных)
+    getCorrelation(first, second) {
+        if (first === second) return 1;
+        const row = this.refresh()[first];
+        return row && row[second] !== undefined ? row[second] : null;
+    }
+
+    // Доходности символа: время свечи -> логарифмическая доходность
+    getReturns(symbol) {
+        const view = this.technicalAnalysis.forInterval(this.intervals[this.options.timeframe]);
+        const candles = view.getPriceHistory(symbol).slice(-(this.options.lookback + 1));
+        const returns = new Map();
+
+        for (let i = 1; i < candles.length; i++) {
+            if (candles[i - 1].close > 0 && candles[i].close > 0) {
+                returns.set(candles[i].timestamp, Math.log(candles[i].close / candles[i - 1].close));
+            }
+        }
+
+        return returns;
+    }
+
+    // Корреляция Пирсона по доходностям с совпадающим временем
+    correlate(first, second) {
+        const x = [];
+        const y = [];
+        for (const [timestamp, value] of first) {
+            if (second.has(timestamp)) {
+                x.push(value);
+                y.push(second.get(timestamp));
+            }
+        }
+        if (x.length < this.options.minOverlap) return null;
+
+        const meanX = x.reduce((sum, value) => sum + value, 0) / x.length;
+        const meanY = y.reduce((sum, value) => sum + value, 0) / y.length;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+        for (let i = 0; i < x.length; i++) {
+            covariance += (x[i] - meanX) * (y[i] - meanY);
+            varianceX += (x[i] - meanX) ** 2;
+            varianceY += (y[i] - meanY) ** 2;
+        }
+        if (varianceX === 0 || varianceY === 0) return null;
+
+        return covariance / Math.sqrt(varianceX * varianceY);
+    }
+
+    // Получение статуса матрицы: пары с корреляцией по модулю не ниже threshold
+    getStatus() {
+        const correlatedPairs = [];
+        for (let i = 0; i < this.symbols.length; i++) {
+            for (let j = i + 1; j < this.symbols.length; j++) {
+                const correlation = (this.matrix[this.symbols[i]] || {})[this.symbols[j]];
+                if (correlation !== null && correlation !== undefined && Math.abs(correlation) >= this.options.threshold) {
+                    correlatedPairs.push({ pair: `${this.symbols[i]}/${this.symbols[j]}`, correlation: Number(correlation.toFixed(2)) });
+                }
+            }
+        }
+
+        return {
+            symbols: this.symbols.length,
+            updatedAt: this.updatedAt,
+            correlatedPairs
+        };
+    }
+}
+
+module.exports = CorrelationMatrix;
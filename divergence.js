@@ -0,0 +1,134 @@
+// Дивергенции осциллятора (RSI, MACD) с ценой по свинговым экстремумам.
+// Экстремум - максимум/минимум среди swingStrength значений слева и справа; по цене берутся high/low свечей.
+// Каждому экстремуму цены сопоставляется экстремум осциллятора того же типа в пределах pivotTolerance свечей,
+// сравниваются два последних сопоставленных экстремума (между ними minDistance..maxDistance свечей,
+// последний не старше maxAge свечей):
+//   regular bullish - цена: более низкий минимум,   осциллятор: более высокий минимум (разворот вверх)
+//   hidden bullish  - цена: более высокий минимум,  осциллятор: более низкий минимум (продолжение роста)
+//   regular bearish - цена: более высокий максимум, осциллятор: более низкий максимум (разворот вниз)
+//   hidden bearish  - цена: более низкий максимум,  осциллятор: более высокий максимум (продолжение снижения)
+//
+// Результат detect(): [{ type, direction, pivots: { price: [p1, p2], oscillator: [o1, o2] } }],
+// где p/o = { index, timestamp, value } (index - позиция в переданном окне свечей)
+const DEFAULT_OPTIONS = {
+    lookback: 60,
+    swingStrength: 3,
+    pivotTolerance: 2,
+    minDistance: 5,
+    maxDistance: 50,
+    maxAge: 6
+};
+
+class DivergenceDetector {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // Дивергенции по свечам и значениям осциллятора, выровненным по последней свече
+    detect(candles, oscillator) {
+        const length = Math.min(candles.length, oscillator.length, this.options.lookback);
+        if (length < this.options.swingStrength * 2 + this.options.minDistance) return [];
+
+        const window = candles.slice(-length);
+        const values = oscillator.slice(-length);
+        const divergences = [];
+
+        const lows = this.matchPivots(
+            this.findPivots(window.map(candle => candle.low), 'low'),
+            this.findPivots(values, 'low')
+        );
+        const lowPair = this.getLastPair(lows, length);
+        if (lowPair) {
+            const [first, second] = lowPair;
+            if (second.price < first.price && second.oscillator > first.oscillator) {
+                divergences.push(this.build('regular', 'bullish', lowPair, window));
+            } else if (second.price > first.price && second.oscillator < first.oscillator) {
+                divergences.push(this.build('hidden', 'bullish', lowPair, window));
+            }
+        }
+
+        const highs = this.matchPivots(
+            this.findPivots(window.map(candle => candle.high), 'high'),
+            this.findPivots(values, 'high')
+        );
+        const highPair = this.getLastPair(highs, length);
+        if (highPair) {
+            const [first, second] = highPair;
+            if (second.price > first.price && second.oscillator < first.oscillator) {
+                divergences.push(this.build('regular', 'bearish', highPair, window));
+            } else if (second.price < first.price && second.oscillator > first.oscillator) {
+                divergences.push(this.build('hidden', 'bearish', highPair, window));
+            }
+        }
+
+        return divergences;
+    }
+
+    // Свинговые экстремумы ряда: [{ index, value }]
+    findPivots(values, kind) {
+        const pivots = [];
+        const strength = this.options.swingStrength;
+
+        for (let i = strength; i < values.length - strength; i++) {
+            let isPivot = true;
+            for (let j = i - strength; j <= i + strength && isPivot; j++) {
+                if (j === i) continue;
+                isPivot = kind === 'high' ? values[j] < values[i] : values[j] > values[i];
+            }
+            if (isPivot) {
+                pivots.push({ index: i, value: values[i] });
+            }
+        }
+
+        return pivots;
+    }
+
+    // Экстремумы цены с ближайшим экстремумом осциллятора в пределах pivotTolerance
+    matchPivots(pricePivots, oscillatorPivots) {
+        const matched = [];
+        for (const pivot of pricePivots) {
+            let nearest = null;
+            for (const candidate of oscillatorPivots) {
+                const distance = Math.abs(candidate.index - pivot.index);
+                if (distance <= this.options.pivotTolerance && (!nearest || distance < Math.abs(nearest.index - pivot.index))) {
+                    nearest = candidate;
+                }
+            }
+            if (nearest) {
+                matched.push({
+                    index: pivot.index,
+                    price: pivot.value,
+                    oscillatorIndex: nearest.index,
+                    oscillator: nearest.value
+                });
+            }
+        }
+        return matched;
+    }
+
+    // Два последних экстремума, если пара актуальна
+    getLastPair(pivots, length) {
+        if (pivots.length < 2) return null;
+
+        const first = pivots[pivots.length - 2];
+        const second = pivots[pivots.length - 1];
+        const distance = second.index - first.index;
+        if (distance < this.options.minDistance || distance > this.options.maxDistance) return null;
+        if (length - 1 - second.index > this.options.maxAge) return null;
+
+        return [first, second];
+    }
+
+    build(type, direction, pair, window) {
+        return {
+            type,
+            direction,
+            pivots: {
+                price: pair.map(pivot => ({ index: pivot.index, timestamp: window[pivot.index].timestamp, value: pivot.price })),
+                oscillator: pair.map(pivot => ({ index: pivot.oscillatorIndex, timestamp: window[pivot.oscillatorIndex].timestamp, value: pivot.oscillator }))
+            }
+        };
+    }
+}
+
+module.exports = DivergenceDetector;
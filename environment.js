@@ -0,0 +1,78 @@
+// Выбор окружения Bybit (demo / testnet / mainnet): хосты REST и WebSocket и API ключи.
+// Ключи читаются из переменных окружения (.env загружается в config.js через dotenv)
+const ENVIRONMENTS = {
+    demo: {
+        restUrl: 'https://api-demo.bybit.com',
+        // Демо-счет получает рыночные данные из основного публичного потока
+        wsUrl: 'wss://stream.bybit.com/v5/public/linear',
+        privateWsUrl: 'wss://stream-demo.bybit.com/v5/private',
+        keyVars: ['BYBIT_DEMO_API_KEY', 'BYBIT_DEMO_API_SECRET']
+    },
+    testnet: {
+        restUrl: 'https://api-testnet.bybit.com',
+        wsUrl: 'wss://stream-testnet.bybit.com/v5/public/linear',
+        privateWsUrl: 'wss://stream-testnet.bybit.com/v5/private',
+        keyVars: ['BYBIT_TESTNET_API_KEY', 'BYBIT_TESTNET_API_SECRET']
+    },
+    mainnet: {
+        restUrl: 'https://api.bybit.com',
+        wsUrl: 'wss://stream.bybit.com/v5/public/linear',
+        privateWsUrl: 'wss://stream.bybit.com/v5/private',
+        keyVars: ['BYBIT_API_KEY', 'BYBIT_API_SECRET']
+    }
+};
+
+class Environment {
+    constructor(config, env = process.env) {
+        const settings = config.environment || {};
+        this.name = (settings.name || 'demo').toLowerCase();
+
+        const hosts = ENVIRONMENTS[this.name];
+        if (!hosts) {
+            throw new Error(`Неизвестное окружение Bybit: ${this.name} (доступны: ${Object.keys(ENVIRONMENTS).join(', ')})`);
+        }
+
+        this.testnet = this.name === 'testnet';
+        this.mainnet = this.name === 'mainnet';
+        this.confirmMainnet = settings.confirmMainnet === true;
+
+        // Хосты окружения (переопределяются, например, для mock сервера)
+        this.restUrl = settings.restUrl || hosts.restUrl;
+        this.wsUrl = settings.wsUrl || hosts.wsUrl;
+        this.privateWsUrl = settings.privateWsUrl || hosts.privateWsUrl;
+
+        // Ключи: переменные окружения, для демо - также config.demo
+        const [keyVar, secretVar] = hosts.keyVars;
+        const fallback = this.name === 'demo' ? config.demo || {} : {};
+        this.keyVars = hosts.keyVars;
+        this.apiKey = env[keyVar] || fallback.apiKey || '';
+        this.apiSecret = env[secretVar] || fallback.apiSecret || '';
+    }
+
+    // Проверка перед запуском: ключи для торговли и подтверждение для mainnet
+    validate({ trading = true } = {}) {
+        if (!trading) return;
+
+        if (!this.apiKey || !this.apiSecret) {
+            throw new Error(`Не заданы API ключи для окружения ${this.name}: укажите ${this.keyVars.join(' и ')} в .env`);
+        }
+
+        if (this.mainnet && !this.confirmMainnet) {
+            throw new Error('Торговля на mainnet требует явного подтверждения: установите BYBIT_CONFIRM_MAINNET=yes');
+        }
+    }
+
+    // Информация об окружении без секретов
+    getStatus() {
+        return {
+            name: this.name,
+            restUrl: this.restUrl,
+            wsUrl: this.wsUrl,
+            hasCredentials: !!(this.apiKey && this.apiSecret),
+            mainnetConfirmed: this.mainnet ? this.confirmMainnet : null
+        };
+    }
+}
+
+module.exports = Environment;
+module.exports.ENVIRONMENTS = ENVIRONMENTS;
@@ -0,0 +1,120 @@
+// Контракт биржевого адаптера.
+// Бот работает только через эти методы и нормализованные объекты,
+// поэтому биржу можно заменить (бумажная торговля, симулятор, другая площадка).
+//
+// Нормализованные объекты:
+//   Свеча:       { start, open, high, low, close, volume, confirmed }
+//   Баланс:      { coin, walletBalance, equity, available }
+//   Позиция:     { symbol, side, size, entryPrice, markPrice, unrealisedPnl, takeProfit, stopLoss, createdTime, updatedTime }
+//   Ордер:       { orderId, symbol, side, orderType, qty, price, triggerPrice, status, filledQty, avgPrice, reduceOnly,
+//                  takeProfit, stopLoss, createdTime }
+//   Результат:   { success, orderId, code, message }
+//   Инструмент:  { symbol, status, minOrderQty, maxOrderQty, maxMktOrderQty, qtyStep, qtyDecimals,
+//                  tickSize, priceDecimals, minPrice, maxPrice, minNotionalValue, maxLeverage }
+//   Исполнение:  { symbol, orderId, side, qty, price, fee, closedSize, leavesQty, closeReason, time }
+//
+// События аккаунта: { type: 'order' | 'execution' | 'position' | 'wallet', data: Ордер | Исполнение | Позиция | Баланс }
+// (позиция с size = 0 означает, что позиция закрыта на бирже)
+class ExchangeAdapter {
+    constructor(name) {
+        this.name = name;
+        this.instruments = null;
+    }
+
+    // Подключение к бирже (проверка доступности, синхронизация и т.д.)
+    async connect() {
+        throw new Error(`${this.name}: connect() не реализован`);
+    }
+
+    // Отключение от биржи
+    async close() {
+        throw new Error(`${this.name}: close() не реализован`);
+    }
+
+    // Установка реестра инструментов для валидации ордеров
+    setInstrumentRegistry(registry) {
+        this.instruments = registry;
+    }
+
+    // Баланс монеты -> Баланс | null
+    async getBalance(coin = 'USDT') {
+        throw new Error(`${this.name}: getBalance() не реализован`);
+    }
+
+    // Открытые позиции -> Позиция[]
+    async getPositions(symbol = null) {
+        throw new Error(`${this.name}: getPositions() не реализован`);
+    }
+
+    // Активные ордера -> Ордер[]
+    async getActiveOrders(symbol = null) {
+        throw new Error(`${this.name}: getActiveOrders() не реализован`);
+    }
+
+    // Размещение ордера { symbol, side, qty, orderType, price, takeProfit, stopLoss } -> Результат
+    async placeOrder(order) {
+        throw new Error(`${this.name}: placeOrder() не реализован`);
+    }
+
+    // Отмена ордера -> Результат
+    async cancelOrder(symbol, orderId) {
+        throw new Error(`${this.name}: cancelOrder() не реализован`);
+    }
+
+    // Установка TP/SL открытой позиции { takeProfit, stopLoss } -> Результат
+    async setTradingStop(symbol, { takeProfit = null, stopLoss = null } = {}) {
+        throw new Error(`${this.name}: setTradingStop() не реализован`);
+    }
+
+    // Закрытие позиции рыночным ордером -> Результат
+    async closePosition(symbol, side, qty) {
+        throw new Error(`${this.name}: closePosition() не реализован`);
+    }
+
+    // Исторические свечи (от старых к новым, необязательный диапазон { start, end } по времени открытия) -> Свеча[]
+    async getKlines(symbol, interval, limit = 200, range = {}) {
+        throw new Error(`${this.name}: getKlines() не реализован`);
+    }
+
+    // Параметры инструментов -> Инструмент[]
+    async getInstruments() {
+        throw new Error(`${this.name}: getInstruments() не реализован`);
+    }
+
+    // Подписка на свечи: handler(symbol, interval, Свеча)
+    async subscribeKlines(symbols, interval, handler) {
+        throw new Error(`${this.name}: subscribeKlines() не реализован`);
+    }
+
+    // Подписка на события аккаунта: handler(Событие) -> true, если поток доступен.
+    // Без потока состояние обновляется только по ответам REST
+    async subscribeAccount(handler) {
+        return false;
+    }
+
+    // Переподключение потоков данных с восстановлением подписок
+    async reconnectStreams() {
+        throw new Error(`${this.name}: reconnectStreams() не реализован`);
+    }
+
+    // Состояние потоков данных
+    getStreamStatus() {
+        return { isConnected: true, timeSinceLastData: 0 };
+    }
+
+    // Состояние часов относительно биржи (для подписанных запросов)
+    getClockStatus() {
+        return { synced: true, drift: 0, withinThreshold: true };
+    }
+
+    // Диагностика адаптера
+    getStatus() {
+        return {
+            exchange: this.name,
+            streams: this.getStreamStatus(),
+            clock: this.getClockStatus()
+        };
+    }
+}
+
+module.exports = ExchangeAdapter;
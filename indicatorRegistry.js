@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { defineIndicator } = require('./streamingIndicators');
+const BUILTIN_INDICATORS = require('./builtinIndicators');
+
+// Реестр плагинов индикаторов, голосующих в TechnicalAnalysis.analyzeSignal.
+// Плагин - объект (или массив объектов) из модуля:
+//   name     - уникальное имя; ключ в config.technicalAnalysis и в details.indicators сигнала
+//   inputs   - поля свечи для калькулятора: одно поле передается числом, несколько - объектом с этими полями
+//   params   - параметры по умолчанию (переопределяются config.technicalAnalysis[name])
+//   warmup   - число свечей до первого голоса (число или функция от параметров)
+//   create   - (params) => потоковый калькулятор (наследник StreamingIndicator: push/rollback/value)
+//   vote     - (value, params, context) => { signal: 'bullish'|'bearish'|'neutral', strength, confidence, ... } или null;
+//              context = { symbol, interval, currentPrice, history } (history - последние значения калькулятора).
+//              Необязательное поле голоса trendFactor - множитель веса краткосрочного тренда (ADX во флэте)
+//   describe - необязательно: (vote) => краткое значение для лога анализа (по умолчанию signal)
+// Общие настройки плагина в config.technicalAnalysis[name]: enabled (по умолчанию true) и weight - множитель силы голоса.
+// Источники: встроенные плагины (builtinIndicators.js), config.indicatorPlugins.modules и каталог config.indicatorPlugins.directory.
+const ROOT_DIR = __dirname;
+
+class IndicatorRegistry {
+    constructor(options = {}) {
+        this.plugins = new Map(); // name -> { plugin, source }
+        this.settings = options.settings || {}; // Секции параметров по имени плагина (config.technicalAnalysis)
+
+        for (const plugin of BUILTIN_INDICATORS) {
+            this.register(plugin, 'builtin');
+        }
+        for (const modulePath of options.modules || []) {
+            this.loadModule(modulePath);
+        }
+        if (options.directory) {
+            this.loadDirectory(options.directory);
+        }
+    }
+
+    // Регистрация плагина (повторное имя заменяет прежний плагин)
+    register(plugin, source = 'custom') {
+        this.validate(plugin);
+
+        if (this.plugins.has(plugin.name)) {
+            console.warn(`⚠️ Плагин индикатора ${plugin.name} (${this.plugins.get(plugin.name).source}) заменен плагином из ${source}`);
+        }
+
+        const paramNames = Object.keys(plugin.params || {});
+        const inputs = plugin.inputs;
+        defineIndicator(this.indicatorName(plugin.name), {
+            create: (...values) => plugin.create(Object.fromEntries(paramNames.map((name, index) => [name, values[index]]))),
+            input: inputs.length === 1
+                ? candle => candle[inputs[0]]
+                : candle => Object.fromEntries(inputs.map(field => [field, candle[field]]))
+        });
+
+        this.plugins.set(plugin.name, { plugin, source, paramNames });
+    }
+
+    validate(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+            throw new Error('Плагин индикатора должен иметь имя (name)');
+        }
+        if (!Array.isArray(plugin.inputs) || plugin.inputs.length === 0) {
+            throw new Error(`Плагин ${plugin.name}: inputs должен быть непустым списком полей свечи`);
+        }
+        if (typeof plugin.create !== 'function' || typeof plugin.vote !== 'function') {
+            throw new Error(`Плагин ${plugin.name}: обязательны функции create и vote`);
+        }
+    }
+
+    // Загрузка модуля плагинов (путь относительно каталога бота или имя пакета)
+    loadModule(modulePath, source = modulePath) {
+        try {
+            const resolved = modulePath.startsWith('.') || path.isAbsolute(modulePath)
+                ? path.resolve(ROOT_DIR, modulePath)
+                : modulePath;
+            const exported = require(resolved);
+            const plugins = Array.isArray(exported) ? exported : [exported];
+            for (const plugin of plugins) {
+                this.register(plugin, source);
+            }
+        } catch (error) {
+            console.error(`❌ Ошибка загрузки плагина индикатора ${source}:`, error.message);
+        }
+    }
+
+    // Загрузка всех .js файлов каталога плагинов (отсутствующий каталог пропускается)
+    loadDirectory(directory) {
+        const dir = path.resolve(ROOT_DIR, directory);
+        if (!fs.existsSync(dir)) return;
+
+        const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+        for (const file of files) {
+            this.loadModule(path.join(dir, file), path.join(directory, file));
+        }
+        if (files.length > 0) {
+            console.log(`🧩 Загружено плагинов индикаторов из ${directory}: ${files.length}`);
+        }
+    }
+
+    indicatorName(name) {
+        return `plugin:${name}`;
+    }
+
+    // Параметры плагина: значения по умолчанию + секция конфигурации
+    getSettings(name) {
+        const { plugin } = this.plugins.get(name);
+        return { enabled: true, weight: 1.0, ...plugin.params, ...(this.settings[name] || {}) };
+    }
+
+    // Включенные плагины
+    getEnabled() {
+        return [...this.plugins.keys()].filter(name => this.getSettings(name).enabled !== false);
+    }
+
+    // Голоса включенных плагинов по серии: name -> голос (плагины без голоса или без прогрева пропускаются)
+    evaluate(indicators, symbol, interval, currentPrice) {
+        const votes = {};
+        const length = indicators.store.getCandles(symbol, interval).length;
+
+        for (const name of this.getEnabled()) {
+            const { plugin, paramNames } = this.plugins.get(name);
+            const params = this.getSettings(name);
+            const warmup = typeof plugin.warmup === 'function' ? plugin.warmup(params) : plugin.warmup || 0;
+            if (length < warmup) continue;
+
+            try {
+                const tracker = indicators.get(symbol, interval, this.indicatorName(name), paramNames.map(param => params[param]));
+                const vote = plugin.vote(tracker.value, params, { symbol, interval, currentPrice, history: tracker.history });
+                if (!vote) continue;
+
+                votes[name] = { ...vote, strength: (vote.strength || 0) * params.weight, confidence: vote.confidence || 0 };
+            } catch (error) {
+                console.error(`❌ Ошибка плагина индикатора ${name} (${symbol}):`, error.message);
+            }
+        }
+
+        return votes;
+    }
+
+    // Краткие значения голосов для лога анализа
+    describe(votes = {}) {
+        const summary = {};
+        for (const [name, vote] of Object.entries(votes)) {
+            const entry = this.plugins.get(name);
+            summary[name] = entry && entry.plugin.describe ? entry.plugin.describe(vote) : vote.signal;
+        }
+        return summary;
+    }
+
+    // Получение статуса плагинов
+    getStatus() {
+        const status = {};
+        for (const [name, entry] of this.plugins) {
+            status[name] = { source: entry.source, enabled: this.getSettings(name).enabled !== false };
+        }
+        return status;
+    }
+}
+
+module.exports = IndicatorRegistry;
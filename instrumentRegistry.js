@@ -0,0 +1,134 @@
+// Реестр параметров инструментов (шаг лота, шаг цены, минимальный объем и т.д.)
+// Загружается через биржевой адаптер (getInstruments) и является единственным источником
+// для округления количества, округления цен TP/SL и валидации ордеров
+class InstrumentRegistry {
+    constructor(exchange, config) {
+        this.exchange = exchange;
+        this.config = config;
+        this.instruments = new Map();
+        this.lastUpdate = null;
+        this.refreshInterval = null;
+        this.refreshIntervalMs = config?.instruments?.refreshInterval || 60 * 60 * 1000; // 1 час
+    }
+
+    // Загрузка информации обо всех инструментах биржи
+    async load() {
+        const loaded = new Map();
+        for (const instrument of await this.exchange.getInstruments()) {
+            loaded.set(instrument.symbol, instrument);
+        }
+
+        this.instruments = loaded;
+        this.lastUpdate = Date.now();
+
+        const missing = (this.config?.symbols || []).filter(symbol => !loaded.has(symbol));
+        console.log(`📊 Загружено ${loaded.size} инструментов`);
+        if (missing.length > 0) {
+            console.warn(`⚠️ Инструменты не найдены на бирже: ${missing.join(', ')}`);
+        }
+
+        return this.instruments;
+    }
+
+    // Запуск периодического обновления
+    startAutoRefresh() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+        }
+
+        this.refreshInterval = setInterval(async () => {
+            try {
+                await this.load();
+            } catch (error) {
+                // Оставляем прежние данные, если обновление не удалось
+                console.error('❌ Ошибка обновления инструментов:', error.message);
+            }
+        }, this.refreshIntervalMs);
+    }
+
+    // Остановка периодического обновления
+    stopAutoRefresh() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+    }
+
+    // Получение параметров инструмента
+    get(symbol) {
+        return this.instruments.get(symbol) || null;
+    }
+
+    // Проверка, что инструмент торгуется
+    isTradable(symbol) {
+        const instrument = this.get(symbol);
+        return !!instrument && instrument.status === 'Trading';
+    }
+
+    // Минимальное количество для ордера
+    getMinQty(symbol) {
+        const instrument = this.get(symbol);
+        return instrument ? instrument.minOrderQty : null;
+    }
+
+    // Округление количества вниз до шага лота
+    roundQty(symbol, qty) {
+        const instrument = this.get(symbol);
+        if (!instrument) return qty;
+
+        const steps = Math.floor(qty / instrument.qtyStep + 1e-9);
+        return parseFloat((steps * instrument.qtyStep).toFixed(instrument.qtyDecimals));
+    }
+
+    // Округление цены до шага цены
+    roundPrice(symbol, price) {
+        const instrument = this.get(symbol);
+        if (!instrument) return price;
+
+        const ticks = Math.round(price / instrument.tickSize);
+        return parseFloat((ticks * instrument.tickSize).toFixed(instrument.priceDecimals));
+    }
+
+    // Валидация параметров ордера
+    validateOrder(symbol, qty, price = null, orderType = 'Market') {
+        const instrument = this.get(symbol);
+        if (!instrument) {
+            return { valid: false, reason: `Инструмент ${symbol} не найден` };
+        }
+
+        if (instrument.status !== 'Trading') {
+            return { valid: false, reason: `Инструмент ${symbol} не торгуется (статус: ${instrument.status})` };
+        }
+
+        const quantity = parseFloat(qty);
+        if (quantity < instrument.minOrderQty) {
+            return { valid: false, reason: `Количество ${quantity} меньше минимального ${instrument.minOrderQty} для ${symbol}` };
+        }
+
+        const maxQty = orderType === 'Market' ? instrument.maxMktOrderQty : instrument.maxOrderQty;
+        if (quantity > maxQty) {
+            return { valid: false, reason: `Количество ${quantity} больше максимального ${maxQty} для ${symbol}` };
+        }
+
+        if (this.roundQty(symbol, quantity) !== quantity) {
+            return { valid: false, reason: `Количество ${quantity} не кратно шагу ${instrument.qtyStep} для ${symbol}` };
+        }
+
+        if (price && instrument.minNotionalValue > 0 && quantity * price < instrument.minNotionalValue) {
+            return { valid: false, reason: `Сумма ордера ${(quantity * price).toFixed(2)} меньше минимальной ${instrument.minNotionalValue} для ${symbol}` };
+        }
+
+        return { valid: true };
+    }
+
+    // Получение статуса реестра
+    getStatus() {
+        return {
+            instruments: this.instruments.size,
+            lastUpdate: this.lastUpdate,
+            autoRefresh: this.refreshInterval !== null
+        };
+    }
+}
+
+module.exports = InstrumentRegistry;
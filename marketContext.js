@@ -0,0 +1,124 @@
+// Рыночный контекст по ведущим символам (BTC и, при желании, ETH) для входов по альткоинам.
+// По каждому ведущему символу считаются:
+//   trend    - краткосрочный тренд (TechnicalAnalysis.analyzeTrend) на таймфрейме timeframe
+//   momentum - изменение цены за momentumBars свечей того же таймфрейма
+//   shock    - резкое движение за shockBars свечей таймфрейма shockTimeframe:
+//              'dump' - падение от максимума окна больше shockThreshold, 'pump' - рост от минимума окна
+// Состояние символа: dump | pump (шок), bearish | bullish (тренд и моментум согласованы), neutral.
+// Общее состояние - по первому ведущему символу, но шок любого ведущего символа важнее.
+//
+// evaluate(symbol, action) -> { veto, factor, state, reason }:
+//   лонг при обвале (шорт при взлете) - запрет при vetoOnShock, иначе понижение скора;
+//   лонг при медвежьем (шорт при бычьем) контексте - понижение скора в downWeight раз.
+// Сам ведущий символ оценивается только по остальным ведущим символам.
+const STATE_PRIORITY = { dump: 2, pump: 2, bearish: 1, bullish: 1, neutral: 0 };
+
+class MarketContext {
+    constructor(technicalAnalysis, intervals, options = {}) {
+        this.technicalAnalysis = technicalAnalysis;
+        this.intervals = intervals; // config.intervals: имя таймфрейма -> интервал Bybit
+        this.options = options;
+        this.references = {}; // symbol -> последнее состояние ведущего символа
+        this.updatedAt = null;
+    }
+
+    // Пересчет состояния ведущих символов -> { state, references }
+    update() {
+        for (const symbol of this.options.references) {
+            const reference = this.analyzeReference(symbol);
+            if (reference) {
+                this.references[symbol] = reference;
+            }
+        }
+        this.updatedAt = Date.now();
+        return this.getContext();
+    }
+
+    // Текущий контекст (без символа exclude - для оценки самого ведущего символа)
+    getContext(exclude = null) {
+        const symbols = this.options.references.filter(symbol => symbol !== exclude && this.references[symbol]);
+        const references = Object.fromEntries(symbols.map(symbol => [symbol, this.references[symbol]]));
+        const states = symbols.map(symbol => references[symbol].state);
+        const leader = states[0] || 'neutral';
+        const shock = states.find(state => STATE_PRIORITY[state] === 2);
+        const state = shock && STATE_PRIORITY[leader] < 2 ? shock : leader;
+
+        return { state, references, updatedAt: this.updatedAt };
+    }
+
+    // Состояние ведущего символа (null - недостаточно данных)
+    analyzeReference(symbol) {
+        const view = this.technicalAnalysis.forInterval(this.intervals[this.options.timeframe]);
+        const candles = view.getPriceHistory(symbol);
+        if (candles.length <= this.options.momentumBars) return null;
+
+        const trend = view.analyzeTrend(symbol);
+        const last = candles[candles.length - 1].close;
+        const base = candles[candles.length - 1 - this.options.momentumBars].close;
+        const momentum = (last - base) / base;
+        const shock = this.detectShock(symbol);
+
+        let state = 'neutral';
+        if (shock.type !== 'none') {
+            state = shock.type;
+        } else if (trend.trend === 'bearish' && momentum <= -this.options.momentumThreshold) {
+            state = 'bearish';
+        } else if (trend.trend === 'bullish' && momentum >= this.options.momentumThreshold) {
+            state = 'bullish';
+        }
+
+        return { state, trend: trend.trend, trendStrength: trend.strength, momentum, shock, price: last };
+    }
+
+    // Резкое движение: падение от максимума или рост от минимума окна shockBars
+    detectShock(symbol) {
+        const view = this.technicalAnalysis.forInterval(this.intervals[this.options.shockTimeframe]);
+        const window = view.getPriceHistory(symbol).slice(-this.options.shockBars);
+        if (window.length === 0) return { type: 'none', change: 0 };
+
+        const close = window[window.length - 1].close;
+        const high = Math.max(...window.map(candle => candle.high));
+        const low = Math.min(...window.map(candle => candle.low));
+        const drop = (close - high) / high;
+        const rise = (close - low) / low;
+
+        if (-drop >= this.options.shockThreshold && -drop >= rise) return { type: 'dump', change: drop };
+        if (rise >= this.options.shockThreshold) return { type: 'pump', change: rise };
+        return { type: 'none', change: Math.abs(drop) > rise ? drop : rise };
+    }
+
+    // Оценка входа по символу в текущем контексте
+    evaluate(symbol, action) {
+        const context = this.getContext(symbol);
+        const against = action === 'buy' ? { shock: 'dump', trend: 'bearish' } : { shock: 'pump', trend: 'bullish' };
+
+        if (context.state === against.shock) {
+            return {
+                veto: this.options.vetoOnShock,
+                factor: this.options.vetoOnShock ? 0 : this.options.downWeight,
+                state: context.state,
+                reason: action === 'buy' ? 'обвал ведущих монет' : 'взлет ведущих монет'
+            };
+        }
+        if (context.state === against.trend) {
+            return {
+                veto: false,
+                factor: this.options.downWeight,
+                state: context.state,
+                reason: action === 'buy' ? 'медвежий контекст ведущих монет' : 'бычий контекст ведущих монет'
+            };
+        }
+        return { veto: false, factor: 1, state: context.state, reason: null };
+    }
+
+    // Получение статуса контекста
+    getStatus() {
+        return {
+            state: this.getContext().state,
+            references: Object.fromEntries(Object.entries(this.references).map(([symbol, reference]) => [symbol, reference.state])),
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = MarketContext;
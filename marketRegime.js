@@ -0,0 +1,57 @@
+// Классификация режима рынка по символу.
+// Входы (TechnicalAnalysis.analyzeMarketRegime):
+//   adx, pdi, mdi       - сила и направление тренда
+//   atrPercentile       - доля значений ATR из истории индикатора, не превышающих текущее (0..1)
+//   bbWidthPercentile   - то же для ширины полос Боллинджера ((upper - lower) / middle)
+//   structure           - { bullishSignals, bearishSignals } из TechnicalAnalysis.analyzeTrendStructure
+// Режимы (проверяются по порядку):
+//   high_vol_chaos - ATR в верхнем chaosAtrPercentile истории без подтвержденного тренда
+//   squeeze        - полосы Боллинджера сжаты (ширина в нижнем squeezeWidthPercentile) и ADX ниже порога
+//   trending_up    - ADX выше trendAdx, +DI > -DI, структура не медвежья
+//   trending_down  - ADX выше trendAdx, -DI > +DI, структура не бычья
+//   range          - все остальное
+const DEFAULT_OPTIONS = {
+    trendAdx: 25,
+    structureBias: 0.2,
+    squeezeWidthPercentile: 0.15,
+    chaosAtrPercentile: 0.9
+};
+
+class MarketRegime {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // Режим по входам -> { regime, reason, metrics }
+    classify({ adx, pdi, mdi, atrPercentile, bbWidthPercentile, structure }) {
+        const total = structure.bullishSignals + structure.bearishSignals;
+        const structureBias = total > 0 ? (structure.bullishSignals - structure.bearishSignals) / total : 0;
+        const trending = adx !== null && adx >= this.options.trendAdx;
+        const direction = pdi > mdi ? 'up' : 'down';
+        const structureAgrees = direction === 'up'
+            ? structureBias > -this.options.structureBias
+            : structureBias < this.options.structureBias;
+        const confirmedTrend = trending && structureAgrees;
+
+        const metrics = { adx, pdi, mdi, atrPercentile, bbWidthPercentile, structureBias };
+
+        if (atrPercentile !== null && atrPercentile >= this.options.chaosAtrPercentile && !confirmedTrend) {
+            return { regime: 'high_vol_chaos', reason: `ATR в верхних ${((1 - this.options.chaosAtrPercentile) * 100).toFixed(0)}% истории без тренда`, metrics };
+        }
+        if (bbWidthPercentile !== null && bbWidthPercentile <= this.options.squeezeWidthPercentile && !trending) {
+            return { regime: 'squeeze', reason: 'сжатие полос Боллинджера при слабом ADX', metrics };
+        }
+        if (confirmedTrend) {
+            return { regime: `trending_${direction}`, reason: `ADX ${adx.toFixed(1)}, ${direction === 'up' ? '+DI > -DI' : '-DI > +DI'}, структура согласована`, metrics };
+        }
+        return { regime: 'range', reason: trending ? 'ADX выше порога, но структура противоречит направлению' : 'слабый ADX', metrics };
+    }
+
+    // Доля значений истории, не превышающих текущее значение
+    static percentile(history, value) {
+        if (value === null || history.length === 0) return null;
+        return history.filter(item => item <= value).length / history.length;
+    }
+}
+
+module.exports = MarketRegime;
@@ -0,0 +1,623 @@
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const PaperBroker = require('./paperBroker');
+
+// Локальная замена Bybit для интеграционного тестирования.
+// Поднимает на одном порту REST API v5 (эндпоинты, которые использует BybitRestApi)
+// публичный WebSocket linear (kline) и приватный WebSocket (order, execution, position, wallet),
+// чтобы бот мог работать без api-demo.bybit.com и stream.bybit.com.
+// Торговые эндпоинты исполняются бумажным брокером, рыночные данные берутся из фикстур.
+//
+// Формат фикстур (JSON файл или объект):
+//   symbols:         ['BTCUSDT', ...]                         - символы для инструментов и сгенерированных свечей по умолчанию
+//   instruments:     [{ symbol, qtyStep, tickSize, minOrderQty, minNotionalValue, status }]
+//   klines:          { BTCUSDT: { '1': [{ start, open, high, low, close, volume }] } } - от старых к новым
+//   account:         { initialBalance, leverage, takerFee, makerFee, slippage }
+//   failures:        [{ endpoint, retCode, retMsg, httpStatus, times }] - ошибки REST по эндпоинту
+//   orderRejections: [{ symbol, retCode, retMsg, times }]           - отклонения ордеров
+//   disconnects:     [5000, ...]                                      - разрывы WebSocket через N мс после старта
+//   timeOffset:      0                                                - смещение часов сервера (мс)
+class MockBybitServer {
+    constructor(options = {}) {
+        const fixtures = MockBybitServer.loadFixtures(options.fixtures);
+
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? 0; // 0 - любой свободный порт
+        this.apiKey = options.apiKey || null; // Если задан, подпись запросов проверяется
+        this.apiSecret = options.apiSecret || null;
+        this.rateLimit = options.rateLimit || 10; // Запросов в секунду на эндпоинт (X-Bapi-Limit)
+        this.timeOffset = fixtures.timeOffset || 0;
+        this.symbols = fixtures.symbols || ['BTCUSDT', 'ETHUSDT'];
+
+        // Рыночные данные
+        this.instruments = (fixtures.instruments || this.symbols.map(symbol => ({ symbol })))
+            .map(item => this.createInstrument(item));
+        this.klines = new Map(); // `${symbol}_${interval}` -> свечи от старых к новым
+        for (const [symbol, intervals] of Object.entries(fixtures.klines || {})) {
+            for (const [interval, candles] of Object.entries(intervals)) {
+                this.setKlines(symbol, interval, candles);
+            }
+        }
+
+        // Сценарий ошибок
+        this.failures = (fixtures.failures || []).map(failure => ({ times: 1, ...failure }));
+        this.orderRejections = (fixtures.orderRejections || []).map(rejection => ({ times: 1, ...rejection }));
+        this.disconnects = fixtures.disconnects || [];
+
+        // Торговый счет (только в памяти)
+        this.broker = new PaperBroker({ ...fixtures.account, ledgerFile: null }, symbol => this.getLastPrice(symbol));
+        this.broker.onPrivateData = message => this.broadcastPrivate(message);
+
+        this.server = null;
+        this.wss = null;
+        this.privateWss = null;
+        this.clients = new Set();
+        this.timers = [];
+        this.requests = [];
+        this.limitWindows = new Map();
+        this.connSeq = 0;
+    }
+
+    // Загрузка фикстур из файла или объекта
+    static loadFixtures(fixtures) {
+        if (!fixtures) return {};
+        if (typeof fixtures === 'string') {
+            return JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+        }
+        return fixtures;
+    }
+
+    // ==================== ЗАПУСК И ОСТАНОВКА ====================
+
+    // Запуск сервера -> { restUrl, wsUrl }
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handleHttp(req, res));
+            this.wss = new WebSocket.Server({ noServer: true });
+            this.wss.on('connection', ws => this.handleConnection(ws, false));
+            this.privateWss = new WebSocket.Server({ noServer: true });
+            this.privateWss.on('connection', ws => this.handleConnection(ws, true));
+
+            // Маршрутизация WebSocket по пути: публичный и приватный каналы на одном порту
+            this.server.on('upgrade', (req, socket, head) => {
+                const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+                const wss = pathname === '/v5/public/linear' ? this.wss : pathname === '/v5/private' ? this.privateWss : null;
+                if (!wss) {
+                    socket.destroy();
+                    return;
+                }
+                wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+            });
+
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+
+                // Запланированные разрывы WebSocket из фикстур
+                for (const delay of this.disconnects) {
+                    this.timers.push(setTimeout(() => this.disconnectClients(), delay));
+                }
+
+                const urls = this.getUrls();
+                console.log(`🧪 Mock Bybit запущен: ${urls.restUrl}, ${urls.wsUrl}, ${urls.privateWsUrl}`);
+                resolve(this.getUrls());
+            });
+        });
+    }
+
+    // Остановка сервера
+    stop() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers = [];
+
+        for (const ws of this.clients) {
+            ws.terminate();
+        }
+        this.clients.clear();
+
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+
+            this.wss.close();
+            this.privateWss.close();
+            this.server.close(() => {
+                this.server = null;
+                this.wss = null;
+                this.privateWss = null;
+                console.log('🧪 Mock Bybit остановлен');
+                resolve();
+            });
+        });
+    }
+
+    // Адреса для config.environment (restUrl, wsUrl, privateWsUrl)
+    getUrls() {
+        return {
+            restUrl: `http://${this.host}:${this.port}`,
+            wsUrl: `ws://${this.host}:${this.port}/v5/public/linear`,
+            privateWsUrl: `ws://${this.host}:${this.port}/v5/private`
+        };
+    }
+
+    // ==================== СЦЕНАРИЙ ====================
+
+    // Ошибка для следующих запросов к эндпоинту (retCode в ответе или HTTP статус)
+    failNext(endpoint, { retCode = 10016, retMsg = 'Server error', httpStatus = null, times = 1 } = {}) {
+        this.failures.push({ endpoint, retCode, retMsg, httpStatus, times });
+    }
+
+    // Отклонение следующих ордеров (symbol = null - для любого символа)
+    rejectOrders({ symbol = null, retCode = 110007, retMsg = 'ab not enough for new order', times = 1 } = {}) {
+        this.orderRejections.push({ symbol, retCode, retMsg, times });
+    }
+
+    // Замена серии свечей символа
+    setKlines(symbol, interval, candles) {
+        this.klines.set(`${symbol}_${interval}`, candles.map(candle => this.normalizeCandle(candle)));
+    }
+
+    // Смещение часов сервера относительно локального времени (мс)
+    setTimeOffset(offset) {
+        this.timeOffset = offset;
+    }
+
+    // Публикация свечи в WebSocket (обновляет историю и цены брокера)
+    pushKline(symbol, interval, candle, confirm = true) {
+        const normalized = this.normalizeCandle(candle);
+        const key = `${symbol}_${interval}`;
+        const candles = this.klines.get(key) || this.generateKlines(symbol, interval);
+        const last = candles[candles.length - 1];
+
+        if (last && last.start === normalized.start) {
+            candles[candles.length - 1] = normalized;
+        } else {
+            candles.push(normalized);
+        }
+        this.klines.set(key, candles);
+        this.broker.onCandle(symbol, normalized);
+
+        const now = this.now();
+        this.broadcast(`kline.${interval}.${symbol}`, {
+            topic: `kline.${interval}.${symbol}`,
+            data: [{
+                start: normalized.start,
+                end: normalized.start + this.intervalMs(interval) - 1,
+                interval: interval,
+                open: normalized.open.toString(),
+                close: normalized.close.toString(),
+                high: normalized.high.toString(),
+                low: normalized.low.toString(),
+                volume: normalized.volume.toString(),
+                turnover: (normalized.volume * normalized.close).toString(),
+                confirm: confirm,
+                timestamp: now
+            }],
+            ts: now,
+            type: 'snapshot'
+        });
+    }
+
+    // Последовательная публикация серии свечей с паузой между ними
+    playKlines(symbol, interval, candles, delay = 100) {
+        return new Promise(resolve => {
+            let index = 0;
+            const next = () => {
+                if (index >= candles.length || !this.server) {
+                    resolve();
+                    return;
+                }
+                this.pushKline(symbol, interval, candles[index++]);
+                this.timers.push(setTimeout(next, delay));
+            };
+            next();
+        });
+    }
+
+    // Обрыв всех WebSocket соединений (клиент увидит закрытие с кодом 1006)
+    disconnectClients() {
+        console.log(`🧪 Mock Bybit: разрыв ${this.clients.size} WebSocket соединений`);
+        for (const ws of this.clients) {
+            ws.terminate();
+        }
+        this.clients.clear();
+    }
+
+    // Журнал полученных REST запросов
+    getRequests(endpoint = null) {
+        return endpoint ? this.requests.filter(request => request.endpoint === endpoint) : this.requests;
+    }
+
+    // ==================== REST ====================
+
+    handleHttp(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const endpoint = url.pathname;
+        const query = Object.fromEntries(url.searchParams);
+        let rawBody = '';
+
+        req.on('data', chunk => { rawBody += chunk; });
+        req.on('end', async () => {
+            try {
+                const body = rawBody ? JSON.parse(rawBody) : {};
+                this.requests.push({ method: req.method, endpoint, query, body, time: Date.now() });
+
+                const headers = this.getLimitHeaders(endpoint);
+                const failure = this.takeFailure(endpoint);
+                if (failure) {
+                    this.send(res, failure.httpStatus || 200, this.error(failure.retCode, failure.retMsg), headers);
+                    return;
+                }
+
+                const route = this.getRoute(req.method, endpoint);
+                if (!route) {
+                    this.send(res, 404, this.error(10001, `Маршрут не поддерживается: ${req.method} ${endpoint}`), headers);
+                    return;
+                }
+
+                if (route.signed) {
+                    const authError = this.checkAuth(req.headers, req.method === 'GET' ? url.search.slice(1) : rawBody);
+                    if (authError) {
+                        this.send(res, 200, authError, headers);
+                        return;
+                    }
+                }
+
+                this.send(res, 200, await route.handler(req.method === 'GET' ? query : body), headers);
+            } catch (error) {
+                this.send(res, 500, this.error(10016, error.message));
+            }
+        });
+    }
+
+    // Таблица маршрутов REST API
+    getRoute(method, endpoint) {
+        const routes = {
+            'GET /v5/market/time': { handler: () => this.handleTime() },
+            'GET /v5/market/kline': { handler: query => this.handleKline(query) },
+            'GET /v5/market/tickers': { handler: query => this.handleTickers(query) },
+            'GET /v5/market/instruments-info': { handler: query => this.handleInstruments(query) },
+            'GET /v5/account/wallet-balance': { signed: true, handler: () => this.broker.getWalletBalance() },
+            'GET /v5/position/list': { signed: true, handler: query => this.broker.getPositions(query.category, query.symbol) },
+            'GET /v5/order/realtime': { signed: true, handler: query => this.broker.getActiveOrders(query.category, query.symbol) },
+            'GET /v5/order/history': { signed: true, handler: query => this.handleExecutions(query) },
+            'GET /v5/execution/list': { signed: true, handler: query => this.handleExecutions(query) },
+            'POST /v5/order/create': { signed: true, handler: body => this.handleCreateOrder(body) },
+            'POST /v5/order/cancel': { signed: true, handler: body => this.broker.cancelOrder(body.symbol, body.orderId) },
+            'POST /v5/position/trading-stop': { signed: true, handler: body => this.broker.setTradingStop(body.symbol, body.takeProfit, body.stopLoss) }
+        };
+        return routes[`${method} ${endpoint}`] || null;
+    }
+
+    handleTime() {
+        const now = this.now();
+        return this.ok({
+            timeSecond: Math.floor(now / 1000).toString(),
+            timeNano: (BigInt(now) * 1000000n).toString()
+        });
+    }
+
+    // Свечи в формате Bybit: массивы строк от новых к старым
+    handleKline(query) {
+        const limit = Math.min(parseInt(query.limit) || 200, 1000);
+        const start = parseInt(query.start) || 0;
+        const end = parseInt(query.end) || Infinity;
+        const candles = this.getKlines(query.symbol, query.interval)
+            .filter(candle => candle.start >= start && candle.start <= end)
+            .slice(-limit);
+
+        return this.ok({
+            category: query.category || 'linear',
+            symbol: query.symbol,
+            list: candles
+                .map(candle => [candle.start, candle.open, candle.high, candle.low, candle.close, candle.volume, candle.volume * candle.close]
+                    .map(value => value.toString()))
+                .reverse()
+        });
+    }
+
+    handleTickers(query) {
+        const symbols = query.symbol ? [query.symbol] : this.symbols;
+        return this.ok({
+            category: query.category || 'linear',
+            list: symbols.map(symbol => {
+                const price = this.getLastPrice(symbol).toString();
+                return { symbol, lastPrice: price, markPrice: price, indexPrice: price };
+            })
+        });
+    }
+
+    handleInstruments(query) {
+        const list = query.symbol
+            ? this.instruments.filter(instrument => instrument.symbol === query.symbol)
+            : this.instruments;
+        return this.ok({ category: query.category || 'linear', list, nextPageCursor: '' });
+    }
+
+    // Исполнения из журнала бумажного брокера
+    handleExecutions(query) {
+        const limit = parseInt(query.limit) || 20;
+        const list = this.broker.state.ledger
+            .filter(entry => entry.type === 'fill' && (!query.symbol || entry.symbol === query.symbol))
+            .slice(-limit)
+            .reverse()
+            .map(entry => ({
+                symbol: entry.symbol,
+                orderId: entry.orderId,
+                side: entry.side,
+                execQty: entry.qty.toString(),
+                execPrice: entry.price.toString(),
+                execFee: entry.fee.toString(),
+                closedPnl: entry.realisedPnl.toString(),
+                orderStatus: 'Filled',
+                execTime: entry.time.toString()
+            }));
+        return this.ok({ category: query.category || 'linear', list, nextPageCursor: '' });
+    }
+
+    // Создание ордера: сначала сценарные отклонения, затем исполнение брокером
+    async handleCreateOrder(body) {
+        const rejection = this.orderRejections.find(item => item.times > 0 && (!item.symbol || item.symbol === body.symbol));
+        if (rejection) {
+            rejection.times--;
+            return this.error(rejection.retCode, rejection.retMsg);
+        }
+
+        if (body.triggerPrice) {
+            return this.error(10001, 'Условные ордера не поддерживаются mock сервером');
+        }
+
+        const qty = parseFloat(body.qty);
+        if (body.takeProfit && body.stopLoss) {
+            return await this.broker.placeOrderWithTPSL(body.symbol, body.side, qty, body.price, body.takeProfit, body.stopLoss, body.orderType);
+        }
+        if (body.orderType === 'Limit') {
+            return await this.broker.placeLimitOrder(body.symbol, body.side, qty, body.price);
+        }
+        return await this.broker.placeMarketOrder(body.symbol, body.side, qty);
+    }
+
+    // Проверка подписи (только если сервер запущен с apiKey/apiSecret)
+    checkAuth(headers, payload) {
+        const timestamp = parseInt(headers['x-bapi-timestamp']);
+        const recvWindow = parseInt(headers['x-bapi-recv-window'] || 5000);
+        if (!timestamp) {
+            return this.error(10003, 'API key is invalid.');
+        }
+
+        if (Math.abs(this.now() - timestamp) > recvWindow) {
+            return this.error(10002, 'invalid request, please check your server timestamp or recv_window param');
+        }
+
+        if (this.apiKey) {
+            const expected = crypto.createHmac('sha256', this.apiSecret)
+                .update(`${timestamp}${this.apiKey}${recvWindow}${payload}`)
+                .digest('hex');
+            if (headers['x-bapi-api-key'] !== this.apiKey) {
+                return this.error(10003, 'API key is invalid.');
+            }
+            if (headers['x-bapi-sign'] !== expected) {
+                return this.error(10004, 'error sign!');
+            }
+        }
+
+        return null;
+    }
+
+    // Следующая сценарная ошибка для эндпоинта
+    takeFailure(endpoint) {
+        const failure = this.failures.find(item => item.times > 0 && item.endpoint === endpoint);
+        if (!failure) return null;
+
+        failure.times--;
+        console.log(`🧪 Mock Bybit: сценарная ошибка ${endpoint} (${failure.httpStatus || failure.retCode})`);
+        return failure;
+    }
+
+    // Заголовки лимитов в формате Bybit (окно 1 секунда на эндпоинт)
+    getLimitHeaders(endpoint) {
+        const now = Date.now();
+        let window = this.limitWindows.get(endpoint);
+        if (!window || now >= window.resetAt) {
+            window = { used: 0, resetAt: now + 1000 };
+            this.limitWindows.set(endpoint, window);
+        }
+        window.used++;
+
+        return {
+            'X-Bapi-Limit': this.rateLimit.toString(),
+            'X-Bapi-Limit-Status': Math.max(this.rateLimit - window.used, 0).toString(),
+            'X-Bapi-Limit-Reset-Timestamp': window.resetAt.toString()
+        };
+    }
+
+    send(res, status, payload, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(payload));
+    }
+
+    ok(result) {
+        return { retCode: 0, retMsg: 'OK', result, retExtInfo: {}, time: this.now() };
+    }
+
+    error(retCode, retMsg) {
+        return { retCode, retMsg, result: {}, retExtInfo: {}, time: this.now() };
+    }
+
+    // ==================== WEBSOCKET ====================
+
+    handleConnection(ws, isPrivate) {
+        ws.connId = `mock-${++this.connSeq}`;
+        ws.topics = new Set();
+        ws.isPrivate = isPrivate;
+        ws.authenticated = false;
+        this.clients.add(ws);
+
+        ws.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                return;
+            }
+
+            const reply = { success: true, ret_msg: '', conn_id: ws.connId, req_id: message.req_id, op: message.op };
+            if (message.op === 'auth') {
+                const authError = this.checkWsAuth(message.args || []);
+                ws.authenticated = !authError;
+                reply.success = !authError;
+                reply.ret_msg = authError || '';
+            } else if (isPrivate && !ws.authenticated && message.op !== 'ping') {
+                reply.success = false;
+                reply.ret_msg = 'Request not authorized';
+            } else if (message.op === 'subscribe') {
+                (message.args || []).forEach(topic => ws.topics.add(topic));
+            } else if (message.op === 'unsubscribe') {
+                (message.args || []).forEach(topic => ws.topics.delete(topic));
+            } else if (message.op === 'ping') {
+                reply.ret_msg = 'pong';
+            } else {
+                reply.success = false;
+                reply.ret_msg = `Неизвестная операция: ${message.op}`;
+            }
+            ws.send(JSON.stringify(reply));
+        });
+
+        ws.on('close', () => this.clients.delete(ws));
+    }
+
+    // Проверка аутентификации приватного канала: [apiKey, expires, signature]
+    checkWsAuth([apiKey, expires, signature]) {
+        if (!apiKey || !(expires > this.now())) {
+            return 'Params Error';
+        }
+        if (this.apiKey) {
+            const expected = crypto.createHmac('sha256', this.apiSecret).update(`GET/realtime${expires}`).digest('hex');
+            if (apiKey !== this.apiKey || signature !== expected) {
+                return 'Invalid apikey or signature';
+            }
+        }
+        return null;
+    }
+
+    // События счета бумажного брокера -> подписчики приватного канала
+    broadcastPrivate(message) {
+        this.broadcast(message.topic, { id: `mock-${Date.now()}`, ...message }, true);
+    }
+
+    // Отправка сообщения подписчикам топика
+    broadcast(topic, message, isPrivate = false) {
+        const payload = JSON.stringify(message);
+        for (const ws of this.clients) {
+            if (ws.isPrivate === isPrivate && ws.topics.has(topic) && ws.readyState === WebSocket.OPEN) {
+                ws.send(payload);
+            }
+        }
+    }
+
+    // ==================== ДАННЫЕ ====================
+
+    now() {
+        return Date.now() + this.timeOffset;
+    }
+
+    // История свечей (генерируется, если для символа нет фикстуры)
+    getKlines(symbol, interval) {
+        const key = `${symbol}_${interval}`;
+        if (!this.klines.has(key)) {
+            this.klines.set(key, this.generateKlines(symbol, interval));
+        }
+        return this.klines.get(key);
+    }
+
+    getLastPrice(symbol) {
+        const candles = this.getKlines(symbol, '1');
+        return candles.length > 0 ? candles[candles.length - 1].close : 100;
+    }
+
+    // Детерминированная синусоида вокруг базовой цены, выровненная по границам интервала
+    generateKlines(symbol, interval, count = 200) {
+        const step = this.intervalMs(interval);
+        const lastStart = Math.floor(this.now() / step) * step;
+        const basePrice = 100 + [...symbol].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 100;
+        const candles = [];
+
+        for (let i = count - 1; i >= 0; i--) {
+            const n = count - i;
+            const open = basePrice * (1 + 0.02 * Math.sin((n - 1) / 10));
+            const close = basePrice * (1 + 0.02 * Math.sin(n / 10));
+            candles.push({
+                start: lastStart - i * step,
+                open,
+                high: Math.max(open, close) * 1.001,
+                low: Math.min(open, close) * 0.999,
+                close,
+                volume: 1000 + 500 * Math.abs(Math.sin(n / 7))
+            });
+        }
+        return candles;
+    }
+
+    // Длительность интервала Bybit в мс
+    intervalMs(interval) {
+        const special = { D: 86400000, W: 7 * 86400000, M: 30 * 86400000 };
+        return special[interval] || parseInt(interval) * 60000;
+    }
+
+    // Свеча из объекта или массива Bybit [start, open, high, low, close, volume]
+    normalizeCandle(candle) {
+        const values = Array.isArray(candle)
+            ? candle
+            : [candle.start, candle.open, candle.high, candle.low, candle.close, candle.volume];
+        const [start, open, high, low, close, volume] = values.map(value => parseFloat(value));
+        return { start, open, high, low, close, volume: volume || 0 };
+    }
+
+    // Инструмент в формате instruments-info
+    createInstrument(item) {
+        if (item.lotSizeFilter) return item;
+
+        return {
+            symbol: item.symbol,
+            contractType: 'LinearPerpetual',
+            status: item.status || 'Trading',
+            baseCoin: item.symbol.replace(/USDT$/, ''),
+            quoteCoin: 'USDT',
+            priceScale: '4',
+            leverageFilter: { minLeverage: '1', maxLeverage: '50.00', leverageStep: '0.01' },
+            priceFilter: { minPrice: '0.0001', maxPrice: '1999999.9998', tickSize: (item.tickSize || '0.0001').toString() },
+            lotSizeFilter: {
+                maxOrderQty: '1000000',
+                maxMktOrderQty: '100000',
+                minOrderQty: (item.minOrderQty || item.qtyStep || '0.001').toString(),
+                qtyStep: (item.qtyStep || '0.001').toString(),
+                minNotionalValue: (item.minNotionalValue ?? 5).toString()
+            }
+        };
+    }
+}
+
+// Запуск из командной строки: node mockBybitServer.js [fixtures.json]
+if (require.main === module) {
+    const server = new MockBybitServer({
+        port: parseInt(process.env.MOCK_BYBIT_PORT) || 8090,
+        fixtures: process.argv[2]
+    });
+
+    server.start().then(urls => {
+        console.log(`Укажите в .env: BYBIT_REST_URL=${urls.restUrl} BYBIT_WS_URL=${urls.wsUrl} BYBIT_PRIVATE_WS_URL=${urls.privateWsUrl}`);
+    });
+
+    process.on('SIGINT', async () => {
+        await server.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = MockBybitServer;
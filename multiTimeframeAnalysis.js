@@ -0,0 +1,143 @@
+const CandleStore = require('./candleStore');
+
+// Мультитаймфреймовый анализ (конфлюэнция).
+// На каждом интервале из config.intervals (short/medium/long) считаются те же RSI/MACD/BB/тренд,
+// что и в TechnicalAnalysis.analyzeSignal, каждый таймфрейм голосует за направление,
+// голоса складываются с весами из config.multiTimeframe.weights.
+// Результат показывает, какие таймфреймы согласны, и подтверждают ли сигнал старшие таймфреймы.
+//
+// Результат analyze():
+//   { direction, score, agreement, timeframes: { name: { interval, direction, score, ready, ... } },
+//     agreeing, opposing, confirmation: { buy, sell } }
+class MultiTimeframeAnalysis {
+    constructor(technicalAnalysis, intervals, options = {}) {
+        this.technicalAnalysis = technicalAnalysis;
+        this.intervals = intervals; // config.intervals: имя таймфрейма -> интервал Bybit
+        this.weights = options.weights || { short: 0.2, medium: 0.35, long: 0.45 };
+        this.minAgreement = options.minAgreement ?? 0.5; // Доля веса старших таймфреймов, согласных с сигналом
+        this.directionThreshold = options.directionThreshold ?? 0.2; // Минимальный перевес голосов для направления
+    }
+
+    // Таймфреймы анализа от младшего к старшему -> [{ name, interval, weight }]
+    getTimeframes() {
+        return Object.entries(this.weights)
+            .filter(([name]) => this.intervals[name])
+            .map(([name, weight]) => ({ name, interval: this.intervals[name], weight }))
+            .sort((a, b) => CandleStore.intervalMs(a.interval) - CandleStore.intervalMs(b.interval));
+    }
+
+    // Анализ всех таймфреймов и их согласованности
+    analyze(symbol) {
+        const timeframes = {};
+        let weightedScore = 0;
+        let totalWeight = 0;
+
+        for (const { name, interval, weight } of this.getTimeframes()) {
+            const frame = this.analyzeTimeframe(symbol, interval);
+            timeframes[name] = { ...frame, interval, weight };
+
+            if (frame.ready) {
+                weightedScore += frame.score * weight;
+                totalWeight += weight;
+            }
+        }
+
+        const score = totalWeight > 0 ? weightedScore / totalWeight : 0;
+        const direction = this.getDirection(score);
+        const names = Object.keys(timeframes);
+
+        return {
+            direction,
+            score,
+            agreement: this.getAgreement(timeframes, direction),
+            timeframes,
+            agreeing: names.filter(name => direction !== 'neutral' && timeframes[name].direction === direction),
+            opposing: names.filter(name => direction !== 'neutral' && timeframes[name].direction === this.opposite(direction)),
+            confirmation: {
+                buy: this.isConfirmedByHigherTimeframes(timeframes, 'bullish'),
+                sell: this.isConfirmedByHigherTimeframes(timeframes, 'bearish')
+            }
+        };
+    }
+
+    // Голосование индикаторов на одном интервале -> { direction, score (-1..1), ready, components }
+    analyzeTimeframe(symbol, interval) {
+        const view = this.technicalAnalysis.forInterval(interval);
+        const rsi = view.calculateRSI(symbol);
+        const macd = view.calculateMACD(symbol);
+        const currentPrice = view.getCurrentPrice(symbol);
+
+        if (!rsi || !macd || !currentPrice) {
+            return { direction: 'neutral', score: 0, ready: false, candles: view.getPriceHistory(symbol).length };
+        }
+
+        const bb = view.calculateBollingerBands(symbol);
+        const trend = view.analyzeTrend(symbol);
+        const components = {
+            rsi: view.analyzeRSIAdvanced(symbol, rsi),
+            macd: view.analyzeMACDAdvanced(symbol, macd),
+            bb: bb ? view.analyzeBollingerBandsAdvanced(currentPrice, bb) : null,
+            trend: { signal: trend.trend, strength: trend.strength }
+        };
+
+        let bullish = 0;
+        let bearish = 0;
+        let votes = 0;
+        for (const component of Object.values(components)) {
+            if (!component) continue;
+            votes++;
+            // Сила компонентов analyzeSignal лежит в диапазоне 0..1.5, приводим голос к 0..1
+            const strength = Math.min(component.strength, 1.5) / 1.5;
+            if (component.signal === 'bullish') bullish += strength;
+            else if (component.signal === 'bearish') bearish += strength;
+        }
+
+        const score = votes > 0 ? (bullish - bearish) / votes : 0;
+        return {
+            direction: this.getDirection(score),
+            score,
+            ready: true,
+            rsi,
+            macdHistogram: macd.histogram,
+            trend: trend.trend,
+            components: Object.fromEntries(Object.entries(components).map(([key, value]) => [key, value?.signal || 'none']))
+        };
+    }
+
+    // Доля веса готовых таймфреймов, согласных с направлением
+    getAgreement(timeframes, direction) {
+        if (direction === 'neutral') return 0;
+
+        const ready = Object.values(timeframes).filter(frame => frame.ready);
+        const total = ready.reduce((sum, frame) => sum + frame.weight, 0);
+        const agreeing = ready.filter(frame => frame.direction === direction).reduce((sum, frame) => sum + frame.weight, 0);
+        return total > 0 ? agreeing / total : 0;
+    }
+
+    // Подтверждение старшими таймфреймами (все, кроме самого младшего): нет противоположных
+    // и доля веса согласных не ниже minAgreement
+    isConfirmedByHigherTimeframes(timeframes, direction) {
+        const higher = this.getTimeframes().slice(1).map(({ name }) => timeframes[name]).filter(frame => frame && frame.ready);
+        if (higher.length === 0) return false;
+
+        if (higher.some(frame => frame.direction === this.opposite(direction))) {
+            return false;
+        }
+
+        const total = higher.reduce((sum, frame) => sum + frame.weight, 0);
+        const agreeing = higher.filter(frame => frame.direction === direction).reduce((sum, frame) => sum + frame.weight, 0);
+        return agreeing / total >= this.minAgreement;
+    }
+
+    getDirection(score) {
+        if (score >= this.directionThreshold) return 'bullish';
+        if (score <= -this.directionThreshold) return 'bearish';
+        return 'neutral';
+    }
+
+    opposite(direction) {
+        return direction === 'bullish' ? 'bearish' : direction === 'bearish' ? 'bullish' : 'neutral';
+    }
+}
+
+module.exports = MultiTimeframeAnalysis;
@@ -0,0 +1,554 @@
+const fs = require('fs');
+const path = require('path');
+
+// Локальный бумажный брокер - замена демо REST API Bybit.
+// Реализует торговые методы BybitRestApi с ответами в формате Bybit,
+// исполняет ордера по живым или воспроизведенным ценам свечей,
+// считает комиссии, проскальзывание, маржу и PnL, сам срабатывает по TP/SL
+// и сохраняет журнал на диск, поэтому ключи биржи не нужны.
+class PaperBroker {
+    constructor(options = {}, priceSource = null) {
+        this.initialBalance = options.initialBalance ?? 10000;
+        this.leverage = options.leverage ?? 10;
+        this.takerFee = options.takerFee ?? 0.00055; // Комиссия тейкера (рыночные ордера, TP/SL)
+        this.makerFee = options.makerFee ?? 0.0002; // Комиссия мейкера (лимитные ордера)
+        this.slippage = options.slippage ?? 0.0005; // Проскальзывание рыночных ордеров
+        this.ledgerFile = options.ledgerFile === undefined ? 'paper-ledger.json' : options.ledgerFile; // null - только в памяти
+        this.maxLedgerEntries = options.maxLedgerEntries || 10000;
+
+        // Источник цены, если по символу еще не было свечей (например, REST getCurrentPrice)
+        this.priceSource = priceSource;
+        this.instruments = null;
+
+        // Обработчик событий аккаунта в формате приватного WebSocket Bybit ({ topic, data })
+        this.onPrivateData = null;
+
+        this.lastPrices = new Map();
+        this.state = this.createEmptyState();
+        this.loadLedger();
+    }
+
+    // Пустое состояние счета
+    createEmptyState() {
+        return {
+            walletBalance: this.initialBalance,
+            cumRealisedPnl: 0,
+            totalFees: 0,
+            orderSeq: 0,
+            positions: {},
+            orders: {},
+            ledger: []
+        };
+    }
+
+    // Установка реестра инструментов для валидации ордеров
+    setInstrumentRegistry(registry) {
+        this.instruments = registry;
+    }
+
+    // ==================== ПЕРСИСТЕНТНОСТЬ ====================
+
+    // Загрузка журнала с диска
+    loadLedger() {
+        if (!this.ledgerFile) return;
+
+        try {
+            if (!fs.existsSync(this.ledgerFile)) {
+                console.log(`📒 Бумажный счет создан: ${this.initialBalance} USDT`);
+                return;
+            }
+
+            const saved = JSON.parse(fs.readFileSync(this.ledgerFile, 'utf8'));
+            this.state = { ...this.createEmptyState(), ...saved };
+            console.log(`📒 Бумажный счет загружен: ${this.state.walletBalance.toFixed(2)} USDT, позиций: ${Object.keys(this.state.positions).length}`);
+        } catch (error) {
+            console.error('❌ Ошибка загрузки журнала бумажной торговли:', error.message);
+        }
+    }
+
+    // Сохранение журнала на диск (через временный файл, чтобы не повредить журнал при сбое)
+    saveLedger() {
+        if (!this.ledgerFile) return;
+
+        try {
+            const dir = path.dirname(this.ledgerFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const tmpFile = `${this.ledgerFile}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+            fs.renameSync(tmpFile, this.ledgerFile);
+        } catch (error) {
+            console.error('❌ Ошибка сохранения журнала бумажной торговли:', error.message);
+        }
+    }
+
+    // Запись в журнал
+    record(entry) {
+        this.state.ledger.push({ time: Date.now(), ...entry });
+        if (this.state.ledger.length > this.maxLedgerEntries) {
+            this.state.ledger = this.state.ledger.slice(-this.maxLedgerEntries);
+        }
+    }
+
+    // ==================== ЦЕНЫ ====================
+
+    // Обработка свечи: обновление цены, исполнение лимитных ордеров и TP/SL
+    onCandle(symbol, candle) {
+        this.lastPrices.set(symbol, candle.close);
+
+        let changed = this.fillLimitOrders(symbol, candle);
+        changed = this.checkTakeProfitStopLoss(symbol, candle) || changed;
+
+        if (changed) {
+            this.saveLedger();
+        }
+    }
+
+    // Воспроизведение исторических свечей (от старых к новым)
+    replayCandles(symbol, candles) {
+        for (const candle of candles) {
+            this.onCandle(symbol, candle);
+        }
+    }
+
+    // Текущая цена символа
+    async getPrice(symbol, fallback = null) {
+        if (this.lastPrices.has(symbol)) {
+            return this.lastPrices.get(symbol);
+        }
+        if (fallback) {
+            return parseFloat(fallback);
+        }
+        if (this.priceSource) {
+            const price = await this.priceSource(symbol);
+            this.lastPrices.set(symbol, price);
+            return price;
+        }
+        throw new Error(`Нет цены для ${symbol}`);
+    }
+
+    // ==================== МЕТОДЫ REST API ====================
+
+    async getWalletBalance(accountType = 'UNIFIED') {
+        return this.ok({ list: [this.formatWallet()] });
+    }
+
+    async getPositions(category = null, symbol = null) {
+        const list = Object.values(this.state.positions)
+            .filter(position => !symbol || position.symbol === symbol)
+            .map(position => this.formatPosition(position));
+
+        return this.ok({ category: category || 'linear', list });
+    }
+
+    async getActiveOrders(category = null, symbol = null) {
+        const list = Object.values(this.state.orders)
+            .filter(order => !symbol || order.symbol === symbol)
+            .map(order => this.formatOrder(order, 'New'));
+
+        return this.ok({ category: category || 'linear', list });
+    }
+
+    async placeMarketOrder(symbol, side, qty) {
+        const price = await this.getPrice(symbol);
+        return this.executeMarket(symbol, side, parseFloat(qty), price, null, null);
+    }
+
+    async placeLimitOrder(symbol, side, qty, price) {
+        return this.addLimitOrder(symbol, side, parseFloat(qty), parseFloat(price), null, null);
+    }
+
+    async placeOrderWithTPSL(symbol, side, qty, price, takeProfit, stopLoss, orderType = 'Market') {
+        if (orderType === 'Limit') {
+            return this.addLimitOrder(symbol, side, parseFloat(qty), parseFloat(price), parseFloat(takeProfit), parseFloat(stopLoss));
+        }
+
+        const marketPrice = await this.getPrice(symbol, price);
+        return this.executeMarket(symbol, side, parseFloat(qty), marketPrice, parseFloat(takeProfit), parseFloat(stopLoss));
+    }
+
+    async cancelOrder(symbol, orderId) {
+        const order = this.state.orders[orderId];
+        if (!order || order.symbol !== symbol) {
+            return this.error(110001, 'order not exists or too late to cancel');
+        }
+
+        delete this.state.orders[orderId];
+        this.record({ type: 'cancel', symbol, orderId });
+        this.saveLedger();
+        this.emit('order', [this.formatOrder(order, 'Cancelled')]);
+        return this.ok({ orderId });
+    }
+
+    async setTradingStop(symbol, takeProfit = null, stopLoss = null) {
+        const position = this.state.positions[symbol];
+        if (!position) {
+            return this.error(10001, `Нет открытой позиции ${symbol}`);
+        }
+
+        if (takeProfit) position.takeProfit = parseFloat(takeProfit);
+        if (stopLoss) position.stopLoss = parseFloat(stopLoss);
+        position.updatedTime = Date.now();
+        this.record({ type: 'trading_stop', symbol, takeProfit: position.takeProfit, stopLoss: position.stopLoss });
+        this.saveLedger();
+        this.emit('position', [this.formatPosition(position)]);
+        return this.ok({});
+    }
+
+    async closePosition(symbol, side, qty) {
+        const closeSide = side === 'Buy' ? 'Sell' : 'Buy';
+        return await this.placeMarketOrder(symbol, closeSide, qty);
+    }
+
+    // ==================== ИСПОЛНЕНИЕ ====================
+
+    // Исполнение рыночного ордера с проскальзыванием
+    executeMarket(symbol, side, qty, price, takeProfit, stopLoss) {
+        // Ордер на сокращение позиции не проверяем по минимальной сумме (как reduceOnly на бирже)
+        const position = this.state.positions[symbol];
+        const reducing = position && position.side !== side;
+        const validation = reducing ? null : this.validate(symbol, qty, price);
+        if (validation) return validation;
+
+        const fillPrice = side === 'Buy' ? price * (1 + this.slippage) : price * (1 - this.slippage);
+        const orderId = this.nextOrderId();
+        const result = this.applyFill(symbol, side, qty, fillPrice, this.takerFee, orderId, 'market', takeProfit, stopLoss);
+        if (result.retCode === 0) {
+            this.saveLedger();
+        }
+        return result;
+    }
+
+    // Постановка лимитного ордера
+    addLimitOrder(symbol, side, qty, price, takeProfit, stopLoss) {
+        const validation = this.validate(symbol, qty, price);
+        if (validation) return validation;
+
+        // Маржа резервируется при постановке ордера, как на бирже
+        const marginError = this.checkMargin(symbol, side, qty, price, this.makerFee);
+        if (marginError) return marginError;
+
+        const orderId = this.nextOrderId();
+        this.state.orders[orderId] = {
+            orderId, symbol, side, qty, price, takeProfit, stopLoss,
+            createdTime: Date.now()
+        };
+        this.record({ type: 'order', symbol, side, qty, price, orderId });
+        this.saveLedger();
+        this.emit('order', [this.formatOrder(this.state.orders[orderId], 'New')]);
+
+        return this.ok({ orderId, orderLinkId: '' });
+    }
+
+    // Исполнение лимитных ордеров, цена которых была достигнута свечой
+    fillLimitOrders(symbol, candle) {
+        let changed = false;
+        for (const order of Object.values(this.state.orders)) {
+            if (order.symbol !== symbol) continue;
+
+            const reached = order.side === 'Buy' ? candle.low <= order.price : candle.high >= order.price;
+            if (!reached) continue;
+
+            // Ордер снимается до исполнения, чтобы его резерв не учитывался при проверке маржи
+            delete this.state.orders[order.orderId];
+            const result = this.applyFill(symbol, order.side, order.qty, order.price, this.makerFee, order.orderId, 'limit', order.takeProfit, order.stopLoss);
+            if (result.retCode !== 0) {
+                // Маржи не хватило (баланс изменился после постановки) - биржа отменяет такой ордер
+                console.warn(`⚠️ Бумажный лимитный ордер ${order.orderId} для ${symbol} отменен: ${result.retMsg}`);
+                this.record({ type: 'cancel', symbol, orderId: order.orderId, reason: result.retMsg });
+                this.emit('order', [{ ...this.formatOrder(order, 'Cancelled'), rejectReason: result.retMsg }]);
+            }
+            changed = true;
+        }
+        return changed;
+    }
+
+    // Срабатывание TP/SL по диапазону свечи (при касании обоих уровней считаем, что сработал стоп).
+    // Если свеча открылась уже за уровнем (гэп), исполнение идет по цене открытия, как у рыночного ордера биржи
+    checkTakeProfitStopLoss(symbol, candle) {
+        const position = this.state.positions[symbol];
+        if (!position) return false;
+
+        const isLong = position.side === 'Buy';
+        const stopHit = position.stopLoss && (isLong ? candle.low <= position.stopLoss : candle.high >= position.stopLoss);
+        const takeHit = position.takeProfit && (isLong ? candle.high >= position.takeProfit : candle.low <= position.takeProfit);
+        if (!stopHit && !takeHit) return false;
+
+        const level = stopHit ? position.stopLoss : position.takeProfit;
+        const open = candle.open ?? level;
+        const triggerPrice = stopHit
+            ? (isLong ? Math.min(open, level) : Math.max(open, level))
+            : (isLong ? Math.max(open, level) : Math.min(open, level));
+        const exitSide = isLong ? 'Sell' : 'Buy';
+        const exitPrice = exitSide === 'Buy' ? triggerPrice * (1 + this.slippage) : triggerPrice * (1 - this.slippage);
+
+        console.log(`🎯 Бумажный ${stopHit ? 'стоп-лосс' : 'тейк-профит'} сработал для ${symbol} по ${level}`);
+        this.applyFill(symbol, exitSide, position.size, exitPrice, this.takerFee, this.nextOrderId(), stopHit ? 'stop_loss' : 'take_profit');
+        return true;
+    }
+
+    // Применение исполнения к позиции (one-way режим: встречный ордер сокращает позицию)
+    applyFill(symbol, side, qty, price, feeRate, orderId, reason, takeProfit = null, stopLoss = null) {
+        const now = Date.now();
+        const fee = qty * price * feeRate;
+        const position = this.state.positions[symbol];
+        const closeQty = position && position.side !== side ? Math.min(qty, position.size) : 0;
+        const openQty = this.roundQty(symbol, qty - closeQty);
+        let realisedPnl = 0;
+
+        // Проверка маржи до изменения состояния
+        const marginError = this.checkMargin(symbol, side, qty, price, feeRate);
+        if (marginError) return marginError;
+
+        if (closeQty > 0) {
+            // Сокращение или закрытие позиции
+            realisedPnl = this.calculatePnL(position, price, closeQty);
+            position.size = this.roundQty(symbol, position.size - closeQty);
+            position.realisedPnl += realisedPnl;
+            position.updatedTime = now;
+
+            if (position.size <= 0) {
+                delete this.state.positions[symbol];
+            }
+        }
+
+        if (openQty > 0) {
+            const current = this.state.positions[symbol];
+            if (current) {
+                // Увеличение позиции - пересчитываем среднюю цену
+                const totalSize = current.size + openQty;
+                current.avgPrice = (current.avgPrice * current.size + price * openQty) / totalSize;
+                current.size = this.roundQty(symbol, totalSize);
+                current.updatedTime = now;
+                if (takeProfit) current.takeProfit = takeProfit;
+                if (stopLoss) current.stopLoss = stopLoss;
+            } else {
+                this.state.positions[symbol] = {
+                    symbol, side,
+                    size: openQty,
+                    avgPrice: price,
+                    takeProfit: takeProfit || null,
+                    stopLoss: stopLoss || null,
+                    realisedPnl: 0,
+                    createdTime: now,
+                    updatedTime: now
+                };
+            }
+        }
+
+        this.state.walletBalance += realisedPnl - fee;
+        this.state.cumRealisedPnl += realisedPnl - fee;
+        this.state.totalFees += fee;
+        this.record({ type: 'fill', symbol, side, qty, price, fee, realisedPnl, orderId, reason });
+
+        console.log(`📒 Бумажное исполнение: ${side} ${qty} ${symbol} @ ${price.toFixed(6)}`, {
+            fee: fee.toFixed(4),
+            realisedPnl: realisedPnl.toFixed(4),
+            balance: this.state.walletBalance.toFixed(2)
+        });
+
+        this.emitFill(symbol, side, qty, price, fee, closeQty, orderId, reason);
+
+        return this.ok({ orderId, orderLinkId: '' });
+    }
+
+    // Проверка маржи под открываемую часть ордера (с учетом маржи, освобождаемой закрытием) -> ошибка или null
+    checkMargin(symbol, side, qty, price, feeRate) {
+        const position = this.state.positions[symbol];
+        const closeQty = position && position.side !== side ? Math.min(qty, position.size) : 0;
+        const openQty = this.roundQty(symbol, qty - closeQty);
+        if (openQty <= 0) return null;
+
+        const releasedMargin = closeQty > 0 ? closeQty * position.avgPrice / this.leverage : 0;
+        const margin = openQty * price / this.leverage;
+        const fee = qty * price * feeRate;
+        if (margin + fee > this.getAvailableBalance() + releasedMargin) {
+            return this.error(110007, 'ab not enough for new order');
+        }
+        return null;
+    }
+
+    // ==================== СОБЫТИЯ АККАУНТА ====================
+
+    // Отправка события в формате приватного WebSocket
+    emit(topic, data) {
+        if (this.onPrivateData) {
+            this.onPrivateData({ topic, creationTime: Date.now(), data });
+        }
+    }
+
+    // События исполнения: execution, order, position и wallet
+    emitFill(symbol, side, qty, price, fee, closedSize, orderId, reason) {
+        const stopOrderTypes = { take_profit: 'TakeProfit', stop_loss: 'StopLoss' };
+        const now = Date.now();
+
+        this.emit('execution', [{
+            symbol, orderId, side,
+            orderType: reason === 'limit' ? 'Limit' : 'Market',
+            stopOrderType: stopOrderTypes[reason] || '',
+            execType: 'Trade',
+            execPrice: price.toString(),
+            execQty: qty.toString(),
+            execFee: fee.toString(),
+            closedSize: closedSize.toString(),
+            leavesQty: '0',
+            execTime: now.toString()
+        }]);
+        this.emit('order', [{
+            orderId, symbol, side,
+            orderType: reason === 'limit' ? 'Limit' : 'Market',
+            stopOrderType: stopOrderTypes[reason] || '',
+            qty: qty.toString(),
+            cumExecQty: qty.toString(),
+            avgPrice: price.toString(),
+            orderStatus: 'Filled',
+            createdTime: now.toString()
+        }]);
+
+        const position = this.state.positions[symbol];
+        this.emit('position', [position ? this.formatPosition(position) : {
+            symbol, side: '', size: '0', avgPrice: '0', markPrice: price.toString(),
+            unrealisedPnl: '0', takeProfit: '', stopLoss: '', positionIdx: 0,
+            createdTime: now.toString(), updatedTime: now.toString()
+        }]);
+        this.emit('wallet', [this.formatWallet()]);
+    }
+
+    // ==================== ФОРМАТ BYBIT ====================
+
+    formatWallet() {
+        const unrealisedPnl = this.getUnrealisedPnl();
+        const usedMargin = this.getUsedMargin();
+        const equity = this.state.walletBalance + unrealisedPnl;
+        const available = Math.max(equity - usedMargin, 0);
+
+        return {
+            accountType: 'UNIFIED',
+            totalEquity: equity.toString(),
+            totalWalletBalance: this.state.walletBalance.toString(),
+            totalAvailableBalance: available.toString(),
+            totalInitialMargin: usedMargin.toString(),
+            coin: [{
+                coin: 'USDT',
+                walletBalance: this.state.walletBalance.toString(),
+                equity: equity.toString(),
+                availableToWithdraw: available.toString(),
+                unrealisedPnl: unrealisedPnl.toString(),
+                cumRealisedPnl: this.state.cumRealisedPnl.toString(),
+                totalPositionIM: usedMargin.toString()
+            }]
+        };
+    }
+
+    formatPosition(position) {
+        const markPrice = this.lastPrices.get(position.symbol) || position.avgPrice;
+        return {
+            symbol: position.symbol,
+            side: position.side,
+            size: position.size.toString(),
+            avgPrice: position.avgPrice.toString(),
+            markPrice: markPrice.toString(),
+            leverage: this.leverage.toString(),
+            positionIM: (position.size * position.avgPrice / this.leverage).toString(),
+            unrealisedPnl: this.calculatePnL(position, markPrice).toString(),
+            cumRealisedPnl: position.realisedPnl.toString(),
+            takeProfit: position.takeProfit ? position.takeProfit.toString() : '',
+            stopLoss: position.stopLoss ? position.stopLoss.toString() : '',
+            positionIdx: 0,
+            createdTime: position.createdTime.toString(),
+            updatedTime: position.updatedTime.toString()
+        };
+    }
+
+    formatOrder(order, orderStatus) {
+        return {
+            orderId: order.orderId,
+            symbol: order.symbol,
+            side: order.side,
+            orderType: 'Limit',
+            qty: order.qty.toString(),
+            price: order.price.toString(),
+            orderStatus,
+            reduceOnly: false,
+            takeProfit: order.takeProfit ? order.takeProfit.toString() : '',
+            stopLoss: order.stopLoss ? order.stopLoss.toString() : '',
+            createdTime: order.createdTime.toString()
+        };
+    }
+
+    // ==================== ВСПОМОГАТЕЛЬНЫЕ МЕТОДЫ ====================
+
+    // Проверка параметров ордера по реестру инструментов
+    validate(symbol, qty, price) {
+        if (!(qty > 0) || !(price > 0)) {
+            return this.error(10001, `Некорректные параметры ордера: qty=${qty}, price=${price}`);
+        }
+        if (!this.instruments) return null;
+
+        const validation = this.instruments.validateOrder(symbol, this.roundQty(symbol, qty), price);
+        return validation.valid ? null : this.error(10001, validation.reason);
+    }
+
+    roundQty(symbol, qty) {
+        if (this.instruments && this.instruments.get(symbol)) {
+            return this.instruments.roundQty(symbol, qty);
+        }
+        return parseFloat(qty.toFixed(8));
+    }
+
+    calculatePnL(position, price, qty = position.size) {
+        return position.side === 'Buy'
+            ? (price - position.avgPrice) * qty
+            : (position.avgPrice - price) * qty;
+    }
+
+    getUnrealisedPnl() {
+        return Object.values(this.state.positions).reduce((sum, position) => {
+            const price = this.lastPrices.get(position.symbol) || position.avgPrice;
+            return sum + this.calculatePnL(position, price);
+        }, 0);
+    }
+
+    getUsedMargin() {
+        const positionMargin = Object.values(this.state.positions)
+            .reduce((sum, position) => sum + position.size * position.avgPrice / this.leverage, 0);
+        const orderMargin = Object.values(this.state.orders)
+            .reduce((sum, order) => sum + order.qty * order.price / this.leverage, 0);
+        return positionMargin + orderMargin;
+    }
+
+    getAvailableBalance() {
+        return this.state.walletBalance + this.getUnrealisedPnl() - this.getUsedMargin();
+    }
+
+    nextOrderId() {
+        this.state.orderSeq++;
+        return `paper-${Date.now()}-${this.state.orderSeq}`;
+    }
+
+    ok(result) {
+        return { retCode: 0, retMsg: 'OK', result, time: Date.now() };
+    }
+
+    error(retCode, retMsg) {
+        console.error(`❌ Бумажный брокер отклонил ордер: ${retMsg}`);
+        return { retCode, retMsg, result: {}, time: Date.now() };
+    }
+
+    // Сводка по бумажному счету
+    getSummary() {
+        return {
+            walletBalance: this.state.walletBalance,
+            equity: this.state.walletBalance + this.getUnrealisedPnl(),
+            cumRealisedPnl: this.state.cumRealisedPnl,
+            totalFees: this.state.totalFees,
+            openPositions: Object.keys(this.state.positions).length,
+            openOrders: Object.keys(this.state.orders).length,
+            ledgerEntries: this.state.ledger.length
+        };
+    }
+}
+
+module.exports = PaperBroker;
@@ -46,11 +46,59 @@ class PerformanceMonitor {
             tradesSuccessful: 0,
             totalProfit: 0,
             totalLoss: 0,
+            totalFees: 0,
             startTime: Date.now()
         };
 
         this.signalHistory = [];
         this.tradeHistory = [];
+        this.store = null; // Журнал состояния (устанавливается через setStateStore)
+        this.statsInterval = null;
+    }
+
+    // Установка журнала состояния для записи сделок и метрик
+    setStateStore(store) {
+        this.store = store;
+    }
+
+    // Восстановление метрик и истории после перезапуска (время работы считается с текущего запуска)
+    restoreState(performance) {
+        if (performance.metrics) {
+            this.metrics = { ...this.metrics, ...performance.metrics, startTime: this.metrics.startTime };
+        }
+        this.tradeHistory = performance.tradeHistory || [];
+        this.signalHistory = performance.signalHistory || [];
+    }
+
+    persistTrade(trade) {
+        if (this.store) {
+            this.store.append('trade_record', trade);
+        }
+    }
+
+    // Сохранение метрик и истории сигналов в файл статистики (не в журнал)
+    persistStats() {
+        if (this.store) {
+            this.store.saveStats({ metrics: this.metrics, signalHistory: this.signalHistory });
+        }
+    }
+
+    // Запуск периодического сохранения статистики
+    startStatsAutoSave(intervalMs) {
+        if (this.statsInterval) {
+            clearInterval(this.statsInterval);
+        }
+
+        this.statsInterval = setInterval(() => this.persistStats(), intervalMs);
+    }
+
+    // Остановка периодического сохранения с сохранением последнего состояния
+    stopStatsAutoSave() {
+        if (this.statsInterval) {
+            clearInterval(this.statsInterval);
+            this.statsInterval = null;
+        }
+        this.persistStats();
     }
 
     // Запись анализа сигнала
@@ -110,6 +158,7 @@ class PerformanceMonitor {
         };
 
         this.tradeHistory.push(tradeRecord);
+        this.persistTrade(tradeRecord);
 
         this.logger.info('💰 Выполнена сделка', {
             moscowTime: this.getMoscowTime(),
@@ -142,6 +191,7 @@ class PerformanceMonitor {
         } else {
             this.metrics.totalLoss += Math.abs(pnl);
         }
+        this.persistTrade(trade);
 
         this.logger.info('🔒 Закрыта сделка', {
             moscowTime: this.getMoscowTime(),
@@ -153,6 +203,43 @@ class PerformanceMonitor {
         });
     }
 
+    // Запись исполнения с биржи (фактическая цена входа, частичные исполнения, комиссии)
+    recordExecution(symbol, execution, isOpening) {
+        this.metrics.totalFees += execution.fee;
+
+        const trade = this.tradeHistory.find(t => t.symbol === symbol && t.status === 'open');
+        if (!trade) return;
+
+        trade.fees = (trade.fees || 0) + execution.fee;
+        trade.fills = (trade.fills || 0) + 1;
+
+        if (isOpening) {
+            if (trade.requestedPrice === undefined) {
+                trade.requestedPrice = trade.entryPrice;
+                trade.filledSize = 0;
+                trade.filledValue = 0;
+            }
+            trade.filledSize += execution.qty;
+            trade.filledValue += execution.qty * execution.price;
+            trade.entryPrice = trade.filledValue / trade.filledSize;
+            trade.slippage = (trade.entryPrice - trade.requestedPrice) / trade.requestedPrice;
+        } else {
+            trade.closedSize = (trade.closedSize || 0) + execution.qty;
+        }
+        this.persistTrade(trade);
+
+        this.logger.info('📥 Исполнение на бирже', {
+            moscowTime: this.getMoscowTime(),
+            symbol,
+            side: execution.side,
+            qty: execution.qty,
+            price: execution.price.toFixed(4),
+            fee: execution.fee.toFixed(4),
+            type: isOpening ? 'открытие' : 'закрытие',
+            closeReason: execution.closeReason
+        });
+    }
+
     // Получение статистики производительности
     getPerformanceStats() {
         const uptime = Date.now() - this.metrics.startTime;
@@ -187,6 +274,7 @@ class PerformanceMonitor {
             totalProfit: this.metrics.totalProfit.toFixed(2),
             totalLoss: this.metrics.totalLoss.toFixed(2),
             netProfit: (this.metrics.totalProfit - this.metrics.totalLoss).toFixed(2),
+            totalFees: this.metrics.totalFees.toFixed(2),
             avgProfit: avgProfit,
             avgLoss: avgLoss,
             profitFactor: profitFactor
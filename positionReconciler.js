@@ -0,0 +1,287 @@
+const winston = require('winston');
+
+// Сверка позиций RiskManager с биржей.
+// Периодически сравнивает локальные позиции с getPositions/getActiveOrders,
+// классифицирует расхождения и исправляет их или только сообщает о них согласно политике.
+// Каждое расхождение и исправление записывается в журнал аудита.
+//
+// Типы расхождений и доступные действия (config.reconciliation.policy):
+//   missing_locally:     позиция есть на бирже, но не у бота     -> 'alert' | 'adopt' | 'close'
+//   missing_on_exchange: позиция есть у бота, но не на бирже     -> 'alert' | 'remove'
+//   size_mismatch:       размер или цена входа отличаются        -> 'alert' | 'sync'
+//   tpsl_mismatch:       TP/SL на бирже не совпадают с локальными -> 'alert' | 'push' | 'sync'
+//   orphan_order:        активный ордер без позиции              -> 'alert' | 'cancel'
+const DEFAULT_POLICY = {
+    missing_locally: 'alert',
+    missing_on_exchange: 'remove',
+    size_mismatch: 'sync',
+    tpsl_mismatch: 'alert',
+    orphan_order: 'alert'
+};
+
+class PositionReconciler {
+    constructor(exchange, riskManager, options = {}, hooks = {}) {
+        this.exchange = exchange;
+        this.riskManager = riskManager;
+        this.policy = { ...DEFAULT_POLICY, ...options.policy };
+        this.intervalMs = options.interval || 60000;
+        this.minPositionAge = options.minPositionAge ?? 15000; // Позиции моложе не считаем пропавшими (ордер в пути)
+
+        // Цена для локального закрытия и уведомление о закрытых позициях
+        this.getPrice = hooks.getPrice || (() => null);
+        this.onPositionClosed = hooks.onPositionClosed || (() => {});
+
+        this.interval = null;
+        this.isRunning = false;
+        this.lastRun = null;
+        this.lastResult = null;
+        this.history = [];
+        this.maxHistory = 200;
+
+        this.audit = winston.createLogger({
+            level: 'info',
+            format: winston.format.combine(
+                winston.format.timestamp(),
+                winston.format.json()
+            ),
+            transports: [
+                new winston.transports.File({ filename: options.auditFile || 'reconciliation-audit.log' })
+            ]
+        });
+    }
+
+    // Запуск периодической сверки
+    start() {
+        if (this.interval) {
+            clearInterval(this.interval);
+        }
+
+        this.interval = setInterval(async () => {
+            try {
+                await this.reconcile();
+            } catch (error) {
+                console.error('❌ Ошибка сверки позиций:', error.message);
+            }
+        }, this.intervalMs);
+    }
+
+    // Остановка периодической сверки
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    // Одна сверка: поиск расхождений и их обработка
+    async reconcile() {
+        if (this.isRunning) return this.lastResult;
+        this.isRunning = true;
+
+        try {
+            const [exchangePositions, activeOrders] = await Promise.all([
+                this.exchange.getPositions(),
+                this.exchange.getActiveOrders()
+            ]);
+
+            const discrepancies = this.findDiscrepancies(exchangePositions, activeOrders);
+            for (const discrepancy of discrepancies) {
+                await this.resolve(discrepancy);
+            }
+
+            this.lastRun = Date.now();
+            this.lastResult = {
+                time: this.lastRun,
+                localPositions: this.riskManager.positions.size,
+                exchangePositions: exchangePositions.length,
+                activeOrders: activeOrders.length,
+                discrepancies: discrepancies.map(({ type, symbol, action, resolved }) => ({ type, symbol, action, resolved }))
+            };
+
+            if (discrepancies.length > 0) {
+                console.warn(`⚠️ Сверка позиций: найдено расхождений ${discrepancies.length}`);
+            }
+
+            return this.lastResult;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // ==================== КЛАССИФИКАЦИЯ ====================
+
+    findDiscrepancies(exchangePositions, activeOrders) {
+        const discrepancies = [];
+        const exchangeBySymbol = new Map(exchangePositions.map(position => [position.symbol, position]));
+        const now = Date.now();
+
+        for (const [symbol, local] of this.riskManager.positions) {
+            const remote = exchangeBySymbol.get(symbol);
+
+            if (!remote) {
+                if (now - local.timestamp >= this.minPositionAge) {
+                    discrepancies.push({ type: 'missing_on_exchange', symbol, local });
+                }
+                continue;
+            }
+
+            if (remote.side !== local.side || !this.isSameQty(symbol, remote.size, local.size)) {
+                discrepancies.push({ type: 'size_mismatch', symbol, local, remote });
+            }
+
+            // TP/SL в режиме Partial хранятся на бирже условными ордерами, а не на позиции
+            const protection = this.riskManager.getExchangeProtection(remote, activeOrders);
+            if (!this.isSamePrice(symbol, protection.takeProfit, local.takeProfit) || !this.isSamePrice(symbol, protection.stopLoss, local.stopLoss)) {
+                discrepancies.push({ type: 'tpsl_mismatch', symbol, local, remote: { ...remote, ...protection } });
+            }
+        }
+
+        for (const remote of exchangePositions) {
+            if (!this.riskManager.positions.has(remote.symbol)) {
+                const orders = activeOrders.filter(order => order.symbol === remote.symbol);
+                discrepancies.push({ type: 'missing_locally', symbol: remote.symbol, remote, orders });
+            }
+        }
+
+        // Ордера без позиции: обычные ордера бот не оставляет, TP/SL без позиции устарели
+        for (const order of activeOrders) {
+            if (!exchangeBySymbol.has(order.symbol) && !this.riskManager.positions.has(order.symbol)) {
+                discrepancies.push({ type: 'orphan_order', symbol: order.symbol, order });
+            }
+        }
+
+        return discrepancies;
+    }
+
+    // Сравнение количества с точностью до шага лота
+    isSameQty(symbol, a, b) {
+        const step = this.riskManager.instruments?.get(symbol)?.qtyStep || 1e-8;
+        return Math.abs(a - b) < step / 2;
+    }
+
+    // Сравнение цен TP/SL с точностью до шага цены (отсутствие уровня - отдельное расхождение)
+    isSamePrice(symbol, a, b) {
+        if (!a || !b) return !a && !b;
+        const tick = this.riskManager.instruments?.get(symbol)?.tickSize || 1e-8;
+        return Math.abs(a - b) < tick / 2;
+    }
+
+    // ==================== ИСПРАВЛЕНИЕ ====================
+
+    async resolve(discrepancy) {
+        const action = this.policy[discrepancy.type] || 'alert';
+        discrepancy.action = action;
+        discrepancy.resolved = false;
+
+        try {
+            if (action !== 'alert') {
+                discrepancy.resolved = await this.applyAction(discrepancy, action);
+            }
+        } catch (error) {
+            discrepancy.error = error.message;
+        }
+
+        this.record(discrepancy);
+        return discrepancy;
+    }
+
+    async applyAction(discrepancy, action) {
+        const { type, symbol, local, remote, order, orders } = discrepancy;
+
+        if (type === 'missing_locally' && action === 'adopt') {
+            this.riskManager.adoptPosition(remote, orders, 'reconciliation');
+            return true;
+        }
+
+        if (type === 'missing_locally' && action === 'close') {
+            const result = await this.exchange.closePosition(symbol, remote.side, remote.size);
+            discrepancy.details = result.message;
+            return result.success;
+        }
+
+        if (type === 'missing_on_exchange' && action === 'remove') {
+            // Позиция закрыта без ведома бота (стоп на бирже, ручное закрытие, отклоненный ордер)
+            const exitPrice = this.getPrice(symbol) || local.entryPrice;
+            const position = this.riskManager.closePosition(symbol, exitPrice, 'reconciliation');
+            if (position) {
+                this.onPositionClosed(position);
+            }
+            return !!position;
+        }
+
+        if (type === 'size_mismatch' && action === 'sync') {
+            // Биржа - источник истины для стороны и размера
+            return !!this.riskManager.syncPosition(symbol, remote);
+        }
+
+        if (type === 'tpsl_mismatch' && action === 'push') {
+            const result = await this.exchange.setTradingStop(symbol, { takeProfit: local.takeProfit, stopLoss: local.stopLoss });
+            discrepancy.details = result.message;
+            return result.success;
+        }
+
+        if (type === 'tpsl_mismatch' && action === 'sync') {
+            return !!this.riskManager.syncProtection(symbol, remote);
+        }
+
+        if (type === 'orphan_order' && action === 'cancel') {
+            const result = await this.exchange.cancelOrder(symbol, order.orderId);
+            discrepancy.details = result.message;
+            return result.success;
+        }
+
+        discrepancy.error = `Действие ${action} не поддерживается для ${type}`;
+        return false;
+    }
+
+    // ==================== АУДИТ ====================
+
+    // Запись расхождения и результата исправления в журнал аудита
+    record(discrepancy) {
+        const entry = {
+            time: Date.now(),
+            type: discrepancy.type,
+            symbol: discrepancy.symbol,
+            action: discrepancy.action,
+            resolved: discrepancy.resolved,
+            local: this.describePosition(discrepancy.local),
+            exchange: this.describePosition(discrepancy.remote),
+            order: discrepancy.order ? { orderId: discrepancy.order.orderId, side: discrepancy.order.side, qty: discrepancy.order.qty, status: discrepancy.order.status } : undefined,
+            details: discrepancy.details,
+            error: discrepancy.error
+        };
+
+        this.history.push(entry);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+
+        this.audit.info('reconciliation', entry);
+
+        const icon = discrepancy.action === 'alert' ? '🚨' : discrepancy.resolved ? '🔧' : '❌';
+        console.warn(`${icon} Сверка ${discrepancy.symbol}: ${discrepancy.type} -> ${discrepancy.action}${discrepancy.error ? ` (${discrepancy.error})` : ''}`);
+    }
+
+    describePosition(position) {
+        if (!position) return undefined;
+        return {
+            side: position.side,
+            size: position.size,
+            entryPrice: position.entryPrice,
+            takeProfit: position.takeProfit,
+            stopLoss: position.stopLoss
+        };
+    }
+
+    // Получение статуса сверки
+    getStatus() {
+        return {
+            enabled: this.interval !== null,
+            lastRun: this.lastRun,
+            lastResult: this.lastResult,
+            recentCorrections: this.history.slice(-10)
+        };
+    }
+}
+
+module.exports = PositionReconciler;
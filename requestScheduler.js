@@ -0,0 +1,224 @@
+// Ошибка исчерпания лимита запросов Bybit
+class RateLimitError extends Error {
+    constructor(endpoint, retryAfter = null, message = null) {
+        super(message || `Лимит запросов исчерпан для ${endpoint}`);
+        this.name = 'RateLimitError';
+        this.endpoint = endpoint;
+        this.retryAfter = retryAfter; // Через сколько мс лимит восстановится (если известно)
+    }
+}
+
+// Коды ответа Bybit, при которых запрос можно повторить
+const RATE_LIMIT_CODES = [10006, 10018];
+const RETRYABLE_CODES = [10002, 10016, ...RATE_LIMIT_CODES];
+
+// Планировщик запросов: очереди по группам эндпоинтов, пауза между запросами, учет X-Bapi-Limit-* и повторы.
+// Группа - раздел пути (/v5/order/create -> order, /v5/market/kline -> market): у каждой группы своя
+// последовательная очередь и своя пауза, поэтому повторы и ожидание лимита рыночных данных
+// не задерживают торговые запросы. Внутри группы неидемпотентные запросы (POST) идут раньше ожидающих GET.
+class RequestScheduler {
+    constructor(options = {}) {
+        this.minInterval = options.minInterval ?? 50; // Минимальная пауза между запросами (мс)
+        this.maxRetries = options.maxRetries ?? 3; // Повторы для идемпотентных GET
+        this.baseDelay = options.baseDelay ?? 500; // Базовая задержка backoff (мс)
+        this.maxDelay = options.maxDelay ?? 10000; // Максимальная задержка backoff (мс)
+        this.maxWait = options.maxWait ?? 5000; // Максимальное ожидание восстановления лимита (мс)
+        this.reserve = options.reserve ?? 1; // Сколько запросов оставлять в запасе
+
+        this.limits = new Map(); // endpoint -> { limit, remaining, resetAt }
+        this.lanes = new Map(); // группа эндпоинтов -> { queue, processing, lastRequestTime }
+        this.stats = { requests: 0, retries: 0, rateLimited: 0 };
+    }
+
+    // Постановка запроса в очередь его группы
+    schedule(endpoint, execute, { idempotent = false } = {}) {
+        const lane = this.getLane(endpoint);
+        return new Promise((resolve, reject) => {
+            const task = { endpoint, execute, idempotent, resolve, reject };
+            const firstIdempotent = idempotent ? -1 : lane.queue.findIndex(queued => queued.idempotent);
+            if (firstIdempotent === -1) {
+                lane.queue.push(task);
+            } else {
+                lane.queue.splice(firstIdempotent, 0, task);
+            }
+            this.processQueue(lane);
+        });
+    }
+
+    // Группа эндпоинта: раздел пути после версии API
+    getGroup(endpoint) {
+        return endpoint.split('/')[2] || endpoint;
+    }
+
+    // Очередь группы эндпоинта (создается при первом запросе)
+    getLane(endpoint) {
+        const group = this.getGroup(endpoint);
+        if (!this.lanes.has(group)) {
+            this.lanes.set(group, { queue: [], processing: false, lastRequestTime: 0 });
+        }
+        return this.lanes.get(group);
+    }
+
+    // Последовательная обработка очереди группы
+    async processQueue(lane) {
+        if (lane.processing) return;
+        lane.processing = true;
+
+        while (lane.queue.length > 0) {
+            const task = lane.queue.shift();
+            try {
+                task.resolve(await this.run(task, lane));
+            } catch (error) {
+                task.reject(error);
+            }
+        }
+
+        lane.processing = false;
+    }
+
+    // Выполнение запроса с повторами
+    async run(task, lane) {
+        const { endpoint, execute, idempotent } = task;
+        let attempt = 0;
+
+        while (true) {
+            await this.waitForBudget(endpoint);
+            await this.pace(lane);
+
+            let response = null;
+            let error = null;
+            try {
+                this.stats.requests++;
+                response = await execute();
+                this.updateLimits(endpoint, response.headers);
+            } catch (requestError) {
+                error = requestError;
+                if (requestError.response) {
+                    this.updateLimits(endpoint, requestError.response.headers);
+                }
+            }
+
+            const retCode = response ? response.data?.retCode : error.response?.data?.retCode;
+            const rateLimited = RATE_LIMIT_CODES.includes(retCode) || error?.response?.status === 429 || error?.response?.status === 403;
+            if (rateLimited) {
+                this.stats.rateLimited++;
+                this.markExhausted(endpoint);
+            }
+
+            const retryable = rateLimited || this.isRetryable(retCode, error);
+            if (!retryable) {
+                if (error) throw error;
+                return response;
+            }
+
+            if (!idempotent || attempt >= this.maxRetries) {
+                if (rateLimited) {
+                    throw new RateLimitError(endpoint, this.getRetryAfter(endpoint));
+                }
+                if (error) throw error;
+                return response;
+            }
+
+            attempt++;
+            this.stats.retries++;
+            const delay = this.getBackoffDelay(attempt);
+            console.warn(`🔁 Повтор запроса ${endpoint} (${attempt}/${this.maxRetries}) через ${delay} мс`, {
+                retCode: retCode,
+                error: error?.message
+            });
+            await this.sleep(delay);
+        }
+    }
+
+    // Можно ли повторить запрос
+    isRetryable(retCode, error) {
+        if (RETRYABLE_CODES.includes(retCode)) return true;
+        if (!error) return false;
+        // Сетевые ошибки и ошибки сервера
+        if (!error.response) return true;
+        return error.response.status >= 500;
+    }
+
+    // Экспоненциальная задержка с джиттером
+    getBackoffDelay(attempt) {
+        const exponential = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    // Соблюдение минимальной паузы между запросами группы
+    async pace(lane) {
+        const elapsed = Date.now() - lane.lastRequestTime;
+        if (elapsed < this.minInterval) {
+            await this.sleep(this.minInterval - elapsed);
+        }
+        lane.lastRequestTime = Date.now();
+    }
+
+    // Ожидание восстановления лимита эндпоинта
+    async waitForBudget(endpoint) {
+        const state = this.limits.get(endpoint);
+        if (!state || state.remaining > this.reserve) return;
+
+        const waitTime = state.resetAt - Date.now();
+        if (waitTime <= 0) {
+            this.limits.delete(endpoint);
+            return;
+        }
+
+        if (waitTime > this.maxWait) {
+            this.stats.rateLimited++;
+            throw new RateLimitError(endpoint, waitTime);
+        }
+
+        console.warn(`⏳ Лимит ${endpoint} почти исчерпан, ждем ${waitTime} мс`);
+        await this.sleep(waitTime);
+        this.limits.delete(endpoint);
+    }
+
+    // Обновление состояния лимита по заголовкам ответа
+    updateLimits(endpoint, headers = {}) {
+        const limit = headers['x-bapi-limit'];
+        const remaining = headers['x-bapi-limit-status'];
+        const resetAt = headers['x-bapi-limit-reset-timestamp'];
+        if (remaining === undefined || resetAt === undefined) return;
+
+        this.limits.set(endpoint, {
+            limit: parseInt(limit),
+            remaining: parseInt(remaining),
+            resetAt: parseInt(resetAt)
+        });
+    }
+
+    // Пометка эндпоинта как исчерпанного (если заголовков нет)
+    markExhausted(endpoint) {
+        const state = this.limits.get(endpoint);
+        if (state && state.resetAt > Date.now()) {
+            state.remaining = 0;
+            return;
+        }
+        this.limits.set(endpoint, { limit: null, remaining: 0, resetAt: Date.now() + 1000 });
+    }
+
+    // Оставшееся время до восстановления лимита
+    getRetryAfter(endpoint) {
+        const state = this.limits.get(endpoint);
+        return state ? Math.max(state.resetAt - Date.now(), 0) : null;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Получение статуса планировщика
+    getStatus() {
+        return {
+            queueLength: [...this.lanes.values()].reduce((sum, lane) => sum + lane.queue.length, 0),
+            lanes: Object.fromEntries([...this.lanes].map(([group, lane]) => [group, lane.queue.length])),
+            ...this.stats,
+            limits: Object.fromEntries(this.limits)
+        };
+    }
+}
+
+module.exports = RequestScheduler;
+module.exports.RateLimitError = RateLimitError;
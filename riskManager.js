@@ -1,6 +1,7 @@
 class RiskManager {
-    constructor(config) {
+    constructor(config, instruments = null) {
         this.config = config;
+        this.instruments = instruments; // Реестр инструментов для округления и минимальных объемов
         this.dailyLoss = 0;
         this.dailyProfit = 0;
         this.totalDrawdown = 0;
@@ -8,6 +9,50 @@ class RiskManager {
         this.trades = [];
         this.positions = new Map();
         this.lastResetDate = new Date().toDateString();
+        this.store = null; // Журнал состояния (устанавливается через setStateStore)
+        this.correlationMatrix = null; // Матрица корреляций (устанавливается через setCorrelationMatrix)
+    }
+
+    // ==================== ПЕРСИСТЕНТНОСТЬ ====================
+
+    // Установка журнала состояния для записи позиций и счетчиков риска
+    setStateStore(store) {
+        this.store = store;
+    }
+
+    // Восстановление позиций, сделок и счетчиков риска после перезапуска
+    restoreState(state) {
+        this.positions = new Map(Object.values(state.positions || {}).map(position => [position.symbol, position]));
+        this.trades = state.trades || [];
+
+        if (state.risk) {
+            this.peakBalance = state.risk.peakBalance || 0;
+            this.totalDrawdown = state.risk.totalDrawdown || 0;
+
+            // Дневные счетчики действуют только в пределах своего дня
+            if (state.risk.lastResetDate === this.lastResetDate) {
+                this.dailyLoss = state.risk.dailyLoss || 0;
+                this.dailyProfit = state.risk.dailyProfit || 0;
+            }
+        }
+    }
+
+    persistPosition(type, position) {
+        if (this.store) {
+            this.store.append(type, position);
+        }
+    }
+
+    persistRisk() {
+        if (this.store) {
+            this.store.append('risk', {
+                dailyLoss: this.dailyLoss,
+                dailyProfit: this.dailyProfit,
+                peakBalance: this.peakBalance,
+                totalDrawdown: this.totalDrawdown,
+                lastResetDate: this.lastResetDate
+            });
+        }
     }
 
     // Проверка дневного лимита убытков
@@ -19,6 +64,7 @@ class RiskManager {
             this.dailyLoss = 0;
             this.dailyProfit = 0;
             this.lastResetDate = today;
+            this.persistRisk();
         }
 
         return this.dailyLoss < this.config.riskManagement.dailyLossLimit;
@@ -29,6 +75,7 @@ class RiskManager {
         if (currentBalance > this.peakBalance) {
             this.peakBalance = currentBalance;
             this.totalDrawdown = 0;
+            this.persistRisk();
         } else {
             this.totalDrawdown = (this.peakBalance - currentBalance) / this.peakBalance;
         }
@@ -46,7 +93,7 @@ class RiskManager {
     }
 
     // Расчет размера позиции с учетом уверенности
-    calculatePositionSize(balance, symbol, signalStrength, confidence = 50, currentPrice = null) {
+    calculatePositionSize(balance, symbol, signalStrength, confidence = 50, currentPrice = null, side = null) {
         // Базовый размер в долларах
         const baseSizeUSD = balance * this.config.trading.positionSize;
         
@@ -54,11 +101,19 @@ class RiskManager {
         const strengthMultiplier = Math.min(signalStrength * 1.5, 1.5); // Максимум 1.5x
         const confidenceMultiplier = confidence / 100; // От 0 до 1
         
-        const adjustedSizeUSD = baseSizeUSD * strengthMultiplier * confidenceMultiplier;
+        // Уменьшение размера при открытых позициях, коррелированных с новой (если известно направление)
+        const correlationMultiplier = side ? this.checkCorrelationCluster(symbol, side).sizeFactor : 1;
+        
+        const adjustedSizeUSD = baseSizeUSD * strengthMultiplier * confidenceMultiplier * correlationMultiplier;
         
         // Минимальный размер позиции в долларах
         const minSizeUSD = 25; // $25
         
+        // Уменьшенная за корреляцию позиция не поднимается до минимума, иначе лимит кластера не действует
+        if (correlationMultiplier < 1 && adjustedSizeUSD < minSizeUSD) {
+            return this.rejectPositionSize(symbol, `размер ${adjustedSizeUSD.toFixed(2)} USD после уменьшения за корреляцию меньше минимального ${minSizeUSD}`, currentPrice);
+        }
+        
         // Максимальный размер позиции в долларах (не более 70% от баланса)
         const maxSizeUSD = balance * 0.7;
         
@@ -69,26 +124,35 @@ class RiskManager {
         if (currentPrice && currentPrice > 0) {
             const quantity = finalSizeUSD / currentPrice;
             
-            // Округляем до правильного количества знаков после запятой
-            const decimals = this.getSymbolDecimals(symbol);
-            const roundedQuantity = Math.floor(quantity * Math.pow(10, decimals)) / Math.pow(10, decimals);
+            // Округляем вниз до шага лота инструмента
+            const roundedQuantity = this.roundQty(symbol, quantity);
             
-            // Проверяем минимальное количество
+            // Размер ниже минимального количества или суммы ордера не поднимаем (риск превысил бы positionSize) - сделка отклоняется
             const minQty = this.getMinQty(symbol);
-            const finalQuantity = Math.max(roundedQuantity, minQty);
+            const instrument = this.instruments ? this.instruments.get(symbol) : null;
+            if (roundedQuantity <= 0 || roundedQuantity < minQty) {
+                return this.rejectPositionSize(symbol, `количество ${roundedQuantity} меньше минимального ${minQty}`, currentPrice);
+            }
+            if (instrument && instrument.minNotionalValue > 0 && roundedQuantity * currentPrice < instrument.minNotionalValue) {
+                return this.rejectPositionSize(symbol, `сумма ${(roundedQuantity * currentPrice).toFixed(2)} меньше минимальной ${instrument.minNotionalValue}`, currentPrice);
+            }
+            let finalQuantity = roundedQuantity;
+            if (instrument && finalQuantity > instrument.maxMktOrderQty) {
+                finalQuantity = this.roundQty(symbol, instrument.maxMktOrderQty);
+            }
             
             console.log(`🔍 Расчет размера позиции для ${symbol}:`, {
                 finalSizeUSD: finalSizeUSD.toFixed(2),
                 currentPrice: currentPrice.toFixed(4),
                 rawQuantity: quantity.toFixed(6),
-                decimals: decimals,
-                roundedQuantity: roundedQuantity.toFixed(4),
+                qtyStep: instrument ? instrument.qtyStep : null,
+                roundedQuantity: roundedQuantity,
                 minQty: minQty,
-                finalQuantity: finalQuantity.toFixed(4)
+                finalQuantity: finalQuantity
             });
             
             return {
-                sizeUSD: finalSizeUSD,
+                sizeUSD: finalQuantity * currentPrice,
                 quantity: finalQuantity,
                 price: currentPrice
             };
@@ -102,54 +166,29 @@ class RiskManager {
         };
     }
 
-    // Получение количества знаков после запятой для символа
-    getSymbolDecimals(symbol) {
-        const decimalsMap = {
-            'BTCUSDT': 3,   // 0.001 BTC
-            'ETHUSDT': 2,   // 0.01 ETH
-            'ETCUSDT': 2,   // 0.01 ETC
-            'XRPUSDT': 0,   // 1 XRP (целые числа)
-            'ADAUSDT': 1,   // 0.1 ADA
-            'DOTUSDT': 2,   // 0.01 DOT
-            'LINKUSDT': 2,  // 0.01 LINK
-            'LTCUSDT': 3,   // 0.001 LTC
-            'BCHUSDT': 3,   // 0.001 BCH
-            'EOSUSDT': 1,   // 0.1 EOS
-            'TRXUSDT': 0,   // 1 TRX
-            'SOLUSDT': 2,   // 0.01 SOL
-            'AVAXUSDT': 2,  // 0.01 AVAX
-            'FARTCOINUSDT': 0, // 1 FARTCOIN (целые числа)
-            'BNBUSDT': 3,   // 0.001 BNB
-            'TRUMPUSDT': 0, // 1 TRUMP (целые числа)
-            'TONUSDT': 2    // 0.01 TON
+    // Отказ в размере позиции: quantity = 0 и причина (canTrade и executeTrade не открывают сделку)
+    rejectPositionSize(symbol, reason, currentPrice = null) {
+        console.log(`⚠️ Размер позиции для ${symbol} отклонен: ${reason}`);
+        return {
+            sizeUSD: 0,
+            quantity: 0,
+            price: currentPrice || 1,
+            rejectReason: reason
         };
-        
-        return decimalsMap[symbol] || 2; // По умолчанию 2 знака
     }
 
-    // Получение минимального количества для символа
+    // Округление количества по шагу лота инструмента
+    roundQty(symbol, quantity) {
+        if (!this.instruments || !this.instruments.get(symbol)) {
+            return quantity;
+        }
+        return this.instruments.roundQty(symbol, quantity);
+    }
+
+    // Получение минимального количества для символа из реестра инструментов
     getMinQty(symbol) {
-        const minQtyMap = {
-            'BTCUSDT': 0.001,   // 0.001 BTC
-            'ETHUSDT': 0.01,    // 0.01 ETH
-            'ETCUSDT': 0.02,    // 0.02 ETC
-            'XRPUSDT': 5,       // 5 XRP (целые числа)
-            'ADAUSDT': 0.1,     // 0.1 ADA
-            'DOTUSDT': 0.01,    // 0.01 DOT
-            'LINKUSDT': 0.01,   // 0.01 LINK
-            'LTCUSDT': 0.001,   // 0.001 LTC
-            'BCHUSDT': 0.001,   // 0.001 BCH
-            'EOSUSDT': 0.1,     // 0.1 EOS
-            'TRXUSDT': 1,       // 1 TRX
-            'SOLUSDT': 0.01,    // 0.01 SOL
-            'AVAXUSDT': 0.01,   // 0.01 AVAX
-            'FARTCOINUSDT': 1,  // 1 FARTCOIN (целые числа)
-            'BNBUSDT': 0.001,   // 0.001 BNB
-            'TRUMPUSDT': 1,     // 1 TRUMP (целые числа)
-            'TONUSDT': 0.01     // 0.01 TON
-        };
-        
-        return minQtyMap[symbol] || 0.01;
+        const minQty = this.instruments ? this.instruments.getMinQty(symbol) : null;
+        return minQty !== null ? minQty : 0;
     }
 
     // ==================== СТОП-ЛОССЫ И ТЕЙК-ПРОФИТЫ ====================
@@ -207,6 +246,7 @@ class RiskManager {
             position.lowestPrice = position.side === 'Sell' ? position.entryPrice : stopLossPrice;
         }
 
+        this.persistPosition('position_update', position);
         console.log(`✅ Стоп-лосс установлен для ${symbol}: ${stopLossPrice} (трейлинг: ${isTrailing})`);
         return true;
     }
@@ -241,6 +281,7 @@ class RiskManager {
                 // Проверяем, что новый стоп-лосс выше текущего
                 if (newStopLoss > position.stopLoss) {
                     position.stopLoss = newStopLoss;
+                    this.persistPosition('position_update', position);
                     console.log(`📈 Трейлинг стоп-лосс обновлен для ${symbol}: ${newStopLoss.toFixed(4)}`);
                     return true;
                 }
@@ -254,6 +295,7 @@ class RiskManager {
                 // Проверяем, что новый стоп-лосс ниже текущего
                 if (newStopLoss < position.stopLoss) {
                     position.stopLoss = newStopLoss;
+                    this.persistPosition('position_update', position);
                     console.log(`📉 Трейлинг стоп-лосс обновлен для ${symbol}: ${newStopLoss.toFixed(4)}`);
                     return true;
                 }
@@ -391,6 +433,7 @@ class RiskManager {
         };
 
         this.positions.set(symbol, position);
+        this.persistPosition('position_open', position);
         
         console.log(`✅ Позиция открыта ${symbol}:`, {
             side,
@@ -404,12 +447,43 @@ class RiskManager {
         return position;
     }
 
+    // Принятие позиции, открытой на бирже без участия бота (перезапуск, ручная сделка).
+    // TP/SL берутся с позиции, иначе из условных ордеров, иначе рассчитываются как для новой позиции
+    adoptPosition(exchangePosition, orders = [], source = 'startup') {
+        const { symbol, side, size, entryPrice } = exchangePosition;
+        const { takeProfit, stopLoss } = this.getExchangeProtection(exchangePosition, orders);
+
+        const position = this.addPosition(symbol, side, size, entryPrice, stopLoss, takeProfit);
+        position.timestamp = exchangePosition.createdTime || position.timestamp; // Время удержания считается от открытия на бирже
+        position.adopted = true;
+        position.source = source;
+        this.persistPosition('position_update', position);
+
+        console.log(`🤝 Позиция ${symbol} принята под управление (${source}): открыта ${new Date(position.timestamp).toLocaleString('ru-RU')}`);
+        return position;
+    }
+
+    // TP/SL позиции на бирже: уровни самой позиции (режим Full), иначе триггеры условных ордеров
+    // на закрытие (режим Partial - каждый уровень отдельным ордером, PartialStopLoss/PartialTakeProfit)
+    getExchangeProtection(exchangePosition, orders = []) {
+        const { symbol, side } = exchangePosition;
+        const closeSide = side === 'Buy' ? 'Sell' : 'Buy';
+        const conditional = orders.filter(order => order.symbol === symbol && order.side === closeSide && order.triggerPrice);
+        const findTrigger = (...types) => conditional.find(order => types.includes(order.stopOrderType))?.triggerPrice || null;
+
+        return {
+            takeProfit: exchangePosition.takeProfit || findTrigger('TakeProfit', 'PartialTakeProfit'),
+            stopLoss: exchangePosition.stopLoss || findTrigger('StopLoss', 'PartialStopLoss')
+        };
+    }
+
     // Закрытие позиции
     closePosition(symbol, exitPrice, reason = 'manual') {
         const position = this.positions.get(symbol);
         if (!position) return null;
 
-        const pnl = this.calculatePnL(position, exitPrice);
+        // Учитываем уже зафиксированный результат частичных закрытий на бирже
+        const pnl = (position.realisedPnl || 0) + this.calculatePnL(position, exitPrice);
         position.exitPrice = exitPrice;
         position.exitTime = Date.now();
         position.status = 'closed';
@@ -425,6 +499,8 @@ class RiskManager {
 
         this.trades.push(position);
         this.positions.delete(symbol);
+        this.persistPosition('position_close', position);
+        this.persistRisk();
 
         console.log(`🔒 Позиция закрыта ${symbol}:`, {
             reason,
@@ -436,6 +512,74 @@ class RiskManager {
         return position;
     }
 
+    // ==================== СОБЫТИЯ БИРЖИ ====================
+
+    // Учет исполнения по позиции: фактическая цена входа и частичные/полные закрытия
+    applyExecution(symbol, execution) {
+        const position = this.positions.get(symbol);
+        if (!position) return null;
+
+        position.fees = (position.fees || 0) + execution.fee;
+
+        if (execution.side === position.side) {
+            // Исполнение ордера на открытие - цена входа по фактическим сделкам
+            position.filledSize = (position.filledSize || 0) + execution.qty;
+            position.filledValue = (position.filledValue || 0) + execution.qty * execution.price;
+            position.entryPrice = position.filledValue / position.filledSize;
+            this.persistPosition('position_update', position);
+            return { position, closed: false };
+        }
+
+        // Встречное исполнение сокращает позицию (TP/SL на бирже, ручное закрытие)
+        const closeQty = Math.min(execution.qty, position.size);
+        position.realisedPnl = (position.realisedPnl || 0) + this.calculatePnL({ ...position, size: closeQty }, execution.price);
+        position.closedSize = (position.closedSize || 0) + closeQty;
+        position.closedValue = (position.closedValue || 0) + closeQty * execution.price;
+        position.size = this.roundQty(symbol, position.size - closeQty);
+        this.persistPosition('position_update', position);
+
+        return {
+            position,
+            closed: position.size <= 0,
+            exitPrice: position.closedValue / position.closedSize
+        };
+    }
+
+    // Синхронизация открытой позиции с данными биржи (сторона, размер, средняя цена, TP/SL)
+    syncPosition(symbol, exchangePosition) {
+        const position = this.positions.get(symbol);
+        if (!position || exchangePosition.size <= 0) return null;
+
+        if (exchangePosition.side) {
+            position.side = exchangePosition.side;
+        }
+        position.size = exchangePosition.size;
+        if (exchangePosition.entryPrice > 0) {
+            position.entryPrice = exchangePosition.entryPrice;
+        }
+        if (exchangePosition.takeProfit) {
+            position.takeProfit = exchangePosition.takeProfit;
+        }
+        if (exchangePosition.stopLoss && !position.isTrailingStop) {
+            position.stopLoss = exchangePosition.stopLoss;
+        }
+
+        this.persistPosition('position_update', position);
+        return position;
+    }
+
+    // Принятие TP/SL с биржи для отслеживаемой позиции (отсутствующий на бирже уровень сохраняется)
+    syncProtection(symbol, { takeProfit, stopLoss }) {
+        const position = this.positions.get(symbol);
+        if (!position) return null;
+
+        position.takeProfit = takeProfit || position.takeProfit;
+        position.stopLoss = stopLoss || position.stopLoss;
+
+        this.persistPosition('position_update', position);
+        return position;
+    }
+
     // Расчет прибыли/убытка
     calculatePnL(position, currentPrice) {
         const { side, size, entryPrice } = position;
@@ -479,6 +623,43 @@ class RiskManager {
         return null;
     }
 
+    // ==================== КОРРЕЛЯЦИИ ====================
+
+    // Установка матрицы корреляций для лимита позиций в кластере
+    setCorrelationMatrix(matrix) {
+        this.correlationMatrix = matrix;
+    }
+
+    // Кластер открытых позиций, коррелированных с новой позицией -> { allowed, cluster, sizeFactor }.
+    // В кластер входят позиции той же направленности: с корреляцией выше порога в ту же сторону
+    // и с отрицательной корреляцией ниже -порога в обратную (по сути одна и та же ставка).
+    checkCorrelationCluster(symbol, side) {
+        const settings = this.config.correlation;
+        if (!this.correlationMatrix || !settings || !settings.enabled) {
+            return { allowed: true, cluster: [], sizeFactor: 1 };
+        }
+
+        const cluster = [];
+        for (const position of this.positions.values()) {
+            if (position.symbol === symbol) continue;
+
+            const correlation = this.correlationMatrix.getCorrelation(symbol, position.symbol);
+            if (correlation === null || Math.abs(correlation) < settings.threshold) continue;
+
+            const sameBet = correlation > 0 ? position.side === side : position.side !== side;
+            if (sameBet) {
+                cluster.push({ symbol: position.symbol, side: position.side, correlation: Number(correlation.toFixed(2)) });
+            }
+        }
+
+        const allowed = cluster.length < settings.maxClusterPositions;
+        return {
+            allowed,
+            cluster,
+            sizeFactor: allowed ? Math.pow(settings.sizeReduction, cluster.length) : 0
+        };
+    }
+
     // ==================== СТАТИСТИКА И АНАЛИЗ ====================
 
     // Получение статистики торговли
@@ -513,22 +694,40 @@ class RiskManager {
     }
 
     // Проверка всех условий для открытия позиции
-    canTrade(symbol, signalStrength, currentBalance, confidence = 50, currentPrice = null) {
+    canTrade(symbol, signalStrength, currentBalance, confidence = 50, currentPrice = null, side = null) {
+        const correlation = side ? this.checkCorrelationCluster(symbol, side) : null;
+        if (correlation && correlation.cluster.length > 0) {
+            console.log(`🔗 Коррелированные позиции для ${symbol} (${side}):`, {
+                cluster: correlation.cluster.map(position => `${position.symbol} ${position.side} (${position.correlation})`),
+                allowed: correlation.allowed,
+                sizeFactor: correlation.sizeFactor
+            });
+        }
+
         const checks = {
             dailyLossLimit: this.checkDailyLossLimit(),
             maxDrawdown: this.checkMaxDrawdown(currentBalance),
             tradingHours: this.checkTradingHours(),
             maxPositions: this.canOpenNewPosition(),
             signalStrength: signalStrength >= this.config.trading.minSignalStrength,
-            confidence: confidence >= this.config.trading.minConfidence
+            confidence: confidence >= this.config.trading.minConfidence,
+            correlationCluster: correlation ? correlation.allowed : true
         };
 
-        const canTrade = Object.values(checks).every(check => check === true);
+        let canTrade = Object.values(checks).every(check => check === true);
+        const positionSize = canTrade ? this.calculatePositionSize(currentBalance, symbol, signalStrength, confidence, currentPrice, side) : null;
+
+        // Размер ниже минимума биржи не поднимается - такая сделка не открывается
+        if (positionSize && positionSize.quantity <= 0) {
+            checks.positionSize = false;
+            canTrade = false;
+        }
         
         return {
             canTrade,
             checks,
-            positionSize: canTrade ? this.calculatePositionSize(currentBalance, symbol, signalStrength, confidence, currentPrice) : null
+            correlation,
+            positionSize
         };
     }
 
@@ -594,6 +793,7 @@ class RiskManager {
         }
 
         position.takeProfit = newTakeProfit;
+        this.persistPosition('position_update', position);
         console.log(`✅ Тейк-профит изменен для ${symbol}: ${newTakeProfit}`);
         return true;
     }
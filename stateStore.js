@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+
+// Надежное хранилище состояния бота: журнал событий (append-only) + снимок.
+// Каждое событие дописывается строкой JSON в журнал (критичные - с fsync),
+// при старте состояние восстанавливается из снимка и повтором журнала.
+// Когда журнал разрастается, текущее состояние записывается в снимок (через временный файл),
+// а журнал очищается. Оборванная последняя строка после сбоя пропускается.
+//
+// События:
+//   position_open / position_update - позиция (полностью)
+//   position_close                  - закрытая позиция (становится сделкой)
+//   risk                            - счетчики риска { dailyLoss, dailyProfit, peakBalance, totalDrawdown, lastResetDate }
+//   equity                          - снимок баланса { balance, time }
+//   trade_record                    - запись сделки PerformanceMonitor
+//
+// Метрики и история сигналов PerformanceMonitor не критичны и в журнал не пишутся:
+// они периодически сохраняются отдельным файлом статистики (saveStats) и при сбое теряются за последний период.
+class StateStore {
+    constructor(options = {}) {
+        this.journalFile = options.journalFile || 'data/bot-state.journal';
+        this.snapshotFile = options.snapshotFile || 'data/bot-state.snapshot.json';
+        this.compactThreshold = options.compactThreshold || 1000; // Событий в журнале до записи снимка
+        this.maxTrades = options.maxTrades || 5000;
+        this.maxSignals = options.maxSignals || 1000;
+        this.maxEquity = options.maxEquity || 10000;
+        this.statsFile = options.statsFile || 'data/bot-stats.json';
+
+        this.state = this.createEmptyState();
+        this.journalEntries = 0;
+        this.fd = null;
+    }
+
+    createEmptyState() {
+        return {
+            positions: {},
+            trades: [],
+            risk: null,
+            equity: [],
+            performance: { metrics: null, tradeHistory: [], signalHistory: [] },
+            updatedAt: null
+        };
+    }
+
+    // ==================== ВОССТАНОВЛЕНИЕ ====================
+
+    // Загрузка снимка и повтор журнала -> состояние
+    load() {
+        this.state = this.createEmptyState();
+        this.journalEntries = 0;
+
+        try {
+            if (fs.existsSync(this.snapshotFile)) {
+                this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8')) };
+            }
+        } catch (error) {
+            console.error('❌ Ошибка чтения снимка состояния:', error.message);
+        }
+
+        let skipped = 0;
+        if (fs.existsSync(this.journalFile)) {
+            const lines = fs.readFileSync(this.journalFile, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    this.apply(JSON.parse(line));
+                    this.journalEntries++;
+                } catch (error) {
+                    // Оборванная запись при сбое - пропускаем
+                    skipped++;
+                }
+            }
+        }
+
+        console.log(`💾 Состояние восстановлено: позиций ${Object.keys(this.state.positions).length}, сделок ${this.state.trades.length}, событий журнала ${this.journalEntries}${skipped ? `, пропущено поврежденных ${skipped}` : ''}`);
+        // Бот получает копию: его массивы и позиции не должны совпадать с массивами журнала
+        const state = JSON.parse(JSON.stringify(this.state));
+        const stats = this.loadStats();
+        if (stats) {
+            state.performance.metrics = stats.metrics;
+            state.performance.signalHistory = stats.signalHistory || [];
+        }
+        return state;
+    }
+
+    // Чтение файла статистики -> { metrics, signalHistory } | null
+    loadStats() {
+        try {
+            if (fs.existsSync(this.statsFile)) {
+                return JSON.parse(fs.readFileSync(this.statsFile, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ Ошибка чтения статистики:', error.message);
+        }
+        return null;
+    }
+
+    // ==================== ЗАПИСЬ ====================
+
+    // Добавление события в журнал (sync = fsync после записи)
+    append(type, data, { sync = true } = {}) {
+        const line = JSON.stringify({ time: Date.now(), type, data });
+
+        try {
+            this.openJournal();
+            fs.writeSync(this.fd, line + '\n');
+            if (sync) {
+                fs.fsyncSync(this.fd);
+            }
+        } catch (error) {
+            console.error(`❌ Ошибка записи журнала состояния (${type}):`, error.message);
+            return;
+        }
+
+        // Состояние хранит копию, а не ссылки на живые объекты бота
+        this.apply(JSON.parse(line));
+        this.journalEntries++;
+
+        if (this.journalEntries >= this.compactThreshold) {
+            this.compact();
+        }
+    }
+
+    // Применение события к состоянию
+    apply(entry) {
+        const { type, data } = entry;
+        const state = this.state;
+
+        if (type === 'position_open' || type === 'position_update') {
+            state.positions[data.symbol] = data;
+        } else if (type === 'position_close') {
+            delete state.positions[data.symbol];
+            state.trades.push(data);
+            this.trim(state.trades, this.maxTrades);
+        } else if (type === 'risk') {
+            state.risk = data;
+        } else if (type === 'equity') {
+            state.equity.push(data);
+            this.trim(state.equity, this.maxEquity);
+        } else if (type === 'trade_record') {
+            const history = state.performance.tradeHistory;
+            const index = history.findIndex(record => record.symbol === data.symbol && record.timestamp === data.timestamp);
+            if (index >= 0) {
+                history[index] = data;
+            } else {
+                history.push(data);
+                this.trim(history, this.maxTrades);
+            }
+        }
+
+        state.updatedAt = entry.time;
+    }
+
+    // Запись снимка и очистка журнала
+    compact() {
+        try {
+            this.ensureDir(this.snapshotFile);
+            const tmpFile = `${this.snapshotFile}.tmp`;
+            const fd = fs.openSync(tmpFile, 'w');
+            try {
+                fs.writeSync(fd, JSON.stringify(this.state));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tmpFile, this.snapshotFile);
+
+            // Журнал очищается только после того, как снимок и его переименование надежно записаны
+            this.syncDir(this.snapshotFile);
+            this.closeJournal();
+            fs.truncateSync(this.journalFile, 0);
+            this.journalEntries = 0;
+        } catch (error) {
+            console.error('❌ Ошибка записи снимка состояния:', error.message);
+        }
+    }
+
+    // Запись метрик и истории сигналов (через временный файл, без fsync - потеря при сбое допустима)
+    saveStats({ metrics, signalHistory }) {
+        try {
+            this.ensureDir(this.statsFile);
+            const tmpFile = `${this.statsFile}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify({ metrics, signalHistory: signalHistory.slice(-this.maxSignals) }));
+            fs.renameSync(tmpFile, this.statsFile);
+        } catch (error) {
+            console.error('❌ Ошибка записи статистики:', error.message);
+        }
+    }
+
+    // Закрытие журнала (снимок при остановке ускоряет следующий запуск)
+    close() {
+        if (this.journalEntries > 0) {
+            this.compact();
+        }
+        this.closeJournal();
+    }
+
+    // ==================== ВСПОМОГАТЕЛЬНЫЕ МЕТОДЫ ====================
+
+    openJournal() {
+        if (this.fd === null) {
+            this.ensureDir(this.journalFile);
+            this.fd = fs.openSync(this.journalFile, 'a');
+        }
+    }
+
+    closeJournal() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    ensureDir(file) {
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    // fsync каталога файла: переименование попадает на диск вместе с записью каталога
+    syncDir(file) {
+        let fd = null;
+        try {
+            fd = fs.openSync(path.dirname(file), 'r');
+            fs.fsyncSync(fd);
+        } catch (error) {
+            // Windows не позволяет открыть каталог - там переименование сохраняется самой ФС
+            if (process.platform !== 'win32') throw error;
+        } finally {
+            if (fd !== null) fs.closeSync(fd);
+        }
+    }
+
+    trim(list, max) {
+        if (list.length > max) {
+            list.splice(0, list.length - max);
+        }
+    }
+
+    // Получение статуса хранилища
+    getStatus() {
+        return {
+            journalFile: this.journalFile,
+            journalEntries: this.journalEntries,
+            positions: Object.keys(this.state.positions).length,
+            trades: this.state.trades.length,
+            updatedAt: this.state.updatedAt
+        };
+    }
+}
+
+module.exports = StateStore;
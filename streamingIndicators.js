@@ -0,0 +1,656 @@
+// Потоковые (инкрементальные) индикаторы.
+// Каждый индикатор хранит свое состояние и обновляется за O(1) на новой свече (push),
+// а пересмотр формирующейся свечи откатывает последнее обновление и применяет его заново (replace).
+// Формулы совпадают с technicalindicators: EMA с начальным значением SMA, RSI и ATR со сглаживанием Уайлдера,
+// MACD на EMA, полосы Боллинджера со стандартным отклонением по генеральной совокупности,
+// Stochastic (%D - SMA от %K), Williams %R, CCI (среднее отклонение по окну), ADX (+DI/-DI по Уайлдеру).
+// VWAP в отличие от technicalindicators сбрасывается в начале каждой сессии и дает полосы по стандартному отклонению.
+//
+// IndicatorEngine держит индикаторы по (символ, интервал) поверх CandleStore и синхронизирует их
+// с серией при чтении: новые свечи добавляются, пересмотренная последняя свеча заменяется,
+// при вставке в середину серии или перезагрузке (CandleStore.getRevision) индикаторы пересчитываются заново.
+// Свои индикаторы добавляются через defineIndicator (см. indicatorRegistry.js) - наследник StreamingIndicator
+// реализует next(input) и, если хранит состояние помимо value/count, snapshot()/restore().
+
+// Окно фиксированной длины с откатом последнего добавления
+class RollingWindow {
+    constructor(size) {
+        this.size = size;
+        this.values = [];
+        this.sum = 0;
+        this.evicted = undefined; // Значение, вытесненное последним добавлением
+    }
+
+    push(value) {
+        this.values.push(value);
+        this.sum += value;
+        this.evicted = this.values.length > this.size ? this.values.shift() : undefined;
+        if (this.evicted !== undefined) {
+            this.sum -= this.evicted;
+        }
+    }
+
+    rollback() {
+        this.sum -= this.values.pop();
+        if (this.evicted !== undefined) {
+            this.values.unshift(this.evicted);
+            this.sum += this.evicted;
+            this.evicted = undefined;
+        }
+    }
+
+    isFull() {
+        return this.values.length === this.size;
+    }
+
+    max() {
+        return Math.max(...this.values);
+    }
+
+    min() {
+        return Math.min(...this.values);
+    }
+}
+
+// Базовый индикатор: push - новая свеча, rollback - отмена последнего push, replace - пересмотр последней свечи
+class StreamingIndicator {
+    constructor() {
+        this.value = null;
+        this.count = 0;
+        this.saved = null;
+    }
+
+    push(input) {
+        this.saved = this.snapshot();
+        this.count++;
+        this.value = this.next(input);
+        return this.value;
+    }
+
+    rollback() {
+        if (!this.saved) return;
+        this.restore(this.saved);
+        this.saved = null;
+    }
+
+    replace(input) {
+        this.rollback();
+        return this.push(input);
+    }
+
+    // Состояние до последнего push (наследники дополняют своими полями)
+    snapshot() {
+        return { value: this.value, count: this.count };
+    }
+
+    restore(state) {
+        this.value = state.value;
+        this.count = state.count;
+    }
+}
+
+// Простая скользящая средняя
+class StreamingSMA extends StreamingIndicator {
+    constructor(period) {
+        super();
+        this.period = period;
+        this.window = new RollingWindow(period);
+    }
+
+    next(value) {
+        this.window.push(value);
+        return this.window.isFull() ? this.window.sum / this.period : null;
+    }
+
+    restore(state) {
+        super.restore(state);
+        this.window.rollback();
+    }
+}
+
+// Экспоненциальная средняя (k = 2 / (period + 1)); с k = 1 / period - сглаживание Уайлдера
+class StreamingEMA extends StreamingIndicator {
+    constructor(period, k = 2 / (period + 1)) {
+        super();
+        this.period = period;
+        this.k = k;
+        this.seedSum = 0; // Первое значение - SMA первых period значений
+    }
+
+    next(value) {
+        if (this.count < this.period) {
+            this.seedSum += value;
+            return null;
+        }
+        if (this.count === this.period) {
+            this.seedSum += value;
+            return this.seedSum / this.period;
+        }
+        return (value - this.value) * this.k + this.value;
+    }
+
+    snapshot() {
+        return { ...super.snapshot(), seedSum: this.seedSum };
+    }
+
+    restore(state) {
+        super.restore(state);
+        this.seedSum = state.seedSum;
+    }
+}
+
+// RSI: средние прироста и падения со сглаживанием Уайлдера
+class StreamingRSI extends StreamingIndicator {
+    constructor(period = 14) {
+        super();
+        this.period = period;
+        this.avgGain = new StreamingEMA(period, 1 / period);
+        this.avgLoss = new StreamingEMA(period, 1 / period);
+        this.previousClose = null;
+    }
+
+    next(close) {
+        if (this.previousClose === null) {
+            this.previousClose = close;
+            return null;
+        }
+
+        const change = close - this.previousClose;
+        this.previousClose = close;
+        const gain = this.avgGain.push(Math.max(change, 0));
+        const loss = this.avgLoss.push(Math.max(-change, 0));
+
+        if (gain === null || loss === null) return null;
+        if (loss === 0) return 100;
+        if (gain === 0) return 0;
+        return 100 - 100 / (1 + gain / loss);
+    }
+
+    snapshot() {
+        return { ...super.snapshot(), previousClose: this.previousClose };
+    }
+
+    restore(state) {
+        // Средние обновлялись только если до этой свечи уже была цена закрытия
+        if (state.previousClose !== null) {
+            this.avgGain.rollback();
+            this.avgLoss.rollback();
+        }
+        super.restore(state);
+        this.previousClose = state.previousClose;
+    }
+}
+
+// MACD на EMA -> { macd, signal, histogram } после прогрева сигнальной линии
+class StreamingMACD extends StreamingIndicator {
+    constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+        super();
+        this.fast = new StreamingEMA(fastPeriod);
+        this.slow = new StreamingEMA(slowPeriod);
+        this.signal = new StreamingEMA(signalPeriod);
+        this.signalUpdated = false;
+    }
+
+    next(close) {
+        const fast = this.fast.push(close);
+        const slow = this.slow.push(close);
+        this.signalUpdated = fast !== null && slow !== null;
+        if (!this.signalUpdated) return null;
+
+        const macd = fast - slow;
+        const signal = this.signal.push(macd);
+        return signal === null ? null : { macd, signal, histogram: macd - signal };
+    }
+
+    snapshot() {
+        return { ...super.snapshot(), signalUpdated: this.signalUpdated };
+    }
+
+    restore(state) {
+        if (this.signalUpdated) {
+            this.signal.rollback();
+        }
+        this.fast.rollback();
+        this.slow.rollback();
+        super.restore(state);
+        this.signalUpdated = state.signalUpdated;
+    }
+}
+
+// Полосы Боллинджера -> { upper, middle, lower }
+class StreamingBollingerBands extends StreamingIndicator {
+    constructor(period = 20, stdDev = 2) {
+        super();
+        this.period = period;
+        this.stdDev = stdDev;
+        this.window = new RollingWindow(period);
+    }
+
+    next(close) {
+        this.window.push(close);
+        if (!this.window.isFull()) return null;
+
+        // Отклонение считаем по окну (O(period)), чтобы не накапливать ошибку суммы квадратов
+        const middle = this.window.sum / this.period;
+        const variance = this.window.values.reduce((sum, value) => sum + (value - middle) ** 2, 0) / this.period;
+        const deviation = Math.sqrt(variance) * this.stdDev;
+        return { upper: middle + deviation, middle, lower: middle - deviation };
+    }
+
+    restore(state) {
+        super.restore(state);
+        this.window.rollback();
+    }
+}
+
+// ATR: истинный диапазон со сглаживанием Уайлдера (вход - свеча)
+class StreamingATR extends StreamingIndicator {
+    constructor(period = 14) {
+        super();
+        this.average = new StreamingEMA(period, 1 / period);
+        this.previousClose = null;
+    }
+
+    next(candle) {
+        if (this.previousClose === null) {
+            this.previousClose = candle.close;
+            return null;
+        }
+
+        const trueRange = Math.max(
+            candle.high - candle.low,
+            Math.abs(candle.high - this.previousClose),
+            Math.abs(candle.low - this.previousClose)
+        );
+        this.previousClose = candle.close;
+        return this.average.push(trueRange);
+    }
+
+    snapshot() {
+        return { ...super.snapshot(), previousClose: this.previousClose };
+    }
+
+    restore(state) {
+        if (state.previousClose !== null) {
+            this.average.rollback();
+        }
+        super.restore(state);
+        this.previousClose = state.previousClose;
+    }
+}
+
+// Stochastic -> { k, d } (d = null до прогрева сигнальной линии)
+class StreamingStochastic extends StreamingIndicator {
+    constructor(period = 14, signalPeriod = 3) {
+        super();
+        this.highs = new RollingWindow(period);
+        this.lows = new RollingWindow(period);
+        this.signal = new StreamingSMA(signalPeriod);
+        this.signalUpdated = false;
+    }
+
+    next(candle) {
+        this.highs.push(candle.high);
+        this.lows.push(candle.low);
+        this.signalUpdated = this.highs.isFull();
+        if (!this.signalUpdated) return null;
+
+        const highest = this.highs.max();
+        const lowest = this.lows.min();
+        const k = highest > lowest ? (candle.close - lowest) / (highest - lowest) * 100 : 0;
+        return { k, d: this.signal.push(k) };
+    }
+
+    snapshot() {
+        return { ...super.snapshot(), signalUpdated: this.signalUpdated };
+    }
+
+    restore(state) {
+        if (this.signalUpdated) {
+            this.signal.rollback();
+        }
+        this.highs.rollback();
+        this.lows.rollback();
+        super.restore(state);
+        this.signalUpdated = state.signalUpdated;
+    }
+}
+
+// Williams %R (-100..0)
+class StreamingWilliamsR extends StreamingIndicator {
+    constructor(period = 14) {
+        super();
+        this.highs = new RollingWindow(period);
+        this.lows = new RollingWindow(period);
+    }
+
+    next(candle) {
+        this.highs.push(candle.high);
+        this.lows.push(candle.low);
+        if (!this.highs.isFull()) return null;
+
+        const highest = this.highs.max();
+        const lowest = this.lows.min();
+        return highest > lowest ? (highest - candle.close) / (highest - lowest) * -100 : -50;
+    }
+
+    restore(state) {
+        super.restore(state);
+        this.highs.rollback();
+        this.lows.rollback();
+    }
+}
+
+// CCI по типичной цене (high + low + close) / 3
+class StreamingCCI extends StreamingIndicator {
+    constructor(period = 20) {
+        super();
+        this.period = period;
+        this.window = new RollingWindow(period);
+    }
+
+    next(candle) {
+        const typical = (candle.high + candle.low + candle.close) / 3;
+        this.window.push(typical);
+        if (!this.window.isFull()) return null;
+
+        const average = this.window.sum / this.period;
+        const meanDeviation = this.window.values.reduce((sum, value) => sum + Math.abs(value - average), 0) / this.period;
+        return meanDeviation > 0 ? (typical - average) / (0.015 * meanDeviation) : 0;
+    }
+
+    restore(state) {
+        super.restore(state);
+        this.window.rollback();
+    }
+}
+
+// ADX -> { adx, pdi, mdi } (adx = null, пока не прогрето сглаживание DX)
+class StreamingADX extends StreamingIndicator {
+    constructor(period = 14) {
+        super();
+        this.trueRange = new StreamingEMA(period, 1 / period);
+        this.plusDM = new StreamingEMA(period, 1 / period);
+        this.minusDM = new StreamingEMA(period, 1 / period);
+        this.dx = new StreamingEMA(period, 1 / period);
+        this.previous = null;
+        this.dxUpdated = false;
+    }
+
+    next(candle) {
+        const previous = this.previous;
+        this.previous = candle;
+        this.dxUpdated = false;
+        if (!previous) return null;
+
+        const upMove = candle.high - previous.high;
+        const downMove = previous.low - candle.low;
+        const trueRange = this.trueRange.push(Math.max(
+            candle.high - candle.low,
+            Math.abs(candle.high - previous.close),
+            Math.abs(candle.low - previous.close)
+        ));
+        const plus = this.plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
+        const minus = this.minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
+        if (trueRange === null) return null;
+
+        const pdi = trueRange > 0 ? plus * 100 / trueRange : 0;
+        const mdi = trueRange > 0 ? minus * 100 / trueRange : 0;
+        const dx = pdi + mdi > 0 ? Math.abs(pdi - mdi) / (pdi + mdi) * 100 : 0;
+        this.dxUpdated = true;
+        return { adx: this.dx.push(dx), pdi, mdi };
+    }
+
+    snapshot() {
+        return { ...super.snapshot(), previous: this.previous, dxUpdated: this.dxUpdated };
+    }
+
+    restore(state) {
+        if (this.dxUpdated) {
+            this.dx.rollback();
+        }
+        if (state.previous) {
+            this.trueRange.rollback();
+            this.plusDM.rollback();
+            this.minusDM.rollback();
+        }
+        super.restore(state);
+        this.previous = state.previous;
+        this.dxUpdated = state.dxUpdated;
+    }
+}
+
+// VWAP сессии с полосами: { vwap, deviation, bands: [{ multiplier, upper, lower }], sessionStart }
+class StreamingVWAP extends StreamingIndicator {
+    constructor(sessionStartHour = 0, ...multipliers) {
+        super();
+        this.sessionStartHour = sessionStartHour;
+        this.multipliers = multipliers.length > 0 ? multipliers : [1, 2];
+        this.session = null;
+        this.priceVolume = 0;
+        this.priceSquareVolume = 0;
+        this.volume = 0;
+    }
+
+    next(candle) {
+        const session = this.getSessionStart(candle.timestamp);
+        if (session !== this.session) {
+            this.session = session;
+            this.priceVolume = 0;
+            this.priceSquareVolume = 0;
+            this.volume = 0;
+        }
+
+        const typical = (candle.high + candle.low + candle.close) / 3;
+        this.priceVolume += typical * candle.volume;
+        this.priceSquareVolume += typical * typical * candle.volume;
+        this.volume += candle.volume;
+        if (this.volume === 0) return null;
+
+        const vwap = this.priceVolume / this.volume;
+        const deviation = Math.sqrt(Math.max(this.priceSquareVolume / this.volume - vwap * vwap, 0));
+        return {
+            vwap,
+            deviation,
+            bands: this.multipliers.map(multiplier => ({
+                multiplier,
+                upper: vwap + deviation * multiplier,
+                lower: vwap - deviation * multiplier
+            })),
+            sessionStart: session
+        };
+    }
+
+    getSessionStart(time) {
+        const day = 24 * 60 * 60 * 1000;
+        const start = Math.floor(time / day) * day + this.sessionStartHour * 60 * 60 * 1000;
+        return start > time ? start - day : start;
+    }
+
+    snapshot() {
+        return {
+            ...super.snapshot(),
+            session: this.session,
+            priceVolume: this.priceVolume,
+            priceSquareVolume: this.priceSquareVolume,
+            volume: this.volume
+        };
+    }
+
+    restore(state) {
+        super.restore(state);
+        this.session = state.session;
+        this.priceVolume = state.priceVolume;
+        this.priceSquareVolume = state.priceSquareVolume;
+        this.volume = state.volume;
+    }
+}
+
+// Доступные индикаторы: создание по параметрам и вход из свечи
+const INDICATORS = {
+    sma: { create: (period) => new StreamingSMA(period), input: candle => candle.close },
+    ema: { create: (period) => new StreamingEMA(period), input: candle => candle.close },
+    rsi: { create: (period) => new StreamingRSI(period), input: candle => candle.close },
+    macd: { create: (fast, slow, signal) => new StreamingMACD(fast, slow, signal), input: candle => candle.close },
+    bb: { create: (period, stdDev) => new StreamingBollingerBands(period, stdDev), input: candle => candle.close },
+    atr: { create: (period) => new StreamingATR(period), input: candle => candle },
+    stochastic: { create: (period, signalPeriod) => new StreamingStochastic(period, signalPeriod), input: candle => candle },
+    williamsR: { create: (period) => new StreamingWilliamsR(period), input: candle => candle },
+    cci: { create: (period) => new StreamingCCI(period), input: candle => candle },
+    adx: { create: (period) => new StreamingADX(period), input: candle => candle },
+    vwap: { create: (sessionStartHour, ...multipliers) => new StreamingVWAP(sessionStartHour, ...multipliers), input: candle => candle }
+};
+
+// Регистрация индикатора (плагины IndicatorRegistry): definition = { create(...params), input(candle) }
+function defineIndicator(name, definition) {
+    INDICATORS[name] = definition;
+}
+
+// Индикатор серии с последними значениями (для *History и дивергенций)
+class IndicatorTracker {
+    constructor(name, params, historyLength) {
+        const definition = INDICATORS[name];
+        if (!definition) {
+            throw new Error(`Неизвестный индикатор: ${name}`);
+        }
+
+        this.name = name;
+        this.params = params;
+        this.indicator = definition.create(...params);
+        this.input = definition.input;
+        this.historyLength = historyLength;
+        this.history = [];
+        this.appended = false; // Последний push добавил значение в историю
+    }
+
+    get value() {
+        return this.indicator.value;
+    }
+
+    push(candle) {
+        const value = this.indicator.push(this.input(candle));
+        this.appended = value !== null;
+        if (this.appended) {
+            this.history.push(value);
+            if (this.history.length > this.historyLength) {
+                this.history.shift();
+            }
+        }
+    }
+
+    replace(candle) {
+        if (this.appended) {
+            this.history.pop();
+        }
+        this.indicator.rollback();
+        this.push(candle);
+    }
+}
+
+class IndicatorEngine {
+    constructor(candleStore, options = {}) {
+        this.store = candleStore;
+        this.historyLength = options.historyLength || 100; // Хранимых значений каждого индикатора
+        this.series = new Map(); // `${symbol}:${interval}` -> { revision, lastCandle, trackers }
+    }
+
+    // Индикатор серии, синхронизированный с последней свечой: get('BTCUSDT', '1', 'rsi', [14]).value
+    get(symbol, interval, name, params = []) {
+        const entry = this.sync(symbol, interval);
+        const id = `${name}:${params.join(':')}`;
+
+        let tracker = entry.trackers.get(id);
+        if (!tracker) {
+            // Новый индикатор прогревается на всей серии один раз
+            tracker = new IndicatorTracker(name, params, this.historyLength);
+            for (const candle of this.store.getCandles(symbol, interval)) {
+                tracker.push(candle);
+            }
+            entry.trackers.set(id, tracker);
+        }
+        return tracker;
+    }
+
+    // Применение к индикаторам свечей, появившихся или измененных с прошлого чтения
+    sync(symbol, interval) {
+        const key = this.store.key(symbol, interval);
+        const candles = this.store.getCandles(symbol, interval);
+        const revision = this.store.getRevision(symbol, interval);
+        let entry = this.series.get(key);
+
+        if (!entry) {
+            entry = { revision, lastCandle: null, trackers: new Map() };
+            this.series.set(key, entry);
+        }
+
+        const last = candles.length > 0 ? candles[candles.length - 1] : null;
+        if (last === entry.lastCandle && entry.revision === revision) return entry;
+
+        // Позиция последней учтенной свечи (обычно последняя или предпоследняя)
+        let index = candles.length - 1;
+        if (entry.lastCandle) {
+            while (index >= 0 && candles[index].timestamp > entry.lastCandle.timestamp) {
+                index--;
+            }
+        }
+
+        const continuous = entry.revision === revision && entry.lastCandle && index >= 0 &&
+            candles[index].timestamp === entry.lastCandle.timestamp;
+
+        if (!continuous) {
+            this.rebuild(entry, candles, revision);
+            return entry;
+        }
+
+        for (const tracker of entry.trackers.values()) {
+            if (candles[index] !== entry.lastCandle) {
+                tracker.replace(candles[index]);
+            }
+            for (let i = index + 1; i < candles.length; i++) {
+                tracker.push(candles[i]);
+            }
+        }
+        entry.lastCandle = last;
+        return entry;
+    }
+
+    // Пересчет индикаторов серии с нуля (вставка в середину, перезагрузка серии)
+    rebuild(entry, candles, revision) {
+        for (const [id, tracker] of entry.trackers) {
+            const fresh = new IndicatorTracker(tracker.name, tracker.params, this.historyLength);
+            for (const candle of candles) {
+                fresh.push(candle);
+            }
+            entry.trackers.set(id, fresh);
+        }
+        entry.revision = revision;
+        entry.lastCandle = candles.length > 0 ? candles[candles.length - 1] : null;
+    }
+
+    // Получение статуса индикаторов
+    getStatus() {
+        const series = {};
+        for (const [key, entry] of this.series) {
+            series[key] = [...entry.trackers.keys()];
+        }
+        return series;
+    }
+}
+
+module.exports = {
+    IndicatorEngine,
+    defineIndicator,
+    RollingWindow,
+    StreamingIndicator,
+    StreamingSMA,
+    StreamingEMA,
+    StreamingRSI,
+    StreamingMACD,
+    StreamingBollingerBands,
+    StreamingATR,
+    StreamingStochastic,
+    StreamingWilliamsR,
+    StreamingCCI,
+    StreamingADX,
+    StreamingVWAP
+};
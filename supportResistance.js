@@ -0,0 +1,175 @@
+const CandleStore = require('./candleStore');
+
+// Поиск уровней поддержки и сопротивления по серии свечей.
+// Источники уровней:
+//   swing   - локальные экстремумы (максимум/минимум среди swingStrength свечей слева и справа)
+//   pivot   - классические пивоты (P, R1/R2, S1/S2) по предыдущей завершенной свече pivotInterval
+//   cluster - несколько источников, сошедшихся в пределах clusterTolerance, объединяются в один уровень
+// Сила уровня (0..1) складывается из числа касаний (экстремум свечи в пределах touchTolerance)
+// и объема свечей, коснувшихся уровня, относительно самого "объемного" уровня;
+// пивоты получают надбавку pivotWeight, так как могут быть еще не протестированы ценой.
+//
+// Результат analyze():
+//   { levels: [{ price, type, sources, touches, volume, strength }], nearestSupport, nearestResistance,
+//     distanceToSupport, distanceToResistance } (расстояния - доли цены, null если уровня нет)
+const DEFAULT_OPTIONS = {
+    lookback: 200,
+    swingStrength: 3,
+    pivotInterval: 'D',
+    clusterTolerance: 0.002,
+    touchTolerance: 0.001,
+    strongTouches: 4,
+    touchWeight: 0.6,
+    volumeWeight: 0.4,
+    pivotWeight: 0.3,
+    minStrength: 0.3,
+    maxLevels: 10
+};
+
+class SupportResistance {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // Уровни для текущей цены (pivotCandle - предыдущая завершенная свеча старшего интервала)
+    analyze(candles, currentPrice, pivotCandle = null) {
+        const recent = candles.slice(-this.options.lookback);
+        if (recent.length < this.options.swingStrength * 2 + 1 || !currentPrice) {
+            return this.emptyResult();
+        }
+
+        const raw = [
+            ...this.findSwingPoints(recent),
+            ...(pivotCandle ? this.calculatePivots(pivotCandle) : [])
+        ];
+
+        const levels = this.clusterLevels(raw)
+            .map(level => this.measureLevel(level, recent))
+            .filter(level => level.touches > 0 || level.sources.includes('pivot'));
+
+        // Сила по объему - относительно самого объемного уровня
+        const maxVolume = Math.max(0, ...levels.map(level => level.volume));
+        for (const level of levels) {
+            const touchScore = Math.min(level.touches / this.options.strongTouches, 1);
+            const volumeScore = maxVolume > 0 ? level.volume / maxVolume : 0;
+            const pivotScore = level.sources.includes('pivot') ? this.options.pivotWeight : 0;
+            level.strength = Math.min(touchScore * this.options.touchWeight + volumeScore * this.options.volumeWeight + pivotScore, 1);
+            level.type = level.price < currentPrice ? 'support' : 'resistance';
+        }
+
+        const strong = levels
+            .filter(level => level.strength >= this.options.minStrength)
+            .sort((a, b) => b.strength - a.strength)
+            .slice(0, this.options.maxLevels)
+            .sort((a, b) => a.price - b.price);
+
+        const supports = strong.filter(level => level.type === 'support');
+        const resistances = strong.filter(level => level.type === 'resistance');
+        const nearestSupport = supports.length > 0 ? supports[supports.length - 1] : null;
+        const nearestResistance = resistances.length > 0 ? resistances[0] : null;
+
+        return {
+            levels: strong,
+            nearestSupport,
+            nearestResistance,
+            distanceToSupport: nearestSupport ? (currentPrice - nearestSupport.price) / currentPrice : null,
+            distanceToResistance: nearestResistance ? (nearestResistance.price - currentPrice) / currentPrice : null
+        };
+    }
+
+    emptyResult() {
+        return { levels: [], nearestSupport: null, nearestResistance: null, distanceToSupport: null, distanceToResistance: null };
+    }
+
+    // ==================== ИСТОЧНИКИ УРОВНЕЙ ====================
+
+    // Локальные максимумы и минимумы (точка подтверждена swingStrength свечами справа)
+    findSwingPoints(candles) {
+        const points = [];
+        const strength = this.options.swingStrength;
+
+        for (let i = strength; i < candles.length - strength; i++) {
+            let isHigh = true;
+            let isLow = true;
+            for (let j = i - strength; j <= i + strength && (isHigh || isLow); j++) {
+                if (j === i) continue;
+                if (candles[j].high >= candles[i].high) isHigh = false;
+                if (candles[j].low <= candles[i].low) isLow = false;
+            }
+
+            if (isHigh) points.push({ price: candles[i].high, source: 'swing' });
+            if (isLow) points.push({ price: candles[i].low, source: 'swing' });
+        }
+
+        return points;
+    }
+
+    // Классические пивоты по свече старшего интервала
+    calculatePivots(candle) {
+        const pivot = (candle.high + candle.low + candle.close) / 3;
+        const range = candle.high - candle.low;
+        return [
+            { price: pivot, source: 'pivot' },
+            { price: 2 * pivot - candle.low, source: 'pivot' },  // R1
+            { price: pivot + range, source: 'pivot' },           // R2
+            { price: 2 * pivot - candle.high, source: 'pivot' }, // S1
+            { price: pivot - range, source: 'pivot' }            // S2
+        ];
+    }
+
+    // Объединение близких уровней: цена уровня - среднее цен кластера
+    clusterLevels(points) {
+        const sorted = [...points].sort((a, b) => a.price - b.price);
+        const clusters = [];
+
+        for (const point of sorted) {
+            const cluster = clusters[clusters.length - 1];
+            if (cluster && (point.price - cluster.price) / cluster.price <= this.options.clusterTolerance) {
+                cluster.points.push(point);
+                cluster.price = cluster.points.reduce((sum, item) => sum + item.price, 0) / cluster.points.length;
+            } else {
+                clusters.push({ price: point.price, points: [point] });
+            }
+        }
+
+        return clusters.map(cluster => {
+            const sources = [...new Set(cluster.points.map(point => point.source))];
+            if (cluster.points.length > 1) {
+                sources.push('cluster');
+            }
+            return { price: cluster.price, sources };
+        });
+    }
+
+    // ==================== СИЛА УРОВНЯ ====================
+
+    // Касания уровня экстремумами свечей и объем этих свечей
+    measureLevel(level, candles) {
+        const tolerance = level.price * this.options.touchTolerance;
+        let touches = 0;
+        let volume = 0;
+
+        for (const candle of candles) {
+            const touchedHigh = Math.abs(candle.high - level.price) <= tolerance;
+            const touchedLow = Math.abs(candle.low - level.price) <= tolerance;
+            if (touchedHigh || touchedLow) {
+                touches++;
+                volume += candle.volume;
+            }
+        }
+
+        return { ...level, touches, volume };
+    }
+
+    // Предыдущая завершенная свеча интервала пивотов (null, если интервал анализа не младше)
+    static getPivotCandle(candleStore, symbol, interval, pivotInterval) {
+        if (!pivotInterval || CandleStore.intervalMs(interval) >= CandleStore.intervalMs(pivotInterval)) {
+            return null;
+        }
+
+        const candles = candleStore.getCandles(symbol, pivotInterval, { confirmedOnly: true });
+        return candles.length > 0 ? candles[candles.length - 1] : null;
+    }
+}
+
+module.exports = SupportResistance;
@@ -1,89 +1,98 @@
-const { RSI, MACD, SMA, EMA, BollingerBands, Stochastic, WilliamsR, ATR, ADX, CCI, OBV, VWAP } = require('technicalindicators');
+const { OBV } = require('technicalindicators');
+const CandleStore = require('./candleStore');
+const { IndicatorEngine } = require('./streamingIndicators');
+const IndicatorRegistry = require('./indicatorRegistry');
+const SupportResistance = require('./supportResistance');
+const VolumeProfile = require('./volumeProfile');
+const CandlestickPatterns = require('./candlestickPatterns');
+const DivergenceDetector = require('./divergence');
+const MarketRegime = require('./marketRegime');
 
 class TechnicalAnalysis {
     constructor() {
-        this.priceHistory = new Map(); // Хранение истории цен для каждого символа
+        const config = require('./config');
         this.maxHistoryLength = 500; // Увеличиваем историю для лучшего анализа
-        this.supportResistanceLevels = new Map(); // Уровни поддержки и сопротивления
+        this.candles = new CandleStore({ maxLength: this.maxHistoryLength }); // Свечи по (символ, интервал)
+        this.interval = config.intervals.short; // Интервал, по которому считаются индикаторы
+        this.indicators = new IndicatorEngine(this.candles); // Потоковые индикаторы, общие для всех интервалов и представлений
+        this.indicatorRegistry = new IndicatorRegistry({ ...config.indicatorPlugins, settings: config.technicalAnalysis }); // Плагины индикаторов
+        this.supportResistance = new SupportResistance(config.supportResistance);
+        this.supportResistanceLevels = new Map(); // `${symbol}:${interval}` -> { lastCandle, result } - уровни поддержки и сопротивления
         this.marketStructure = new Map(); // Структура рынка
-        this.volumeProfile = new Map(); // Профиль объемов
+        this.volumeProfileBuilder = new VolumeProfile(config.volumeProfile);
+        this.volumeProfile = new Map(); // `${symbol}:${interval}` -> { lastCandle, result } - профили объема по окнам
+        this.candlestickPatterns = new CandlestickPatterns(config.candlestickPatterns);
+        this.divergenceDetector = new DivergenceDetector(config.divergence);
+        this.marketRegime = new MarketRegime(config.marketRegime);
     }
 
-    // Добавление новой свечи в историю
-    addCandle(symbol, candle) {
-        if (!this.priceHistory.has(symbol)) {
-            this.priceHistory.set(symbol, []);
-        }
+    // Анализ по другому интервалу: те же методы и общее хранилище свечей
+    // (например, forInterval('D').analyzeLongTermTrend(symbol) - тренд по дневным свечам)
+    forInterval(interval) {
+        if (interval === this.interval) return this;
 
-        const history = this.priceHistory.get(symbol);
-        history.push({
-            timestamp: candle.start,
-            open: parseFloat(candle.open),
-            high: parseFloat(candle.high),
-            low: parseFloat(candle.low),
-            close: parseFloat(candle.close),
-            volume: parseFloat(candle.volume)
-        });
+        const view = Object.create(this);
+        view.interval = interval;
+        return view;
+    }
 
-        // Ограничиваем длину истории
-        if (history.length > this.maxHistoryLength) {
-            history.shift();
-        }
+    // Добавление или обновление свечи (по времени открытия)
+    addCandle(symbol, candle, interval = this.interval) {
+        return this.candles.upsert(symbol, interval, candle);
     }
 
     // Получение истории цен для символа
     getPriceHistory(symbol) {
-        return this.priceHistory.get(symbol) || [];
+        return this.candles.getCandles(symbol, this.interval);
+    }
+
+    // Серии значений для индикаторов
+    getCloses(symbol) {
+        return this.candles.getCloses(symbol, this.interval);
+    }
+
+    getHighs(symbol) {
+        return this.candles.getHighs(symbol, this.interval);
+    }
+
+    getLows(symbol) {
+        return this.candles.getLows(symbol, this.interval);
+    }
+
+    getVolumes(symbol) {
+        return this.candles.getVolumes(symbol, this.interval);
+    }
+
+    // Потоковый индикатор текущего интервала (значение и последние значения в history)
+    getIndicator(symbol, name, ...params) {
+        return this.indicators.get(symbol, this.interval, name, params);
+    }
+
+    // Дневной или более старший интервал (другие пороги тренда)
+    isDailyInterval() {
+        return CandleStore.intervalMs(this.interval) >= CandleStore.intervalMs('D');
     }
 
     // Расчет RSI
     calculateRSI(symbol, period = 14) {
-        const history = this.getPriceHistory(symbol);
-        if (history.length < period + 1) return null;
-
-        const closes = history.map(candle => candle.close);
-        const rsi = RSI.calculate({ values: closes, period });
-        
-        return rsi.length > 0 ? rsi[rsi.length - 1] : null;
+        return this.getIndicator(symbol, 'rsi', period).value;
     }
 
     // Расчет MACD
     calculateMACD(symbol, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-        const history = this.getPriceHistory(symbol);
-        if (history.length < slowPeriod + signalPeriod) return null;
-
-        const closes = history.map(candle => candle.close);
-        const macd = MACD.calculate({
-            values: closes,
-            fastPeriod,
-            slowPeriod,
-            signalPeriod
-        });
-
-        if (macd.length === 0) return null;
-
-        const lastMACD = macd[macd.length - 1];
-        return {
-            macd: lastMACD.MACD,
-            signal: lastMACD.signal,
-            histogram: lastMACD.histogram
-        };
+        return this.getIndicator(symbol, 'macd', fastPeriod, slowPeriod, signalPeriod).value;
     }
 
     // Расчет скользящих средних
     calculateMovingAverages(symbol, periods = [9, 21, 50]) {
-        const history = this.getPriceHistory(symbol);
-        const closes = history.map(candle => candle.close);
         const result = {};
 
         periods.forEach(period => {
-            if (history.length >= period) {
-                const sma = SMA.calculate({ values: closes, period });
-                const ema = EMA.calculate({ values: closes, period });
-                
-                if (sma.length > 0) result[`sma_${period}`] = sma[sma.length - 1];
-                if (ema.length > 0) result[`ema_${period}`] = ema[ema.length - 1];
-            }
+            const sma = this.getIndicator(symbol, 'sma', period).value;
+            const ema = this.getIndicator(symbol, 'ema', period).value;
+            
+            if (sma !== null) result[`sma_${period}`] = sma;
+            if (ema !== null) result[`ema_${period}`] = ema;
         });
 
         return result;
@@ -91,26 +100,75 @@ class TechnicalAnalysis {
 
     // Расчет полос Боллинджера
     calculateBollingerBands(symbol, period = 20, stdDev = 2) {
-        const history = this.getPriceHistory(symbol);
-        if (history.length < period) return null;
+        return this.getIndicator(symbol, 'bb', period, stdDev).value;
+    }
 
-        const closes = history.map(candle => candle.close);
-        const bb = BollingerBands.calculate({
-            values: closes,
-            period,
-            stdDev
+    // Режим рынка по текущему интервалу (ADX, перцентили ATR и ширины полос Боллинджера, структура тренда)
+    analyzeMarketRegime(symbol) {
+        const config = require('./config');
+        const settings = config.marketRegime;
+        const history = this.getPriceHistory(symbol);
+        if (history.length < settings.bbPeriod * 2) return null;
+
+        const adx = this.getIndicator(symbol, 'adx', settings.adxPeriod).value;
+        const atr = this.getIndicator(symbol, 'atr', settings.atrPeriod);
+        const bb = this.getIndicator(symbol, 'bb', settings.bbPeriod, settings.bbStdDev);
+        const width = (band) => (band.upper - band.lower) / band.middle;
+
+        return this.marketRegime.classify({
+            adx: adx ? adx.adx : null,
+            pdi: adx ? adx.pdi : 0,
+            mdi: adx ? adx.mdi : 0,
+            atrPercentile: MarketRegime.percentile(atr.history, atr.value),
+            bbWidthPercentile: bb.value ? MarketRegime.percentile(bb.history.map(width), width(bb.value)) : null,
+            structure: this.analyzeTrendStructure(history.slice(-settings.structureLookback))
         });
+    }
 
-        if (bb.length === 0) return null;
+    // Свечные паттерны на последней закрытой свече текущего интервала (контекст - уровни этого интервала и тренд)
+    analyzeCandlestickPatterns(symbol, trend = 'neutral') {
+        const config = require('./config');
+        const candles = this.candles.getCandles(symbol, this.interval, { confirmedOnly: true });
+        const levels = config.supportResistance.enabled ? this.analyzeSupportResistance(symbol).levels : [];
+        return this.candlestickPatterns.analyze(candles, { levels, trend })
+            .map(pattern => ({ ...pattern, interval: this.interval }));
+    }
+
+    // Сигнал по паттернам нескольких таймфреймов: перевес суммарной оценки бычьих или медвежьих паттернов
+    analyzePatternSignal(symbol, intervals, trend) {
+        const patterns = intervals.flatMap(interval => this.forInterval(interval).analyzeCandlestickPatterns(symbol, trend));
+        const score = (direction) => patterns
+            .filter(pattern => pattern.direction === direction)
+            .reduce((sum, pattern) => sum + pattern.score, 0);
+        const bullish = score('bullish');
+        const bearish = score('bearish');
+        const strength = Math.min(Math.abs(bullish - bearish), 1.5);
+
+        let signal = 'neutral';
+        if (bullish > bearish) signal = 'bullish';
+        else if (bearish > bullish) signal = 'bearish';
 
-        const lastBB = bb[bb.length - 1];
         return {
-            upper: lastBB.upper,
-            middle: lastBB.middle,
-            lower: lastBB.lower
+            signal,
+            strength: signal === 'neutral' ? 0 : strength,
+            confidence: signal === 'neutral' ? 0 : strength * 15,
+            patterns,
+            reasons: patterns.map(pattern => this.describePattern(pattern))
         };
     }
 
+    // Описание паттерна для логов решений: "5: бычье поглощение (у уровня, по тренду, после снижения), оценка 1.23"
+    describePattern(pattern) {
+        const context = [];
+        if (pattern.context.atLevel) context.push('у уровня');
+        if (pattern.context.withTrend) context.push('по тренду');
+        if (pattern.context.counterTrend) context.push('против тренда');
+        if (pattern.context.afterMove) context.push(pattern.direction === 'bullish' ? 'после снижения' : 'после роста');
+
+        const suffix = context.length > 0 ? ` (${context.join(', ')})` : '';
+        return `${pattern.interval}: ${pattern.label}${suffix}, оценка ${pattern.score.toFixed(2)}`;
+    }
+
     // Анализ тренда (базовый)
     analyzeTrend(symbol) {
         const mas = this.calculateMovingAverages(symbol, [9, 21, 50]);
@@ -170,14 +228,13 @@ class TechnicalAnalysis {
         }
 
         const currentPrice = this.getCurrentPrice(symbol);
-        const closes = history.map(candle => candle.close);
         
-        // Расчет EMA для разных периодов
-        const ema50 = EMA.calculate({ values: closes, period: trendConfig.longTermEMA.fast });
-        const ema100 = EMA.calculate({ values: closes, period: trendConfig.longTermEMA.medium });
-        const ema200 = EMA.calculate({ values: closes, period: trendConfig.longTermEMA.slow });
+        // EMA для разных периодов
+        const currentEMA50 = this.getIndicator(symbol, 'ema', trendConfig.longTermEMA.fast).value;
+        const currentEMA100 = this.getIndicator(symbol, 'ema', trendConfig.longTermEMA.medium).value;
+        const currentEMA200 = this.getIndicator(symbol, 'ema', trendConfig.longTermEMA.slow).value;
         
-        if (ema50.length === 0 || ema100.length === 0 || ema200.length === 0) {
+        if (currentEMA50 === null || currentEMA100 === null || currentEMA200 === null) {
             return { 
                 direction: 'neutral', 
                 strength: 0, 
@@ -187,15 +244,11 @@ class TechnicalAnalysis {
             };
         }
 
-        const currentEMA50 = ema50[ema50.length - 1];
-        const currentEMA100 = ema100[ema100.length - 1];
-        const currentEMA200 = ema200[ema200.length - 1];
-
         // Анализ по временным рамкам
         const timeFrames = {
-            short: this.analyzeTimeFrameTrend(history, trendConfig.trendPeriods.short, currentPrice, currentEMA50, symbol),
-            medium: this.analyzeTimeFrameTrend(history, trendConfig.trendPeriods.medium, currentPrice, currentEMA100, symbol),
-            long: this.analyzeTimeFrameTrend(history, trendConfig.trendPeriods.long, currentPrice, currentEMA200, symbol)
+            short: this.analyzeTimeFrameTrend(history, trendConfig.trendPeriods.short, currentPrice, currentEMA50),
+            medium: this.analyzeTimeFrameTrend(history, trendConfig.trendPeriods.medium, currentPrice, currentEMA100),
+            long: this.analyzeTimeFrameTrend(history, trendConfig.trendPeriods.long, currentPrice, currentEMA200)
         };
 
         // Анализ расположения EMA
@@ -227,7 +280,7 @@ class TechnicalAnalysis {
     }
 
     // Анализ тренда для конкретной временной рамки
-    analyzeTimeFrameTrend(history, period, currentPrice, ema, symbol = '') {
+    analyzeTimeFrameTrend(history, period, currentPrice, ema) {
         if (history.length < period) {
             return { direction: 'neutral', strength: 0, confidence: 0 };
         }
@@ -245,10 +298,8 @@ class TechnicalAnalysis {
         // Анализ волатильности
         const volatility = this.calculatePeriodVolatility(recentHistory);
         
-        // Определение направления с учетом типа данных (дневные или минутные)
-        const config = require('./config');
-        const trendConfig = config.technicalAnalysis.trendAnalysis;
-        const isDailyData = symbol.includes('_DAILY');
+        // Определение направления с учетом интервала (дневные или минутные свечи)
+        const isDailyData = this.isDailyInterval();
         
         // Пороги для дневных данных выше
         const minChangeThreshold = isDailyData ? 0.05 : 0.02; // 5% для дневных, 2% для минутных
@@ -462,8 +513,8 @@ class TechnicalAnalysis {
         const currentVolume = history[history.length - 1].volume;
         
         // Анализ OBV (On Balance Volume)
-        const closes = history.map(candle => candle.close);
-        const volumes = history.map(candle => candle.volume);
+        const closes = this.getCloses(symbol);
+        const volumes = this.getVolumes(symbol);
         const obv = OBV.calculate({ close: closes, volume: volumes });
         
         return {
@@ -499,15 +550,65 @@ class TechnicalAnalysis {
 
     // Расчет ATR (Average True Range)
     calculateATR(symbol, period = 14) {
+        return this.getIndicator(symbol, 'atr', period).value;
+    }
+
+    // Уровни поддержки и сопротивления текущего интервала (пересчет только при изменении последней свечи)
+    analyzeSupportResistance(symbol) {
+        const config = require('./config');
+        const key = this.candles.key(symbol, this.interval);
+        const history = this.getPriceHistory(symbol);
+        const lastCandle = history.length > 0 ? history[history.length - 1] : null;
+
+        const cached = this.supportResistanceLevels.get(key);
+        if (cached && cached.lastCandle === lastCandle) {
+            return cached.result;
+        }
+
+        const pivotCandle = SupportResistance.getPivotCandle(this.candles, symbol, this.interval, config.supportResistance.pivotInterval);
+        const result = this.supportResistance.analyze(history, this.getCurrentPrice(symbol), pivotCandle);
+        this.supportResistanceLevels.set(key, { lastCandle, result });
+        return result;
+    }
+
+    // Сигнал по близости к уровням: у поддержки - бычий, у сопротивления - медвежий (при обоих - по ближайшему)
+    analyzeLevelProximity(levels) {
+        const config = require('./config');
+        const proximity = config.supportResistance.proximity;
+        const atSupport = levels.distanceToSupport !== null && levels.distanceToSupport <= proximity;
+        const atResistance = levels.distanceToResistance !== null && levels.distanceToResistance <= proximity;
+
+        if (atSupport && (!atResistance || levels.distanceToSupport <= levels.distanceToResistance)) {
+            return { signal: 'bullish', strength: levels.nearestSupport.strength, confidence: levels.nearestSupport.strength * 20, level: levels.nearestSupport.price };
+        }
+        if (atResistance) {
+            return { signal: 'bearish', strength: levels.nearestResistance.strength, confidence: levels.nearestResistance.strength * 20, level: levels.nearestResistance.price };
+        }
+        return { signal: 'neutral', strength: 0, confidence: 0, level: null };
+    }
+
+    // Профили объема текущего интервала по окнам из config.volumeProfile.windows -> { session, rolling, daily }
+    analyzeVolumeProfile(symbol) {
+        const config = require('./config');
+        const key = this.candles.key(symbol, this.interval);
         const history = this.getPriceHistory(symbol);
-        if (history.length < period + 1) return null;
+        const lastCandle = history.length > 0 ? history[history.length - 1] : null;
+        const revision = this.candles.getRevision(symbol, this.interval); // Меняется при вставке и пересмотре свечей внутри серии
+
+        const cached = this.volumeProfile.get(key);
+        if (cached && cached.lastCandle === lastCandle && cached.revision === revision) {
+            return cached.result;
+        }
 
-        const high = history.map(c => c.high);
-        const low = history.map(c => c.low);
-        const close = history.map(c => c.close);
+        const currentPrice = this.getCurrentPrice(symbol);
+        const result = {};
+        for (const window of config.volumeProfile.windows) {
+            const profile = this.volumeProfileBuilder.build(this.volumeProfileBuilder.selectWindow(history, window));
+            result[window] = profile ? { ...profile, position: VolumeProfile.getPosition(profile, currentPrice) } : null;
+        }
 
-        const atr = ATR.calculate({ high, low, close, period });
-        return atr.length > 0 ? atr[atr.length - 1] : null;
+        this.volumeProfile.set(key, { lastCandle, revision, result });
+        return result;
     }
 
     // Ранжирование волатильности
@@ -541,15 +642,7 @@ class TechnicalAnalysis {
     // Продвинутый анализ RSI
     analyzeRSIAdvanced(symbol, rsi) {
         const history = this.getPriceHistory(symbol);
-        if (history.length < 30) return { signal: 'neutral', strength: 0, confidence: 0 };
-
-        // RSI дивергенция
-        const recentPrices = history.slice(-20).map(c => c.close);
-        const recentRSI = this.calculateRSIHistory(symbol, 20);
-        
-        if (!recentRSI || recentRSI.length < 10) {
-            return { signal: 'neutral', strength: 0, confidence: 0 };
-        }
+        if (history.length < 30) return { signal: 'neutral', strength: 0, confidence: 0, divergence: null };
 
         let signal = 'neutral';
         let strength = 0;
@@ -574,29 +667,21 @@ class TechnicalAnalysis {
             confidence = 15;
         }
 
-        // Проверка дивергенции
-        const priceTrend = this.calculateTrend(recentPrices);
-        const rsiTrend = this.calculateTrend(recentRSI);
-
-        if (priceTrend < 0 && rsiTrend > 0 && rsi < 50) {
-            // Бычья дивергенция
-            signal = 'bullish';
-            strength = Math.max(strength, 1.5);
-            confidence += 20;
-        } else if (priceTrend > 0 && rsiTrend < 0 && rsi > 50) {
-            // Медвежья дивергенция
-            signal = 'bearish';
-            strength = Math.max(strength, 1.5);
-            confidence += 20;
+        // Дивергенция RSI по свинговым экстремумам: обычная - разворот, скрытая - продолжение
+        const divergence = this.selectDivergence(this.analyzeDivergence(symbol, 'rsi'));
+        if (divergence) {
+            signal = divergence.direction;
+            strength = Math.max(strength, divergence.type === 'regular' ? 1.5 : 1.2);
+            confidence += divergence.type === 'regular' ? 20 : 15;
         }
 
-        return { signal, strength, confidence };
+        return { signal, strength, confidence, divergence };
     }
 
     // Продвинутый анализ MACD
     analyzeMACDAdvanced(symbol, macd) {
         const history = this.getPriceHistory(symbol);
-        if (history.length < 30) return { signal: 'neutral', strength: 0, confidence: 0 };
+        if (history.length < 30) return { signal: 'neutral', strength: 0, confidence: 0, divergence: null };
 
         let signal = 'neutral';
         let strength = 0;
@@ -625,28 +710,15 @@ class TechnicalAnalysis {
             }
         }
 
-        // Анализ дивергенции MACD
-        const recentPrices = history.slice(-20).map(c => c.close);
-        const recentMACD = this.calculateMACDHistory(symbol, 20);
-        
-        if (recentMACD && recentMACD.length >= 10) {
-            const priceTrend = this.calculateTrend(recentPrices);
-            const macdTrend = this.calculateTrend(recentMACD.map(m => m.macd));
-
-            if (priceTrend < 0 && macdTrend > 0) {
-                // Бычья дивергенция
-                signal = 'bullish';
-                strength = Math.max(strength, 1.4);
-                confidence += 25;
-            } else if (priceTrend > 0 && macdTrend < 0) {
-                // Медвежья дивергенция
-                signal = 'bearish';
-                strength = Math.max(strength, 1.4);
-                confidence += 25;
-            }
+        // Дивергенция линии MACD по свинговым экстремумам: обычная - разворот, скрытая - продолжение
+        const divergence = this.selectDivergence(this.analyzeDivergence(symbol, 'macd'));
+        if (divergence) {
+            signal = divergence.direction;
+            strength = Math.max(strength, divergence.type === 'regular' ? 1.4 : 1.2);
+            confidence += divergence.type === 'regular' ? 25 : 15;
         }
 
-        return { signal, strength, confidence };
+        return { signal, strength, confidence, divergence };
     }
 
     // Продвинутый анализ полос Боллинджера
@@ -690,34 +762,40 @@ class TechnicalAnalysis {
         const history = this.getPriceHistory(symbol);
         if (history.length < period + 14) return null;
 
-        const closes = history.map(candle => candle.close);
-        const rsi = RSI.calculate({ values: closes, period: 14 });
-        return rsi.slice(-period);
+        return this.getIndicator(symbol, 'rsi', 14).history.slice(-period);
     }
 
     calculateMACDHistory(symbol, period) {
         const history = this.getPriceHistory(symbol);
         if (history.length < period + 26) return null;
 
-        const closes = history.map(candle => candle.close);
-        const macd = MACD.calculate({
-            values: closes,
-            fastPeriod: 12,
-            slowPeriod: 26,
-            signalPeriod: 9
-        });
-        return macd.slice(-period);
+        return this.getIndicator(symbol, 'macd', 12, 26, 9).history.slice(-period);
     }
 
-    calculateTrend(values) {
-        if (values.length < 2) return 0;
-        const first = values[0];
-        const last = values[values.length - 1];
-        return (last - first) / first;
+    // Дивергенции осциллятора ('rsi' | 'macd') с ценой текущего интервала (см. divergence.js)
+    analyzeDivergence(symbol, oscillator) {
+        const config = require('./config');
+        const lookback = config.divergence.lookback;
+        const values = oscillator === 'rsi'
+            ? this.calculateRSIHistory(symbol, lookback)
+            : this.calculateMACDHistory(symbol, lookback)?.map(value => value.macd);
+        if (!values) return [];
+
+        return this.divergenceDetector.detect(this.getPriceHistory(symbol), values);
+    }
+
+    // Основная дивергенция: обычная важнее скрытой, затем - с более свежим экстремумом
+    selectDivergence(divergences) {
+        if (divergences.length === 0) return null;
+
+        const latest = (divergence) => divergence.pivots.price[1].index;
+        return [...divergences].sort((a, b) =>
+            (a.type === 'regular' ? 0 : 1) - (b.type === 'regular' ? 0 : 1) || latest(b) - latest(a))[0];
     }
 
     // Комплексный анализ сигнала с высокой точностью и долгосрочным трендом
     analyzeSignal(symbol) {
+        const config = require('./config');
         const rsi = this.calculateRSI(symbol);
         const macd = this.calculateMACD(symbol);
         const trend = this.analyzeTrend(symbol);
@@ -767,13 +845,16 @@ class TechnicalAnalysis {
         totalSignals++;
         details.macd = macdAnalysis;
 
-        // 3. Краткосрочный тренд анализ
+        // 3. Краткосрочный тренд анализ (плагины могут снизить его вес, например ADX во флэте)
+        const indicatorVotes = this.indicatorRegistry.evaluate(this.indicators, symbol, this.interval, currentPrice);
+        const trendFactor = Object.values(indicatorVotes)
+            .reduce((factor, vote) => factor * (vote.trendFactor ?? 1.0), 1.0);
         if (trend.trend === 'bullish') {
-            bullishSignals += trend.strength * 1.0; // Снижаем вес краткосрочного тренда
-            confidence += trend.strength * 15;
+            bullishSignals += trend.strength * trendFactor; // Снижаем вес краткосрочного тренда
+            confidence += trend.strength * 15 * trendFactor;
         } else if (trend.trend === 'bearish') {
-            bearishSignals += trend.strength * 1.0;
-            confidence += trend.strength * 15;
+            bearishSignals += trend.strength * trendFactor;
+            confidence += trend.strength * 15 * trendFactor;
         } else {
             // Нейтральный тренд тоже учитываем
             confidence += 5; // Базовая уверенность
@@ -853,6 +934,19 @@ class TechnicalAnalysis {
             details.volume = volume;
         }
 
+        // 6.1. Плагины индикаторов (ADX, Stochastic, Williams %R, CCI, VWAP и пользовательские - см. indicatorRegistry.js)
+        for (const vote of Object.values(indicatorVotes)) {
+            if (vote.signal === 'bullish') {
+                bullishSignals += vote.strength;
+                confidence += vote.confidence;
+            } else if (vote.signal === 'bearish') {
+                bearishSignals += vote.strength;
+                confidence += vote.confidence;
+            }
+            totalSignals++;
+        }
+        details.indicators = indicatorVotes;
+
         // 7. Анализ волатильности
         if (volatility) {
             if (volatility.volatilityRank === 'medium') {
@@ -881,6 +975,47 @@ class TechnicalAnalysis {
         }
         details.trendAlignment = trendAlignment;
 
+        // 9. Уровни поддержки и сопротивления (таймфрейм уровней из config.supportResistance.timeframe)
+        if (config.supportResistance.enabled) {
+            const levelInterval = config.intervals[config.supportResistance.timeframe] || this.interval;
+            const levels = this.forInterval(levelInterval).analyzeSupportResistance(symbol);
+            const levelAnalysis = this.analyzeLevelProximity(levels);
+            if (levelAnalysis.signal === 'bullish') {
+                bullishSignals += levelAnalysis.strength;
+                confidence += levelAnalysis.confidence;
+                totalSignals++;
+            } else if (levelAnalysis.signal === 'bearish') {
+                bearishSignals += levelAnalysis.strength;
+                confidence += levelAnalysis.confidence;
+                totalSignals++;
+            }
+            details.levels = {
+                ...levelAnalysis,
+                interval: levelInterval,
+                nearestSupport: levels.nearestSupport,
+                nearestResistance: levels.nearestResistance,
+                distanceToSupport: levels.distanceToSupport,
+                distanceToResistance: levels.distanceToResistance
+            };
+        }
+
+        // 10. Свечные паттерны (таймфреймы из config.candlestickPatterns.timeframes, тренд - долгосрочный или краткосрочный)
+        if (config.candlestickPatterns.enabled) {
+            const patternIntervals = config.candlestickPatterns.timeframes.map(timeframe => config.intervals[timeframe] || this.interval);
+            const patternTrend = longTermTrend.direction !== 'neutral' ? longTermTrend.direction : trend.trend;
+            const patternAnalysis = this.analyzePatternSignal(symbol, [...new Set(patternIntervals)], patternTrend);
+            if (patternAnalysis.signal === 'bullish') {
+                bullishSignals += patternAnalysis.strength;
+                confidence += patternAnalysis.confidence;
+                totalSignals++;
+            } else if (patternAnalysis.signal === 'bearish') {
+                bearishSignals += patternAnalysis.strength;
+                confidence += patternAnalysis.confidence;
+                totalSignals++;
+            }
+            details.patterns = patternAnalysis;
+        }
+
         // Финальный расчет
         const signalStrength = totalSignals > 0 ? Math.abs(bullishSignals - bearishSignals) / totalSignals : 0;
         const finalConfidence = Math.min(confidence, 100);
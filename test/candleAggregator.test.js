@@ -0,0 +1,97 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CandleStore = require('../candleStore');
+const CandleAggregator = require('../candleAggregator');
+
+const SYMBOL = 'BTCUSDT';
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1, 0, 0); // Начало 5m и 15m бара
+
+// Минутная свеча номер index от T0
+function minute(index, { open = 100, high = 101, low = 99, close = 100, volume = 10, confirmed = true } = {}) {
+    return { start: T0 + index * MINUTE, open, high, low, close, volume, confirmed };
+}
+
+describe('CandleAggregator', () => {
+    let store;
+    let aggregator;
+    let closed;
+
+    // Минутная свеча записывается в хранилище и передается агрегатору, как в TradingBot.handleKline
+    const feed = (candle) => aggregator.addCandle(SYMBOL, store.upsert(SYMBOL, '1', candle));
+
+    beforeEach(() => {
+        store = new CandleStore();
+        aggregator = new CandleAggregator(store, '1', ['1', '5', '15']);
+        closed = [];
+        aggregator.onBarClosed(event => closed.push(event));
+    });
+
+    it('строит бар из минутной истории и закрывает его последней минутой', () => {
+        store.upsert(SYMBOL, '1', minute(0, { open: 100, high: 103, low: 99, close: 102, volume: 5 }));
+        store.upsert(SYMBOL, '1', minute(1, { open: 102, high: 104, low: 101, close: 103, volume: 7 }));
+        aggregator.bootstrap(SYMBOL, '5', T0 + 2 * MINUTE + 10000);
+
+        feed(minute(2, { open: 103, high: 106, low: 102, close: 105, volume: 4, confirmed: false }));
+        const forming = store.getLast(SYMBOL, '5');
+        assert.equal(forming.confirmed, false);
+        assert.equal(forming.high, 106);
+        assert.equal(forming.volume, 16);
+
+        feed(minute(2, { open: 103, high: 106, low: 102, close: 105, volume: 6 }));
+        feed(minute(3, { open: 105, high: 105, low: 97, close: 98, volume: 3 }));
+        const events = feed(minute(4, { open: 98, high: 100, low: 98, close: 99, volume: 2 }));
+
+        assert.deepEqual(events.map(event => event.interval), ['1', '5']);
+        const bar = store.getLast(SYMBOL, '5');
+        assert.deepEqual(bar, { timestamp: T0, open: 100, high: 106, low: 97, close: 99, volume: 23, confirmed: true });
+        assert.equal(closed.filter(event => event.interval === '5').length, 1);
+    });
+
+    it('не учитывает объем текущей минуты дважды при старте от бара биржи', () => {
+        // Минутной истории до начала бара нет: за основу берется бар биржи с частью текущей минуты
+        store.upsert(SYMBOL, '5', { start: T0, open: 100, high: 104, low: 98, close: 103, volume: 50, confirmed: false });
+        store.upsert(SYMBOL, '1', minute(2, { open: 102, high: 103, low: 102, close: 103, volume: 4, confirmed: false }));
+        aggregator.bootstrap(SYMBOL, '5', T0 + 2 * MINUTE + 30000);
+
+        // Минута закрылась с объемом 6: в бар добавляется только прирост 2
+        feed(minute(2, { open: 102, high: 105, low: 102, close: 104, volume: 6 }));
+        const bar = store.getLast(SYMBOL, '5');
+        assert.equal(bar.volume, 52);
+        assert.equal(bar.high, 105);
+        assert.equal(bar.open, 100);
+        assert.equal(bar.confirmed, false);
+    });
+
+    it('закрывает бар при начале следующего, если закрывающая минута пропущена', () => {
+        store.upsert(SYMBOL, '1', minute(0));
+        aggregator.bootstrap(SYMBOL, '5', T0 + 30000);
+
+        feed(minute(1, { close: 101 }));
+        feed(minute(3, { close: 102, confirmed: false }));
+        const events = feed(minute(5, { close: 104, confirmed: false }));
+
+        assert.deepEqual(events.map(event => event.interval), ['5']);
+        assert.equal(events[0].candle.timestamp, T0);
+        assert.equal(events[0].candle.close, 102);
+        assert.equal(events[0].candle.confirmed, true);
+
+        const forming = store.getLast(SYMBOL, '5');
+        assert.equal(forming.timestamp, T0 + 5 * MINUTE);
+        assert.equal(forming.confirmed, false);
+    });
+
+    it('пропускает интервал до загрузки серии и игнорирует запоздавшие минуты', () => {
+        feed(minute(0));
+        assert.equal(store.getLast(SYMBOL, '15'), null);
+
+        store.upsert(SYMBOL, '1', minute(0));
+        aggregator.bootstrap(SYMBOL, '15', T0 + 20 * MINUTE);
+        feed(minute(16, { close: 110 }));
+        feed(minute(14, { close: 90 }));
+
+        const bar = store.getLast(SYMBOL, '15');
+        assert.equal(bar.timestamp, T0 + 15 * MINUTE);
+        assert.equal(bar.close, 110);
+    });
+});
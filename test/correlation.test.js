@@ -0,0 +1,159 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('./helpers');
+const CorrelationMatrix = require('../correlationMatrix');
+const RiskManager = require('../riskManager');
+const InstrumentRegistry = require('../instrumentRegistry');
+
+const STEP = 5 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+// Детерминированные доходности (линейный конгруэнтный генератор)
+function generateReturns(count, seed) {
+    let state = seed;
+    const returns = [];
+    for (let i = 0; i < count; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        returns.push((state / 2147483648 - 0.5) * 0.02);
+    }
+    return returns;
+}
+
+// Свечи с заданными логарифмическими доходностями
+function candlesFrom(returns, offset = 0) {
+    let close = 100;
+    const candles = [{ timestamp: T0 + offset * STEP, close }];
+    returns.forEach((value, i) => {
+        close *= Math.exp(value);
+        candles.push({ timestamp: T0 + (offset + i + 1) * STEP, close });
+    });
+    return candles;
+}
+
+// TechnicalAnalysis с готовой историей по символам
+function fakeAnalysis(history) {
+    return {
+        forInterval: () => ({ getPriceHistory: symbol => history[symbol] || [] })
+    };
+}
+
+const OPTIONS = { timeframe: 'medium', lookback: 60, minOverlap: 20, refreshInterval: 60000, threshold: 0.7 };
+
+describe('CorrelationMatrix', () => {
+    const base = generateReturns(60, 1);
+    const history = {
+        BTCUSDT: candlesFrom(base),
+        ETHUSDT: candlesFrom(base.map(value => value * 1.5)),
+        INVUSDT: candlesFrom(base.map(value => -value)),
+        RNDUSDT: candlesFrom(generateReturns(60, 99)),
+        NEWUSDT: candlesFrom(base.slice(-10), 50)
+    };
+    const matrix = new CorrelationMatrix(fakeAnalysis(history), { medium: '5' }, Object.keys(history), OPTIONS);
+
+    it('считает корреляцию Пирсона по доходностям с совпадающим временем', () => {
+        assert.ok(Math.abs(matrix.getCorrelation('BTCUSDT', 'ETHUSDT') - 1) < 1e-9);
+        assert.ok(Math.abs(matrix.getCorrelation('BTCUSDT', 'INVUSDT') + 1) < 1e-9);
+        assert.ok(Math.abs(matrix.getCorrelation('BTCUSDT', 'RNDUSDT')) < 0.7);
+        assert.equal(matrix.getCorrelation('ETHUSDT', 'BTCUSDT'), matrix.getCorrelation('BTCUSDT', 'ETHUSDT'));
+        assert.equal(matrix.getCorrelation('BTCUSDT', 'BTCUSDT'), 1);
+    });
+
+    it('возвращает null при недостаточном пересечении рядов', () => {
+        assert.equal(matrix.getCorrelation('BTCUSDT', 'NEWUSDT'), null);
+        assert.equal(matrix.getCorrelation('BTCUSDT', 'UNKNOWN'), null);
+    });
+
+    it('показывает в статусе только пары выше порога', () => {
+        const pairs = matrix.getStatus().correlatedPairs.map(entry => entry.pair);
+        assert.ok(pairs.includes('BTCUSDT/ETHUSDT'));
+        assert.ok(pairs.includes('BTCUSDT/INVUSDT'));
+        assert.ok(!pairs.some(pair => pair.includes('RNDUSDT') || pair.includes('NEWUSDT')));
+    });
+});
+
+describe('RiskManager: лимит коррелированного кластера', () => {
+    const correlations = {
+        'ETHUSDT:SOLUSDT': 0.9,
+        'ETHUSDT:AVAXUSDT': 0.85,
+        'ETHUSDT:INVUSDT': -0.8,
+        'ETHUSDT:BTCUSDT': 0.3
+    };
+    const settings = {
+        ...config,
+        trading: { ...config.trading, positionSize: 0.1, minSignalStrength: 0, minConfidence: 0 },
+        riskManagement: { ...config.riskManagement, tradingHours: { start: 0, end: 23 } },
+        correlation: { ...config.correlation, enabled: true, threshold: 0.7, maxClusterPositions: 2, sizeReduction: 0.5 }
+    };
+    let riskManager;
+
+    beforeEach(() => {
+        riskManager = new RiskManager(settings);
+        riskManager.setCorrelationMatrix({
+            getCorrelation: (first, second) => correlations[`${first}:${second}`] ?? correlations[`${second}:${first}`] ?? null
+        });
+    });
+
+    it('уменьшает размер за каждую позицию кластера в ту же сторону', () => {
+        const free = riskManager.canTrade('ETHUSDT', 1, 10000, 100, null, 'Buy');
+        riskManager.addPosition('SOLUSDT', 'Buy', 1, 100, 95, 110);
+        riskManager.addPosition('BTCUSDT', 'Buy', 1, 50000, 49000, 52000);
+        const reduced = riskManager.canTrade('ETHUSDT', 1, 10000, 100, null, 'Buy');
+
+        assert.equal(reduced.canTrade, true);
+        assert.deepEqual(reduced.correlation.cluster, [{ symbol: 'SOLUSDT', side: 'Buy', correlation: 0.9 }]);
+        assert.equal(reduced.positionSize.sizeUSD, free.positionSize.sizeUSD * 0.5);
+    });
+
+    it('уменьшает количество ордера за позицию кластера', async () => {
+        const instrument = { symbol: 'ETHUSDT', status: 'Trading', qtyStep: 0.01, qtyDecimals: 2, minOrderQty: 0.01, maxOrderQty: 1000, maxMktOrderQty: 1000, minNotionalValue: 5 };
+        const instruments = new InstrumentRegistry({ getInstruments: async () => [instrument] }, settings);
+        await instruments.load();
+        const sized = new RiskManager(settings, instruments);
+        sized.setCorrelationMatrix(riskManager.correlationMatrix);
+
+        const free = sized.calculatePositionSize(10000, 'ETHUSDT', 1, 100, 3000, 'Buy');
+        sized.addPosition('SOLUSDT', 'Buy', 1, 100, 95, 110);
+        const reduced = sized.calculatePositionSize(10000, 'ETHUSDT', 1, 100, 3000, 'Buy');
+
+        assert.equal(free.quantity, 0.5);
+        assert.equal(reduced.quantity, 0.25);
+    });
+
+    it('отклоняет уменьшенную позицию меньше минимального размера вместо увеличения до минимума', () => {
+        // 200 * 0.1 * 1.5 = 30 USD без кластера, 15 USD с одной коррелированной позицией
+        const free = riskManager.calculatePositionSize(200, 'ETHUSDT', 1, 100, 3000, 'Buy');
+        assert.equal(free.sizeUSD, 30);
+
+        riskManager.addPosition('SOLUSDT', 'Buy', 1, 100, 95, 110);
+        const reduced = riskManager.canTrade('ETHUSDT', 1, 200, 100, 3000, 'Buy');
+        assert.equal(reduced.canTrade, false);
+        assert.equal(reduced.checks.positionSize, false);
+        assert.equal(reduced.positionSize.quantity, 0);
+        assert.match(reduced.positionSize.rejectReason, /корреляцию/);
+    });
+
+    it('учитывает отрицательную корреляцию в обратную сторону и отклоняет переполненный кластер', () => {
+        riskManager.addPosition('SOLUSDT', 'Buy', 1, 100, 95, 110);
+        riskManager.addPosition('INVUSDT', 'Sell', 1, 10, 11, 8);
+
+        const result = riskManager.canTrade('ETHUSDT', 1, 10000, 100, null, 'Buy');
+        assert.equal(result.canTrade, false);
+        assert.equal(result.checks.correlationCluster, false);
+        assert.deepEqual(result.correlation.cluster.map(position => position.symbol), ['SOLUSDT', 'INVUSDT']);
+        assert.equal(result.positionSize, null);
+
+        // Противоположная ставка не входит в кластер
+        const opposite = riskManager.checkCorrelationCluster('ETHUSDT', 'Sell');
+        assert.equal(opposite.allowed, true);
+        assert.deepEqual(opposite.cluster, []);
+    });
+
+    it('не ограничивает позиции при отключенных корреляциях', () => {
+        const disabled = new RiskManager({ ...settings, correlation: { ...settings.correlation, enabled: false } });
+        disabled.setCorrelationMatrix(riskManager.correlationMatrix);
+        disabled.addPosition('SOLUSDT', 'Buy', 1, 100, 95, 110);
+        disabled.addPosition('AVAXUSDT', 'Buy', 1, 30, 28, 34);
+
+        assert.deepEqual(disabled.checkCorrelationCluster('ETHUSDT', 'Buy'), { allowed: true, cluster: [], sizeFactor: 1 });
+    });
+});
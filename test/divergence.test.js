@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DivergenceDetector = require('../divergence');
+
+const LENGTH = 40;
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+// Ряд из V-образных впадин (low) или пиков (high) с вершинами в заданных точках: { index: value }
+function swings(pivots, slope, kind) {
+    const values = [];
+    for (let i = 0; i < LENGTH; i++) {
+        const candidates = Object.entries(pivots).map(([index, value]) =>
+            kind === 'low' ? value + slope * Math.abs(i - index) : value - slope * Math.abs(i - index)
+        );
+        values.push(kind === 'low' ? Math.min(...candidates) : Math.max(...candidates));
+    }
+    return values;
+}
+
+// Свечи по ряду минимумов (или максимумов) с фиксированным диапазоном
+function candlesFrom(values, kind) {
+    return values.map((value, i) => {
+        const low = kind === 'low' ? value : value - 2;
+        const high = kind === 'low' ? value + 2 : value;
+        return { timestamp: T0 + i * MINUTE, open: low + 1, high, low, close: low + 1 };
+    });
+}
+
+function find(divergences, type, direction) {
+    return divergences.find(divergence => divergence.type === type && divergence.direction === direction);
+}
+
+describe('DivergenceDetector', () => {
+    const detector = new DivergenceDetector({ lookback: 60, swingStrength: 3, pivotTolerance: 2, minDistance: 5, maxDistance: 50, maxAge: 6 });
+
+    it('находит обычную бычью дивергенцию и возвращает пары экстремумов', () => {
+        const candles = candlesFrom(swings({ 20: 90, 34: 88 }, 2, 'low'), 'low');
+        const rsi = swings({ 21: 30, 34: 35 }, 3, 'low');
+
+        const divergence = find(detector.detect(candles, rsi), 'regular', 'bullish');
+        assert.ok(divergence, 'дивергенция найдена');
+        assert.deepEqual(divergence.pivots.price, [
+            { index: 20, timestamp: candles[20].timestamp, value: 90 },
+            { index: 34, timestamp: candles[34].timestamp, value: 88 }
+        ]);
+        assert.deepEqual(divergence.pivots.oscillator.map(pivot => [pivot.index, pivot.value]), [[21, 30], [34, 35]]);
+    });
+
+    it('находит скрытую бычью дивергенцию', () => {
+        const candles = candlesFrom(swings({ 20: 88, 34: 90 }, 2, 'low'), 'low');
+        const rsi = swings({ 20: 35, 34: 30 }, 3, 'low');
+
+        assert.ok(find(detector.detect(candles, rsi), 'hidden', 'bullish'));
+        assert.equal(find(detector.detect(candles, rsi), 'regular', 'bullish'), undefined);
+    });
+
+    it('находит обычную и скрытую медвежью дивергенцию по максимумам', () => {
+        const regular = candlesFrom(swings({ 20: 110, 34: 112 }, 2, 'high'), 'high');
+        assert.ok(find(detector.detect(regular, swings({ 20: 75, 34: 70 }, 3, 'high')), 'regular', 'bearish'));
+
+        const hidden = candlesFrom(swings({ 20: 112, 34: 110 }, 2, 'high'), 'high');
+        assert.ok(find(detector.detect(hidden, swings({ 20: 70, 34: 75 }, 3, 'high')), 'hidden', 'bearish'));
+    });
+
+    it('не сообщает о дивергенции без совпадающих экстремумов, при старой паре и короткой истории', () => {
+        const candles = candlesFrom(swings({ 20: 90, 34: 88 }, 2, 'low'), 'low');
+
+        // Экстремум осциллятора дальше pivotTolerance от экстремума цены
+        assert.deepEqual(detector.detect(candles, swings({ 20: 30, 30: 35 }, 3, 'low')), []);
+
+        // Последний экстремум старше maxAge свечей
+        const old = candlesFrom(swings({ 15: 90, 25: 88 }, 2, 'low'), 'low');
+        assert.equal(find(detector.detect(old, swings({ 15: 30, 25: 35 }, 3, 'low')), 'regular', 'bullish'), undefined);
+
+        assert.deepEqual(detector.detect(candles.slice(0, 8), swings({ 20: 30 }, 3, 'low').slice(0, 8)), []);
+    });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Общие заготовки тестов: ключи, временный рабочий каталог, mock Bybit и ожидание условий.
+// Модули бота пишут логи, журналы и снимки относительно текущего каталога,
+// поэтому каждый тестовый файл работает в своем временном каталоге.
+const API_KEY = 'test-key';
+const API_SECRET = 'test-secret';
+
+process.env.BYBIT_ENV = 'demo';
+process.env.BYBIT_DEMO_API_KEY = API_KEY;
+process.env.BYBIT_DEMO_API_SECRET = API_SECRET;
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bybit-bot-test-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+// Подробный вывод модулей только по запросу (TEST_VERBOSE=1)
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+}
+
+const MockBybitServer = require('../mockBybitServer');
+const config = require('../config');
+
+config.logging.level = 'error';
+
+// Запуск mock сервера и направление на него config.environment
+async function startMock(fixtures = { symbols: ['BTCUSDT', 'ETHUSDT'] }) {
+    const mock = new MockBybitServer({ apiKey: API_KEY, apiSecret: API_SECRET, fixtures });
+    Object.assign(config.environment, await mock.start());
+    return mock;
+}
+
+// Ожидание условия с опросом -> значение условия
+async function waitFor(condition, { timeout = 5000, interval = 50, message = 'условие не выполнено' } = {}) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const value = await condition();
+        if (value) return value;
+        await sleep(interval);
+    }
+    throw new Error(`Таймаут ожидания: ${message}`);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Последняя минутная свеча mock сервера
+function lastCandle(mock, symbol) {
+    const candles = mock.getKlines(symbol, '1');
+    return candles[candles.length - 1];
+}
+
+module.exports = {
+    API_KEY,
+    API_SECRET,
+    workDir,
+    config,
+    startMock,
+    waitFor,
+    sleep,
+    lastCandle
+};
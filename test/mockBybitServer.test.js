@@ -0,0 +1,190 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { config, startMock, waitFor, lastCandle } = require('./helpers');
+const BybitAdapter = require('../bybitAdapter');
+const TradingBot = require('../tradingBot');
+
+describe('BybitAdapter на mock сервере', () => {
+    let mock;
+    let adapter;
+
+    before(async () => {
+        mock = await startMock();
+        adapter = new BybitAdapter(config);
+        await adapter.connect();
+    });
+
+    after(async () => {
+        await adapter.close();
+        await mock.stop();
+    });
+
+    it('размещает подписанный рыночный ордер с TP/SL', async () => {
+        const price = lastCandle(mock, 'BTCUSDT').close;
+        const result = await adapter.placeOrder({
+            symbol: 'BTCUSDT',
+            side: 'Buy',
+            qty: 0.5,
+            price,
+            takeProfit: price * 1.05,
+            stopLoss: price * 0.95
+        });
+
+        assert.equal(result.success, true);
+        assert.ok(result.orderId);
+        assert.equal(mock.getRequests('/v5/order/create').length, 1);
+
+        const [position] = await adapter.getPositions('BTCUSDT');
+        assert.equal(position.side, 'Buy');
+        assert.equal(position.size, 0.5);
+        assert.ok(Math.abs(position.stopLoss - price * 0.95) < 1e-6);
+
+        await adapter.closePosition('BTCUSDT', 'Buy', 0.5);
+        assert.deepEqual(await adapter.getPositions('BTCUSDT'), []);
+    });
+
+    it('возвращает отказ биржи по сценарию', async () => {
+        mock.rejectOrders({ symbol: 'ETHUSDT', retCode: 110007 });
+
+        const result = await adapter.placeOrder({ symbol: 'ETHUSDT', side: 'Sell', qty: 1 });
+        assert.equal(result.success, false);
+        assert.equal(result.code, 110007);
+        assert.deepEqual(await adapter.getPositions('ETHUSDT'), []);
+    });
+
+    it('доставляет срабатывание стоп-лосса на бирже через приватный WebSocket', async () => {
+        const events = [];
+        await adapter.subscribeAccount(event => events.push(event));
+
+        const candle = lastCandle(mock, 'BTCUSDT');
+        const stopLoss = candle.close * 0.98;
+        await adapter.placeOrder({ symbol: 'BTCUSDT', side: 'Buy', qty: 0.5, price: candle.close, takeProfit: candle.close * 1.05, stopLoss });
+
+        // Свеча пробивает стоп: брокер mock сервера закрывает позицию сам
+        mock.pushKline('BTCUSDT', '1', {
+            start: candle.start + 60000,
+            open: candle.close,
+            high: candle.close,
+            low: stopLoss * 0.99,
+            close: stopLoss * 0.995,
+            volume: 10
+        });
+
+        const execution = await waitFor(
+            () => events.find(event => event.type === 'execution' && event.data.closeReason === 'stop_loss'),
+            { message: 'исполнение стоп-лосса' }
+        );
+        assert.equal(execution.data.side, 'Sell');
+        assert.equal(execution.data.closedSize, 0.5);
+
+        await waitFor(
+            () => events.find(event => event.type === 'position' && event.data.symbol === 'BTCUSDT' && event.data.size === 0),
+            { message: 'закрытие позиции в потоке' }
+        );
+        assert.deepEqual(await adapter.getPositions('BTCUSDT'), []);
+    });
+
+    it('переподключает публичный и приватный каналы после разрыва', async () => {
+        const klines = [];
+        const events = [];
+        await adapter.subscribeKlines(['BTCUSDT'], '1', (symbol, interval, candle) => klines.push(candle));
+        await adapter.subscribeAccount(event => events.push(event));
+
+        mock.disconnectClients();
+        await waitFor(() => !adapter.getStreamStatus().isConnected, { message: 'обнаружение разрыва' });
+        await waitFor(() => {
+            const status = adapter.getStreamStatus();
+            return status.isConnected && status.private.isAuthenticated;
+        }, { timeout: 10000, message: 'повторное подключение' });
+
+        // Публичные подписки восстанавливаются с задержкой после подключения
+        const candle = lastCandle(mock, 'BTCUSDT');
+        await waitFor(() => {
+            mock.pushKline('BTCUSDT', '1', { ...candle, volume: candle.volume + 1 }, false);
+            return klines.length > 0;
+        }, { timeout: 10000, interval: 500, message: 'свечи после переподключения' });
+
+        // Приватный канал снова аутентифицирован и подписан
+        await adapter.placeOrder({ symbol: 'ETHUSDT', side: 'Buy', qty: 1 });
+        await waitFor(() => events.find(event => event.type === 'execution' && event.data.symbol === 'ETHUSDT'), { message: 'исполнение после переподключения' });
+        await adapter.closePosition('ETHUSDT', 'Buy', 1);
+    });
+});
+
+describe('BybitAdapter: часы сервера впереди локальных', () => {
+    let mock;
+    let adapter;
+
+    before(async () => {
+        mock = await startMock({ symbols: ['BTCUSDT'], timeOffset: 60000 });
+        adapter = new BybitAdapter(config);
+        await adapter.connect();
+    });
+
+    after(async () => {
+        await adapter.close();
+        await mock.stop();
+    });
+
+    it('подписывает аутентификацию приватного WebSocket по часам сервера', async () => {
+        await adapter.subscribeAccount(() => {});
+
+        await waitFor(() => adapter.getStreamStatus().private.isAuthenticated, { message: 'аутентификация приватного канала' });
+        assert.ok(Math.abs(adapter.getClockStatus().drift - 60000) < 1000);
+    });
+});
+
+describe('TradingBot: перезапуск на mock сервере', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMock();
+        config.symbols = ['BTCUSDT', 'ETHUSDT'];
+        config.persistence.enabled = true;
+        config.eventDriven.enabled = true;
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    it('восстанавливает открытую позицию из журнала и сверяет ее с биржей', async () => {
+        const first = new TradingBot();
+        let opened;
+        try {
+            await first.start();
+            assert.equal(first.riskManager.positions.has('BTCUSDT'), false);
+
+            // Позиция открывается напрямую (как в executeTrade), без зависимости от сигналов и размера
+            const price = lastCandle(mock, 'BTCUSDT').close;
+            const stopLoss = first.instruments.roundPrice('BTCUSDT', price * 0.95);
+            const takeProfit = first.instruments.roundPrice('BTCUSDT', price * 1.05);
+            const result = await first.exchange.placeOrder({ symbol: 'BTCUSDT', side: 'Buy', qty: 0.5, price, takeProfit, stopLoss });
+            assert.equal(result.success, true);
+            first.riskManager.addPosition('BTCUSDT', 'Buy', 0.5, price, stopLoss, takeProfit);
+
+            opened = { ...first.riskManager.positions.get('BTCUSDT') };
+            assert.equal(opened.size, 0.5);
+        } finally {
+            await first.stop();
+        }
+
+        const second = new TradingBot();
+        await second.start();
+        try {
+            assert.equal(second.riskManager.positions.size, 1);
+            const restored = second.riskManager.positions.get('BTCUSDT');
+            assert.ok(restored, 'позиция восстановлена после перезапуска');
+            assert.equal(restored.adopted, undefined, 'позиция восстановлена из журнала, а не принята с биржи');
+            assert.equal(restored.side, 'Buy');
+            assert.equal(restored.size, opened.size);
+            assert.equal(restored.stopLoss, opened.stopLoss);
+
+            const [exchangePosition] = await second.exchange.getPositions('BTCUSDT');
+            assert.equal(exchangePosition.size, restored.size);
+            assert.deepEqual(second.reconciler.getStatus().lastResult.discrepancies, []);
+        } finally {
+            await second.stop();
+        }
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const PaperBroker = require('../paperBroker');
+
+describe('PaperBroker: исполнение TP/SL при гэпе', () => {
+    let broker;
+    let executions;
+
+    // Позиция по цене 100 со стопом 95 и тейком 110
+    async function open(side) {
+        broker.onCandle('BTCUSDT', { open: 100, high: 100, low: 100, close: 100 });
+        const stopLoss = side === 'Buy' ? 95 : 105;
+        const takeProfit = side === 'Buy' ? 110 : 90;
+        await broker.placeOrderWithTPSL('BTCUSDT', side, 1, 100, takeProfit, stopLoss);
+        executions.length = 0;
+    }
+
+    function exitPrice() {
+        assert.equal(executions.length, 1);
+        return parseFloat(executions[0].execPrice);
+    }
+
+    beforeEach(() => {
+        broker = new PaperBroker({ ledgerFile: null, slippage: 0 });
+        executions = [];
+        broker.onPrivateData = ({ topic, data }) => {
+            if (topic === 'execution') executions.push(...data);
+        };
+    });
+
+    it('исполняет стоп длинной позиции по цене открытия ниже уровня', async () => {
+        await open('Buy');
+        broker.onCandle('BTCUSDT', { open: 90, high: 91, low: 88, close: 89 });
+        assert.equal(exitPrice(), 90);
+    });
+
+    it('исполняет стоп короткой позиции по цене открытия выше уровня', async () => {
+        await open('Sell');
+        broker.onCandle('BTCUSDT', { open: 108, high: 110, low: 107, close: 109 });
+        assert.equal(exitPrice(), 108);
+    });
+
+    it('исполняет стоп по уровню, если свеча открылась до него', async () => {
+        await open('Buy');
+        broker.onCandle('BTCUSDT', { open: 99, high: 99, low: 94, close: 94 });
+        assert.equal(exitPrice(), 95);
+    });
+
+    it('исполняет тейк-профит по цене открытия за уровнем', async () => {
+        await open('Buy');
+        broker.onCandle('BTCUSDT', { open: 112, high: 113, low: 111, close: 112 });
+        assert.equal(exitPrice(), 112);
+
+        await open('Sell');
+        broker.onCandle('BTCUSDT', { open: 87, high: 88, low: 86, close: 87 });
+        assert.equal(exitPrice(), 87);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('./helpers');
+const RiskManager = require('../riskManager');
+const PositionReconciler = require('../positionReconciler');
+
+// Позиция, открытая с tpslMode Partial: TP/SL на бирже - условные ордера, на самой позиции их нет
+const EXCHANGE_POSITION = { symbol: 'BTCUSDT', side: 'Buy', size: 0.5, entryPrice: 50000, takeProfit: null, stopLoss: null };
+
+function conditionalOrders({ takeProfit = 52000, stopLoss = 49000 } = {}) {
+    return [
+        { orderId: 'tp-1', symbol: 'BTCUSDT', side: 'Sell', qty: 0.5, status: 'Untriggered', stopOrderType: 'PartialTakeProfit', triggerPrice: takeProfit },
+        { orderId: 'sl-1', symbol: 'BTCUSDT', side: 'Sell', qty: 0.5, status: 'Untriggered', stopOrderType: 'PartialStopLoss', triggerPrice: stopLoss }
+    ];
+}
+
+describe('PositionReconciler: TP/SL условными ордерами', () => {
+    let riskManager;
+    let exchange;
+    let reconciler;
+
+    beforeEach(() => {
+        riskManager = new RiskManager(config);
+        riskManager.addPosition('BTCUSDT', 'Buy', 0.5, 50000, 49000, 52000);
+        exchange = {
+            orders: conditionalOrders(),
+            tradingStops: [],
+            getPositions: async () => [EXCHANGE_POSITION],
+            getActiveOrders: async () => exchange.orders,
+            setTradingStop: async (symbol, levels) => {
+                exchange.tradingStops.push({ symbol, ...levels });
+                return { success: true };
+            }
+        };
+        reconciler = new PositionReconciler(exchange, riskManager, { ...config.reconciliation, policy: { tpsl_mismatch: 'push' } });
+    });
+
+    it('не сообщает о расхождении, если TP/SL совпадают с условными ордерами', async () => {
+        const result = await reconciler.reconcile();
+
+        assert.deepEqual(result.discrepancies, []);
+        assert.deepEqual(exchange.tradingStops, []);
+    });
+
+    it('сообщает о расхождении с триггером условного ордера', () => {
+        exchange.orders = conditionalOrders({ stopLoss: 48500 });
+
+        const [discrepancy] = reconciler.findDiscrepancies([EXCHANGE_POSITION], exchange.orders);
+        assert.equal(discrepancy.type, 'tpsl_mismatch');
+        assert.equal(discrepancy.remote.stopLoss, 48500);
+        assert.equal(discrepancy.remote.takeProfit, 52000);
+    });
+
+    it('по умолчанию только сообщает о расхождении TP/SL', async () => {
+        exchange.orders = [];
+        const alerting = new PositionReconciler(exchange, riskManager, config.reconciliation);
+
+        const result = await alerting.reconcile();
+        assert.deepEqual(result.discrepancies, [{ type: 'tpsl_mismatch', symbol: 'BTCUSDT', action: 'alert', resolved: false }]);
+        assert.deepEqual(exchange.tradingStops, []);
+    });
+});
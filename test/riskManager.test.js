@@ -0,0 +1,65 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('./helpers');
+const RiskManager = require('../riskManager');
+const InstrumentRegistry = require('../instrumentRegistry');
+
+const INSTRUMENT = {
+    symbol: 'BTCUSDT',
+    status: 'Trading',
+    qtyStep: 0.001,
+    qtyDecimals: 3,
+    minOrderQty: 0.001,
+    maxOrderQty: 100,
+    maxMktOrderQty: 100,
+    minNotionalValue: 5,
+    tickSize: 0.1,
+    priceDecimals: 1
+};
+
+const settings = {
+    ...config,
+    trading: { ...config.trading, positionSize: 0.1, minSignalStrength: 0, minConfidence: 0 },
+    riskManagement: { ...config.riskManagement, tradingHours: { start: 0, end: 23 } }
+};
+
+async function createRiskManager(instrument = INSTRUMENT) {
+    const instruments = new InstrumentRegistry({ getInstruments: async () => [instrument] }, settings);
+    await instruments.load();
+    return new RiskManager(settings, instruments);
+}
+
+describe('RiskManager: размер позиции и минимумы биржи', () => {
+    let riskManager;
+
+    beforeEach(async () => {
+        riskManager = await createRiskManager();
+    });
+
+    it('округляет количество вниз до шага лота', () => {
+        const size = riskManager.calculatePositionSize(10000, 'BTCUSDT', 1, 100, 50000);
+
+        // 10000 * 0.1 * 1.5 = 1500 USD -> 0.03 BTC
+        assert.equal(size.quantity, 0.03);
+        assert.equal(size.sizeUSD, 1500);
+    });
+
+    it('отклоняет сделку, если размер меньше минимального количества, вместо его увеличения', () => {
+        // Минимальные 25 USD при цене 50000 - 0.0005 BTC, меньше шага и минимума 0.001
+        const size = riskManager.calculatePositionSize(100, 'BTCUSDT', 1, 100, 50000);
+        assert.equal(size.quantity, 0);
+        assert.match(size.rejectReason, /меньше минимального/);
+
+        const result = riskManager.canTrade('BTCUSDT', 1, 100, 100, 50000, 'Buy');
+        assert.equal(result.canTrade, false);
+        assert.equal(result.checks.positionSize, false);
+    });
+
+    it('отклоняет сделку, если сумма ордера меньше минимальной', async () => {
+        riskManager = await createRiskManager({ ...INSTRUMENT, qtyStep: 0.0001, qtyDecimals: 4, minOrderQty: 0.0001, minNotionalValue: 30 });
+
+        const size = riskManager.calculatePositionSize(100, 'BTCUSDT', 1, 100, 50000);
+        assert.equal(size.quantity, 0);
+        assert.match(size.rejectReason, /сумма 25\.00 меньше минимальной 30/);
+    });
+});
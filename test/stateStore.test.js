@@ -0,0 +1,137 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config } = require('./helpers');
+const StateStore = require('../stateStore');
+const RiskManager = require('../riskManager');
+const PerformanceMonitor = require('../performanceMonitor');
+const PositionReconciler = require('../positionReconciler');
+
+// Запуск бота без сети: восстановление из журнала и подключение журнала, как в TradingBot.restoreState
+function boot() {
+    const store = new StateStore(config.persistence);
+    const riskManager = new RiskManager(config);
+    const performanceMonitor = new PerformanceMonitor();
+
+    const state = store.load();
+    riskManager.restoreState(state);
+    performanceMonitor.restoreState(state.performance);
+    riskManager.setStateStore(store);
+    performanceMonitor.setStateStore(store);
+
+    return { store, riskManager, performanceMonitor };
+}
+
+// Остановка, как в TradingBot.stop: статистика сохраняется перед закрытием журнала
+function shutdown({ store, performanceMonitor }) {
+    performanceMonitor.stopStatsAutoSave();
+    store.close();
+}
+
+describe('StateStore: перезапуск', () => {
+    beforeEach(() => {
+        fs.rmSync('data', { recursive: true, force: true });
+    });
+
+    it('не дублирует сделки, закрытые после восстановления', () => {
+        const first = boot();
+        first.riskManager.addPosition('BTCUSDT', 'Buy', 0.5, 50000, 49000, 52000);
+        first.performanceMonitor.recordTrade('BTCUSDT', 'Buy', 0.5, 50000, 49000, 52000, { strength: 0.8, confidence: 80 });
+        shutdown(first);
+
+        const second = boot();
+        const position = second.riskManager.closePosition('BTCUSDT', 49000, 'stop_loss');
+        second.performanceMonitor.recordTradeClose('BTCUSDT', 49000, position.pnl, 'stop_loss');
+
+        const stats = second.riskManager.getTradingStats();
+        assert.equal(stats.totalTrades, 1);
+        assert.equal(stats.totalPnL, -500);
+        assert.equal(second.riskManager.dailyLoss, 500);
+        assert.equal(second.performanceMonitor.tradeHistory.length, 1);
+        assert.equal(second.performanceMonitor.tradeHistory[0].status, 'closed');
+        shutdown(second);
+
+        const third = boot();
+        assert.equal(third.riskManager.trades.length, 1);
+        assert.equal(third.riskManager.positions.size, 0);
+        assert.equal(third.performanceMonitor.tradeHistory.length, 1);
+        assert.equal(third.performanceMonitor.metrics.totalLoss, 500);
+        shutdown(third);
+    });
+
+    it('не пишет анализ сигналов в журнал и сохраняет его в файл статистики', () => {
+        const first = boot();
+        for (let i = 0; i < 50; i++) {
+            first.performanceMonitor.recordSignalAnalysis('BTCUSDT', { signal: 'buy', strength: 0.5, confidence: 50, details: {} }, i % 2 === 0);
+        }
+        assert.equal(first.store.getStatus().journalEntries, 0);
+        assert.equal(fs.existsSync(config.persistence.journalFile), false);
+        shutdown(first);
+
+        const second = boot();
+        assert.equal(second.performanceMonitor.signalHistory.length, 50);
+        assert.equal(second.performanceMonitor.metrics.signalsAnalyzed, 50);
+        assert.equal(second.performanceMonitor.metrics.signalsFiltered, 25);
+        shutdown(second);
+    });
+
+    it('переносит состояние в снимок при сжатии журнала', () => {
+        const first = boot();
+        first.riskManager.addPosition('BTCUSDT', 'Buy', 0.5, 50000, 49000, 52000);
+
+        // Снимок и каталог синхронизируются до очистки журнала
+        const calls = [];
+        const { fsyncSync, truncateSync } = fs;
+        fs.fsyncSync = (fd) => {
+            calls.push('fsync');
+            return fsyncSync(fd);
+        };
+        fs.truncateSync = (file, length) => {
+            calls.push('truncate');
+            return truncateSync(file, length);
+        };
+        try {
+            first.store.compact();
+        } finally {
+            Object.assign(fs, { fsyncSync, truncateSync });
+        }
+        shutdown(first);
+
+        assert.deepEqual(calls, ['fsync', 'fsync', 'truncate']);
+        assert.equal(fs.statSync(config.persistence.journalFile).size, 0);
+        assert.equal(fs.existsSync(`${config.persistence.snapshotFile}.tmp`), false);
+
+        const second = boot();
+        assert.equal(second.riskManager.positions.get('BTCUSDT').size, 0.5);
+        shutdown(second);
+    });
+
+    it('сохраняет исправления сверки в журнал', async () => {
+        const first = boot();
+        first.riskManager.addPosition('ETHUSDT', 'Buy', 2, 3000, 2900, 3200);
+        const reconciler = new PositionReconciler({}, first.riskManager, { policy: { tpsl_mismatch: 'sync' } });
+
+        await reconciler.resolve({
+            type: 'size_mismatch',
+            symbol: 'ETHUSDT',
+            local: first.riskManager.positions.get('ETHUSDT'),
+            remote: { symbol: 'ETHUSDT', side: 'Sell', size: 1, entryPrice: 3010 }
+        });
+        await reconciler.resolve({
+            type: 'tpsl_mismatch',
+            symbol: 'ETHUSDT',
+            local: first.riskManager.positions.get('ETHUSDT'),
+            remote: { symbol: 'ETHUSDT', side: 'Sell', size: 1, takeProfit: 2800, stopLoss: 3100 }
+        });
+        shutdown(first);
+
+        const second = boot();
+        const restored = second.riskManager.positions.get('ETHUSDT');
+        assert.equal(restored.side, 'Sell');
+        assert.equal(restored.size, 1);
+        assert.equal(restored.entryPrice, 3010);
+        assert.equal(restored.takeProfit, 2800);
+        assert.equal(restored.stopLoss, 3100);
+        shutdown(second);
+    });
+});
@@ -0,0 +1,150 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ti = require('technicalindicators');
+const CandleStore = require('../candleStore');
+const {
+    IndicatorEngine,
+    StreamingRSI,
+    StreamingMACD,
+    StreamingBollingerBands,
+    StreamingATR,
+    StreamingStochastic,
+    StreamingADX
+} = require('../streamingIndicators');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+// Детерминированная серия свечей (линейный конгруэнтный генератор)
+function generateCandles(count, seed = 7) {
+    let state = seed;
+    const random = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+
+    const candles = [];
+    let close = 100;
+    for (let i = 0; i < count; i++) {
+        const open = close;
+        close = open * (1 + (random() - 0.5) * 0.02);
+        const high = Math.max(open, close) * (1 + random() * 0.005);
+        const low = Math.min(open, close) * (1 - random() * 0.005);
+        candles.push({ timestamp: T0 + i * MINUTE, open, high, low, close, volume: 10 + random() * 90, confirmed: true });
+    }
+    return candles;
+}
+
+function assertClose(actual, expected, message, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${message}: ${actual} != ${expected}`);
+}
+
+// Последнее значение индикатора после прогона всей серии
+function run(create, candles, input) {
+    const indicator = create();
+    for (const candle of candles) {
+        indicator.push(input(candle));
+    }
+    return indicator.value;
+}
+
+const close = candle => candle.close;
+const whole = candle => candle;
+
+const CASES = [
+    { name: 'RSI', create: () => new StreamingRSI(14), input: close, flatten: value => [value] },
+    { name: 'MACD', create: () => new StreamingMACD(12, 26, 9), input: close, flatten: value => [value.macd, value.signal, value.histogram] },
+    { name: 'Bollinger', create: () => new StreamingBollingerBands(20, 2), input: close, flatten: value => [value.upper, value.middle, value.lower] },
+    { name: 'ATR', create: () => new StreamingATR(14), input: whole, flatten: value => [value] },
+    { name: 'Stochastic', create: () => new StreamingStochastic(14, 3), input: whole, flatten: value => [value.k, value.d] },
+    { name: 'ADX', create: () => new StreamingADX(14), input: whole, flatten: value => [value.adx, value.pdi, value.mdi] }
+];
+
+describe('Потоковые индикаторы', () => {
+    const candles = generateCandles(120);
+    const closes = candles.map(close);
+
+    it('совпадают с technicalindicators', () => {
+        const rsi = ti.RSI.calculate({ values: closes, period: 14 });
+        // technicalindicators округляет RSI до сотых
+        assertClose(run(CASES[0].create, candles, close), rsi[rsi.length - 1], 'RSI', 0.01);
+
+        const macd = ti.MACD.calculate({ values: closes, fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, SimpleMAOscillator: false, SimpleMASignal: false });
+        const streamingMacd = run(CASES[1].create, candles, close);
+        assertClose(streamingMacd.macd, macd[macd.length - 1].MACD, 'MACD');
+        assertClose(streamingMacd.signal, macd[macd.length - 1].signal, 'MACD signal');
+
+        const bands = ti.BollingerBands.calculate({ values: closes, period: 20, stdDev: 2 });
+        const streamingBands = run(CASES[2].create, candles, close);
+        assertClose(streamingBands.upper, bands[bands.length - 1].upper, 'Bollinger upper');
+        assertClose(streamingBands.lower, bands[bands.length - 1].lower, 'Bollinger lower');
+
+        const atr = ti.ATR.calculate({ high: candles.map(c => c.high), low: candles.map(c => c.low), close: closes, period: 14 });
+        assertClose(run(CASES[3].create, candles, whole), atr[atr.length - 1], 'ATR');
+    });
+
+    for (const { name, create, input, flatten } of CASES) {
+        it(`${name}: пересмотр последней свечи равен расчету с исправленной свечой`, () => {
+            const streaming = create();
+            for (const candle of candles) {
+                streaming.push(input(candle));
+            }
+
+            // Формирующаяся свеча пересматривается несколько раз
+            const last = candles[candles.length - 1];
+            const revisions = [1.01, 0.985, 1.002].map(factor => ({
+                ...last,
+                close: last.close * factor,
+                high: Math.max(last.high, last.close * factor),
+                low: Math.min(last.low, last.close * factor)
+            }));
+            for (const revision of revisions) {
+                streaming.replace(input(revision));
+            }
+
+            const expected = run(create, [...candles.slice(0, -1), revisions[revisions.length - 1]], input);
+            const actualValues = flatten(streaming.value);
+            flatten(expected).forEach((value, i) => assertClose(actualValues[i], value, name));
+            assert.equal(streaming.count, candles.length);
+        });
+    }
+});
+
+describe('IndicatorEngine', () => {
+    const SYMBOL = 'BTCUSDT';
+
+    it('обновляет индикатор при пересмотре формирующейся свечи без дублирования истории', () => {
+        const candles = generateCandles(60);
+        const store = new CandleStore();
+        store.upsertMany(SYMBOL, '1', candles.slice(0, -1));
+        const engine = new IndicatorEngine(store);
+
+        const tracker = engine.get(SYMBOL, '1', 'rsi', [14]);
+        const historyLength = tracker.history.length;
+
+        const forming = { ...candles[candles.length - 1], confirmed: false };
+        store.upsert(SYMBOL, '1', forming);
+        engine.sync(SYMBOL, '1');
+        store.upsert(SYMBOL, '1', { ...forming, close: forming.close * 1.01, high: forming.close * 1.01 });
+        engine.sync(SYMBOL, '1');
+        store.upsert(SYMBOL, '1', { ...forming, confirmed: true });
+        const synced = engine.get(SYMBOL, '1', 'rsi', [14]);
+
+        assert.equal(synced.history.length, historyLength + 1);
+        assertClose(synced.value, run(() => new StreamingRSI(14), candles, close), 'RSI');
+    });
+
+    it('пересчитывает индикатор после вставки свечи в середину серии', () => {
+        const candles = generateCandles(60);
+        const store = new CandleStore();
+        store.upsertMany(SYMBOL, '1', candles.filter((candle, i) => i !== 30));
+        const engine = new IndicatorEngine(store);
+        engine.get(SYMBOL, '1', 'rsi', [14]);
+
+        // Догруженный пропуск меняет ревизию серии
+        store.upsert(SYMBOL, '1', candles[30]);
+        const tracker = engine.get(SYMBOL, '1', 'rsi', [14]);
+
+        assertClose(tracker.value, run(() => new StreamingRSI(14), candles, close), 'RSI');
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('./helpers');
+const TechnicalAnalysis = require('../technicalAnalysis');
+
+const MINUTE = 60 * 1000;
+
+describe('TechnicalAnalysis: профиль объема', () => {
+    it('пересчитывает кешированный профиль после вставки свечи в середину серии', () => {
+        const analysis = new TechnicalAnalysis();
+        const view = analysis.forInterval(config.intervals[config.volumeProfile.timeframe]);
+        const interval = view.interval;
+        const step = Number(interval) * MINUTE;
+        const start = Math.floor(Date.now() / step) * step - 60 * step;
+
+        // Серия с пропуском на 30-й свече
+        for (let i = 0; i < 60; i++) {
+            if (i === 30) continue;
+            analysis.candles.upsert('BTCUSDT', interval, { start: start + i * step, open: 100, high: 101, low: 99, close: 100, volume: 10 });
+        }
+        const before = view.analyzeVolumeProfile('BTCUSDT').rolling;
+
+        // Догруженная свеча с большим объемом далеко от текущих цен переносит POC
+        analysis.candles.upsert('BTCUSDT', interval, { start: start + 30 * step, open: 120, high: 121, low: 119, close: 120, volume: 100000 });
+        const after = view.analyzeVolumeProfile('BTCUSDT').rolling;
+
+        assert.ok(before.poc < 102);
+        assert.ok(after.poc > 118, `POC ${after.poc} после вставки свечи`);
+    });
+});
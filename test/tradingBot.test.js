@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('./helpers');
+const TradingBot = require('../tradingBot');
+
+const MINUTE = 60 * 1000;
+
+// Реальные минутные свечи, которые вернула биржа
+function realCandles(count) {
+    const start = Math.floor(Date.now() / MINUTE) * MINUTE - count * MINUTE;
+    return Array.from({ length: count }, (_, i) => ({
+        start: start + i * MINUTE, open: 100, high: 101, low: 99, close: 100 + i * 0.01, volume: 10, confirmed: true
+    }));
+}
+
+describe('TradingBot: ошибка загрузки истории', () => {
+    it('не подменяет свечи и пропускает анализ символа, если часть таймфреймов не загрузилась', async () => {
+        const bot = new TradingBot();
+        const candles = realCandles(200);
+        bot.exchange.getKlines = async (symbol, interval) => {
+            if (interval === config.intervals.short) return candles;
+            throw new Error('Server error');
+        };
+        let analyzed = false;
+        bot.performMarketAnalysis = async () => {
+            analyzed = true;
+        };
+
+        assert.equal(await bot.getHistoricalData('BTCUSDT'), false);
+        await bot.analyzeSymbol('BTCUSDT');
+
+        const stored = bot.technicalAnalysis.candles.getCandles('BTCUSDT', config.intervals.short);
+        assert.deepEqual(stored.map(candle => candle.close), candles.map(candle => candle.close));
+        assert.equal(analyzed, false);
+    });
+});
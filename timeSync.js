@@ -0,0 +1,77 @@
+// Синхронизация локального времени с сервером Bybit для подписи запросов
+class TimeSync {
+    constructor(api, options = {}) {
+        this.api = api;
+        this.syncIntervalMs = options.syncInterval || 5 * 60 * 1000; // Обновление каждые 5 минут
+        this.maxDrift = options.maxDrift || 1000; // Допустимое расхождение часов (мс)
+
+        this.offset = 0; // Серверное время минус локальное (мс)
+        this.roundTrip = null; // Время ответа сервера при последнем замере (мс)
+        this.lastSync = null;
+        this.syncInterval = null;
+    }
+
+    // Замер смещения локальных часов относительно сервера
+    async sync() {
+        const requestTime = Date.now();
+        const serverTime = await this.api.getServerTime();
+        const responseTime = Date.now();
+
+        // Считаем, что сервер ответил в середине интервала запроса
+        this.roundTrip = responseTime - requestTime;
+        this.offset = Math.round(serverTime - (requestTime + this.roundTrip / 2));
+        this.lastSync = responseTime;
+
+        const logMethod = this.isWithinThreshold() ? console.log : console.warn;
+        logMethod(`🕒 Синхронизация времени: смещение ${this.offset} мс, RTT ${this.roundTrip} мс`);
+
+        return this.offset;
+    }
+
+    // Запуск периодической синхронизации
+    startAutoSync() {
+        if (this.syncInterval) {
+            clearInterval(this.syncInterval);
+        }
+
+        this.syncInterval = setInterval(async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                console.error('❌ Ошибка синхронизации времени:', error.message);
+            }
+        }, this.syncIntervalMs);
+    }
+
+    // Остановка периодической синхронизации
+    stopAutoSync() {
+        if (this.syncInterval) {
+            clearInterval(this.syncInterval);
+            this.syncInterval = null;
+        }
+    }
+
+    // Текущее время с учетом смещения
+    now() {
+        return Date.now() + this.offset;
+    }
+
+    // Проверка, что расхождение часов в допустимых пределах
+    isWithinThreshold() {
+        return this.lastSync !== null && Math.abs(this.offset) <= this.maxDrift;
+    }
+
+    // Получение статуса синхронизации
+    getStatus() {
+        return {
+            synced: this.lastSync !== null,
+            drift: this.offset,
+            roundTrip: this.roundTrip,
+            maxDrift: this.maxDrift,
+            withinThreshold: this.isWithinThreshold(),
+            lastSync: this.lastSync
+        };
+    }
+}
+
+module.exports = TimeSync;
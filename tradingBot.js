@@ -1,7 +1,14 @@
-const BybitWebSocket = require('./bybitWebSocket');
-const BybitRestApi = require('./bybitRestApi');
+const BybitAdapter = require('./bybitAdapter');
 const TechnicalAnalysis = require('./technicalAnalysis');
 const RiskManager = require('./riskManager');
+const InstrumentRegistry = require('./instrumentRegistry');
+const PositionReconciler = require('./positionReconciler');
+const MultiTimeframeAnalysis = require('./multiTimeframeAnalysis');
+const MarketContext = require('./marketContext');
+const CorrelationMatrix = require('./correlationMatrix');
+const CandleAggregator = require('./candleAggregator');
+const StateStore = require('./stateStore');
+const { RateLimitError } = require('./requestScheduler');
 const PerformanceMonitor = require('./performanceMonitor');
 const LogManager = require('./logManager');
 const config = require('./config');
@@ -31,17 +38,43 @@ const logger = winston.createLogger({
 });
 
 class TradingBot {
-    constructor() {
-        // WebSocket для получения kline данных
-        this.ws = new BybitWebSocket(config.websocket);
+    constructor(exchange = null) {
+        // Биржевой адаптер (по умолчанию Bybit: REST для торговли, WebSocket для kline данных)
+        this.exchange = exchange || new BybitAdapter(config);
         
-        // REST API для торговых операций
-        this.api = new BybitRestApi(config.demo);
+        // Реестр инструментов - единый источник шагов лота/цены и лимитов ордеров
+        this.instruments = new InstrumentRegistry(this.exchange, config);
+        this.exchange.setInstrumentRegistry(this.instruments);
         
         this.technicalAnalysis = new TechnicalAnalysis();
-        this.riskManager = new RiskManager(config);
+        this.multiTimeframe = new MultiTimeframeAnalysis(this.technicalAnalysis, config.intervals, config.multiTimeframe);
+        this.marketContext = new MarketContext(this.technicalAnalysis, config.intervals, config.marketContext);
+        
+        // Старшие таймфреймы строятся из минутного потока WebSocket (REST - только начальная загрузка и пропуски)
+        this.aggregator = config.resampling.enabled
+            ? new CandleAggregator(this.technicalAnalysis.candles, config.intervals.short, [...new Set(Object.values(config.intervals))])
+            : null;
+        if (this.aggregator) {
+            this.aggregator.onBarClosed(event => this.handleBarClosed(event));
+        }
+        this.riskManager = new RiskManager(config, this.instruments);
+        
+        // Корреляции доходностей символов: лимит коррелированных позиций в RiskManager.canTrade
+        this.correlationMatrix = new CorrelationMatrix(this.technicalAnalysis, config.intervals, config.symbols, config.correlation);
+        if (config.correlation.enabled) {
+            this.riskManager.setCorrelationMatrix(this.correlationMatrix);
+        }
         this.performanceMonitor = new PerformanceMonitor();
         
+        // Сверка локальных позиций с биржей
+        this.reconciler = new PositionReconciler(this.exchange, this.riskManager, config.reconciliation, {
+            getPrice: (symbol) => this.technicalAnalysis.getCurrentPrice(symbol),
+            onPositionClosed: (position) => this.performanceMonitor.recordTradeClose(position.symbol, position.exitPrice, position.pnl, position.reason)
+        });
+        
+        // Журнал состояния: позиции, сделки, баланс и счетчики риска переживают перезапуск
+        this.stateStore = config.persistence.enabled ? new StateStore(config.persistence) : null;
+        
         this.logManager = new LogManager();
         this.isRunning = false;
         this.balance = 10000; // Начальный баланс для демо
@@ -61,13 +94,18 @@ class TradingBot {
         this.wsReconnectIntervalMs = 5 * 60 * 60 * 1000; // 5 часов в миллисекундах
         this.lastWsReconnectTime = Date.now();
 
-        // Переопределяем методы WebSocket для обработки данных
-        this.setupWebSocketHandlers();
-    }
-
-    // Настройка обработчиков WebSocket
-    setupWebSocketHandlers() {
-        this.ws.onKlineData = (message) => this.handleKlineData(message);
+        // События аккаунта, пришедшие раньше ответа REST на создание ордера (symbol -> события)
+        this.accountStreamActive = false;
+        this.pendingAccountEvents = new Map();
+        this.pendingEventTtl = 60000;
+        this.exchangeCloseDelay = 1000; // Ожидание исполнений после закрытия позиции на бирже
+
+        // Анализ по закрытию свечей: очередь символов и сторож устаревшего потока
+        this.analysisQueue = new Map(); // symbol -> что запустило анализ (интервалы закрытых баров, 'watchdog')
+        this.analysisRunning = false;
+        this.lastBarClose = new Map(); // symbol -> время последнего закрытого бара из потока
+        this.watchdogInterval = null;
+        this.marketRegimes = new Map(); // symbol -> последний режим рынка
     }
 
     // Запуск бота
@@ -75,21 +113,56 @@ class TradingBot {
         try {
             logger.info('🚀 Запуск торгового бота...');
             
-            // Проверка статуса API
-            const apiStatus = await this.api.checkApiStatus();
-            if (!apiStatus) {
-                throw new Error('API недоступен');
-            }
+            // Восстановление состояния до первого торгового цикла
+            this.restoreState();
+            
+            // Подключение к бирже (проверка API, синхронизация часов)
+            await this.exchange.connect();
             
-            // Подключение к WebSocket для kline данных
-            await this.ws.connectPublic();
+            // Загрузка параметров инструментов и их периодическое обновление
+            await this.instruments.load();
+            this.instruments.startAutoRefresh();
+            
+            // Рыночный контекст строится по свечам ведущих символов, поэтому они должны торговаться ботом
+            if (config.marketContext.enabled) {
+                const missing = config.marketContext.references.filter(symbol => !config.symbols.includes(symbol));
+                if (missing.length > 0) {
+                    logger.warn(`⚠️ Ведущие символы рыночного контекста отсутствуют в config.symbols и не учитываются: ${missing.join(', ')}`);
+                }
+            }
             
             // Подписка на kline данные для всех символов одновременно
-            this.ws.subscribeMultipleKlines(config.symbols, config.intervals.short);
+            await this.exchange.subscribeKlines(config.symbols, config.intervals.short,
+                (symbol, interval, candle) => this.handleKlineData(symbol, interval, candle));
+            
+            // Подписка на события аккаунта: реальные исполнения, позиции и баланс
+            try {
+                this.accountStreamActive = await this.exchange.subscribeAccount(event => this.handleAccountEvent(event));
+            } catch (error) {
+                logger.error(`❌ Ошибка подписки на события аккаунта: ${error.message}`);
+            }
+            if (!this.accountStreamActive) {
+                logger.warn('⚠️ Поток событий аккаунта недоступен: состояние позиций обновляется только по ответам REST');
+            }
             
             // Получение начального баланса через REST API
             await this.updateBalance();
             
+            // Позиции, открытые на бирже до запуска, берутся под управление
+            if (config.adoption.enabled) {
+                await this.adoptExchangePositions();
+            }
+            
+            // Первая сверка позиций с биржей и периодическая сверка
+            if (config.reconciliation.enabled) {
+                try {
+                    await this.reconciler.reconcile();
+                } catch (error) {
+                    logger.error(`❌ Ошибка начальной сверки позиций: ${error.message}`);
+                }
+                this.reconciler.start();
+            }
+            
             this.isRunning = true;
             this.lastWsReconnectTime = Date.now();
             logger.info('✅ Торговый бот запущен успешно');
@@ -113,9 +186,16 @@ class TradingBot {
     async stop() {
         logger.info('🛑 Остановка торгового бота...');
         this.isRunning = false;
+        this.stopWatchdog();
         this.stopAutoWebSocketReconnect();
         this.logManager.stopAutoCleanup();
-        this.ws.close();
+        this.instruments.stopAutoRefresh();
+        this.reconciler.stop();
+        await this.exchange.close();
+        if (this.stateStore) {
+            this.performanceMonitor.stopStatsAutoSave();
+            this.stateStore.close();
+        }
         logger.info('✅ Торговый бот остановлен');
     }
 
@@ -156,24 +236,9 @@ class TradingBot {
                 totalPnL: stats.totalPnL.toFixed(2)
             });
             
-            // Закрываем старое WebSocket соединение
-            logger.info('🔒 Закрываем старое WebSocket соединение...');
-            this.ws.close();
-            
-            // Небольшая пауза для полного закрытия
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // Создаем новое WebSocket соединение
-            logger.info('🔌 Создаем новое WebSocket соединение...');
-            this.ws = new BybitWebSocket(config.websocket);
-            this.setupWebSocketHandlers();
-            
-            // Подключаемся
-            await this.ws.connectPublic();
-            
-            // Восстанавливаем подписки
-            logger.info('📊 Восстанавливаем подписки на kline данные...');
-            this.ws.subscribeMultipleKlines(config.symbols, config.intervals.short);
+            // Пересоздаем соединение и восстанавливаем подписки на kline данные
+            logger.info('🔌 Пересоздаем WebSocket соединение и восстанавливаем подписки...');
+            await this.exchange.reconnectStreams();
             
             this.lastWsReconnectTime = Date.now();
             logger.info('✅ WebSocket успешно переподключен');
@@ -191,8 +256,10 @@ class TradingBot {
     async gracefulShutdown() {
         logger.info('🔄 Graceful shutdown...');
         
-        // Останавливаем торговый цикл
+        // Останавливаем торговый цикл и сверку позиций
         this.isRunning = false;
+        this.stopWatchdog();
+        this.reconciler.stop();
         
         // Закрываем все открытые позиции (опционально)
         const openPositions = this.riskManager.getActivePositions();
@@ -210,8 +277,12 @@ class TradingBot {
             }
         }
         
-        // Закрываем WebSocket соединения
-        this.ws.close();
+        // Закрываем соединения с биржей и журнал состояния
+        await this.exchange.close();
+        if (this.stateStore) {
+            this.performanceMonitor.stopStatsAutoSave();
+            this.stateStore.close();
+        }
         
         // Останавливаем автоматическое переподключение WebSocket
         this.stopAutoWebSocketReconnect();
@@ -219,6 +290,9 @@ class TradingBot {
         // Останавливаем очистку логов
         this.logManager.stopAutoCleanup();
         
+        // Останавливаем обновление инструментов
+        this.instruments.stopAutoRefresh();
+        
         logger.info('✅ Graceful shutdown завершен');
     }
 
@@ -230,6 +304,11 @@ class TradingBot {
 
     // Основной цикл торговли
     startTradingLoop() {
+        if (config.eventDriven.enabled) {
+            this.startEventDrivenLoop();
+            return;
+        }
+
         const tradingInterval = setInterval(async () => {
             if (!this.isRunning) {
                 clearInterval(tradingInterval);
@@ -247,7 +326,7 @@ class TradingBot {
     // Анализ рынка и торговля
     async analyzeAndTrade() {
         // Проверяем состояние WebSocket соединения
-        const wsStatus = this.ws.getConnectionStatus();
+        const wsStatus = this.exchange.getStreamStatus();
         if (!wsStatus.isConnected || wsStatus.timeSinceLastData > 300000) { // 5 минут
             logger.warn('⚠️ Проблемы с WebSocket соединением:', wsStatus);
         }
@@ -262,19 +341,15 @@ class TradingBot {
         
         for (const symbol of config.symbols) {
             try {
-                // Получение исторических данных для анализа
-                await this.getHistoricalData(symbol);
-                
-                // Комплексный анализ рынка
-                const marketAnalysis = await this.performMarketAnalysis(symbol);
-                
-                // Принятие торгового решения на основе анализа
-                const tradingDecision = this.makeTradingDecision(symbol, marketAnalysis);
-                
-                // Выполнение торгового решения
-                await this.executeTradingDecision(symbol, tradingDecision);
-                
+                await this.analyzeSymbol(symbol);
             } catch (error) {
+                if (error instanceof RateLimitError) {
+                    // Лимит запросов исчерпан - пропускаем оставшиеся символы до следующего цикла
+                    logger.warn(`⏳ Лимит запросов исчерпан (${error.endpoint}), анализ прерван на ${symbol}`, {
+                        retryAfter: error.retryAfter
+                    });
+                    break;
+                }
                 logger.error(`Ошибка анализа ${symbol}:`, error);
             }
         }
@@ -292,6 +367,163 @@ class TradingBot {
         }
     }
 
+    // ==================== АНАЛИЗ ПО ЗАКРЫТИЮ СВЕЧИ ====================
+
+    // Запуск анализа по событиям: начальная загрузка истории и сторож потока данных
+    async startEventDrivenLoop() {
+        for (const symbol of config.symbols) {
+            try {
+                await this.getHistoricalData(symbol);
+            } catch (error) {
+                logger.error(`❌ Ошибка начальной загрузки свечей ${symbol}: ${error.message}`);
+            }
+            this.lastBarClose.set(symbol, Date.now());
+        }
+
+        if (!this.isRunning) return;
+
+        const { triggerIntervals, watchdogInterval } = config.eventDriven;
+        logger.info(`⚡ Анализ по закрытию свечей ${triggerIntervals.join(', ')}, проверка потока каждые ${watchdogInterval / 1000} с`);
+        this.startWatchdog();
+    }
+
+    // Запуск сторожа потока данных
+    startWatchdog() {
+        this.stopWatchdog();
+
+        this.watchdogInterval = setInterval(async () => {
+            if (!this.isRunning) {
+                this.stopWatchdog();
+                return;
+            }
+
+            try {
+                await this.checkStaleFeeds();
+            } catch (error) {
+                logger.error('Ошибка проверки потока данных:', error);
+            }
+        }, config.eventDriven.watchdogInterval);
+    }
+
+    // Остановка сторожа потока данных
+    stopWatchdog() {
+        if (this.watchdogInterval) {
+            clearInterval(this.watchdogInterval);
+            this.watchdogInterval = null;
+        }
+    }
+
+    // Проверка потока: символы без закрытых свечей анализируются по данным REST
+    async checkStaleFeeds() {
+        const wsStatus = this.exchange.getStreamStatus();
+        if (!wsStatus.isConnected || wsStatus.timeSinceLastData > 300000) { // 5 минут
+            logger.warn('⚠️ Проблемы с WebSocket соединением:', wsStatus);
+        }
+
+        const now = Date.now();
+        const staleSymbols = config.symbols.filter(symbol => now - (this.lastBarClose.get(symbol) || 0) > config.eventDriven.staleAfter);
+        if (staleSymbols.length > 0) {
+            logger.warn(`⏰ Нет закрытых свечей дольше ${config.eventDriven.staleAfter / 1000} с: ${staleSymbols.join(', ')} - анализ по данным REST`);
+            for (const symbol of staleSymbols) {
+                this.scheduleAnalysis(symbol, 'watchdog');
+            }
+        }
+
+        // Без потока аккаунта баланс обновляется только через REST
+        if (!this.accountStreamActive) {
+            await this.updateBalance();
+        }
+
+        // Генерация ежедневного отчета (каждые 24 часа)
+        const date = new Date();
+        if (date.getHours() === 0 && date.getMinutes() < 1) {
+            this.generateDailyReport();
+        }
+    }
+
+    // Постановка символа в очередь анализа (повторные закрытия до начала анализа объединяются)
+    scheduleAnalysis(symbol, trigger) {
+        if (!this.analysisQueue.has(symbol)) {
+            this.analysisQueue.set(symbol, new Set());
+        }
+        this.analysisQueue.get(symbol).add(trigger);
+
+        this.processAnalysisQueue().catch(error => {
+            logger.error(`❌ Ошибка очереди анализа: ${error.message}`);
+        });
+    }
+
+    // Последовательный анализ символов из очереди
+    async processAnalysisQueue() {
+        if (this.analysisRunning) return;
+        this.analysisRunning = true;
+
+        try {
+            while (this.analysisQueue.size > 0 && this.isRunning) {
+                const [symbol, triggers] = this.analysisQueue.entries().next().value;
+                this.analysisQueue.delete(symbol);
+
+                try {
+                    await this.analyzeOnBarClose(symbol, triggers);
+                } catch (error) {
+                    if (error instanceof RateLimitError) {
+                        // Лимит запросов исчерпан - остальные символы ждут следующего закрытия свечи
+                        logger.warn(`⏳ Лимит запросов исчерпан (${error.endpoint}), анализ прерван на ${symbol}`, {
+                            retryAfter: error.retryAfter,
+                            queued: [...this.analysisQueue.keys()]
+                        });
+                        break;
+                    }
+                    logger.error(`Ошибка анализа ${symbol}:`, error);
+                }
+            }
+
+            this.logPerformanceStats();
+        } finally {
+            this.analysisRunning = false;
+        }
+    }
+
+    // Анализ символа по закрытию свечи
+    async analyzeOnBarClose(symbol, triggers) {
+        if (this.testModeEnabled) {
+            logger.info('🧪 ТЕСТОВЫЙ РЕЖИМ АКТИВЕН - принудительная генерация сигналов');
+        }
+        logger.info(`⚡ Анализ ${symbol} (триггер: ${[...triggers].join(', ')})`);
+
+        // Данные потока уже в хранилище; REST нужен без агрегатора и при устаревшем потоке
+        if ((!this.aggregator || triggers.has('watchdog')) && !await this.getHistoricalData(symbol)) {
+            logger.warn(`⚠️ Анализ ${symbol} пропущен: исторические данные не загружены`);
+            return;
+        }
+
+        // Сначала проверяем открытую позицию на смену тренда (защита прибыли)
+        const position = this.riskManager.getActivePositions().find(active => active.symbol === symbol);
+        if (position) {
+            await this.checkPositionForTrendReversal(position);
+        }
+
+        await this.analyzeSymbol(symbol, { loadHistory: false });
+    }
+
+    // Полный анализ одного символа и выполнение торгового решения
+    async analyzeSymbol(symbol, { loadHistory = true } = {}) {
+        // Получение исторических данных для анализа
+        if (loadHistory && !await this.getHistoricalData(symbol)) {
+            logger.warn(`⚠️ Анализ ${symbol} пропущен: исторические данные не загружены`);
+            return;
+        }
+        
+        // Комплексный анализ рынка
+        const marketAnalysis = await this.performMarketAnalysis(symbol);
+        
+        // Принятие торгового решения на основе анализа
+        const tradingDecision = this.makeTradingDecision(symbol, marketAnalysis);
+        
+        // Выполнение торгового решения
+        await this.executeTradingDecision(symbol, tradingDecision);
+    }
+
     // Проверка открытых позиций на смену тренда (защита прибыли)
     async checkOpenPositionsForTrendReversal() {
         const openPositions = this.riskManager.getActivePositions();
@@ -303,60 +535,64 @@ class TradingBot {
         logger.info(`🔍 Проверяем ${openPositions.length} открытых позиций на смену тренда...`);
 
         for (const position of openPositions) {
-            try {
-                const symbol = position.symbol;
-                const currentPrice = this.technicalAnalysis.getCurrentPrice(symbol);
-                
-                if (!currentPrice) {
-                    logger.warn(`⚠️ Не удалось получить текущую цену для ${symbol}`);
-                    continue;
-                }
+            await this.checkPositionForTrendReversal(position);
+        }
+    }
 
-                // Рассчитываем текущий PnL
-                const pnl = this.riskManager.calculatePnL(position, currentPrice);
-                const pnlPercent = (pnl / (position.entryPrice * position.size)) * 100;
+    // Проверка одной позиции на смену тренда
+    async checkPositionForTrendReversal(position) {
+        try {
+            const symbol = position.symbol;
+            const currentPrice = this.technicalAnalysis.getCurrentPrice(symbol);
+            
+            if (!currentPrice) {
+                logger.warn(`⚠️ Не удалось получить текущую цену для ${symbol}`);
+                return;
+            }
 
-                // Получаем технический анализ для этого символа
-                const signal = this.technicalAnalysis.analyzeSignal(symbol);
-                
-                // Получаем долгосрочный и краткосрочный тренд
-                const dailySymbol = `${symbol}_DAILY`;
-                const longTermTrend = this.technicalAnalysis.analyzeLongTermTrend(dailySymbol);
-                const shortTermTrend = this.analyzeTrend(symbol);
-
-                // Проверяем смену тренда
-                const trendReversal = this.detectTrendReversal(position, signal, longTermTrend, shortTermTrend, pnlPercent);
-
-                if (trendReversal.shouldClose) {
-                    logger.warn(`⚠️ ОБНАРУЖЕНА СМЕНА ТРЕНДА для ${symbol}:`, {
-                        position: position.side,
-                        currentPnL: pnl.toFixed(2),
-                        pnlPercent: pnlPercent.toFixed(2) + '%',
-                        reason: trendReversal.reason,
-                        reversalStrength: trendReversal.strength.toFixed(2),
-                        technicalSignal: signal.signal,
-                        longTermDirection: longTermTrend.direction,
-                        shortTermDirection: shortTermTrend.direction
-                    });
+            // Рассчитываем текущий PnL
+            const pnl = this.riskManager.calculatePnL(position, currentPrice);
+            const pnlPercent = (pnl / (position.entryPrice * position.size)) * 100;
 
-                    // Закрываем позицию для защиты прибыли
-                    logger.info(`💰 ЗАКРЫВАЕМ ПОЗИЦИЮ ${symbol} ДЛЯ ЗАЩИТЫ ПРИБЫЛИ`);
-                    await this.closePosition(symbol, currentPrice, `trend_reversal: ${trendReversal.reason}`);
-                    
-                    // Логируем результат
-                    if (pnl > 0) {
-                        logger.info(`✅ Прибыль зафиксирована: +${pnl.toFixed(2)} USDT (${pnlPercent.toFixed(2)}%)`);
-                    } else {
-                        logger.info(`📉 Убыток минимизирован: ${pnl.toFixed(2)} USDT (${pnlPercent.toFixed(2)}%)`);
-                    }
+            // Получаем технический анализ для этого символа
+            const signal = this.technicalAnalysis.analyzeSignal(symbol);
+            
+            // Получаем долгосрочный и краткосрочный тренд
+            const longTermTrend = this.technicalAnalysis.forInterval(config.intervals.daily).analyzeLongTermTrend(symbol);
+            const shortTermTrend = this.analyzeTrend(symbol);
+
+            // Проверяем смену тренда
+            const trendReversal = this.detectTrendReversal(position, signal, longTermTrend, shortTermTrend, pnlPercent);
+
+            if (trendReversal.shouldClose) {
+                logger.warn(`⚠️ ОБНАРУЖЕНА СМЕНА ТРЕНДА для ${symbol}:`, {
+                    position: position.side,
+                    currentPnL: pnl.toFixed(2),
+                    pnlPercent: pnlPercent.toFixed(2) + '%',
+                    reason: trendReversal.reason,
+                    reversalStrength: trendReversal.strength.toFixed(2),
+                    technicalSignal: signal.signal,
+                    longTermDirection: longTermTrend.direction,
+                    shortTermDirection: shortTermTrend.direction
+                });
+
+                // Закрываем позицию для защиты прибыли
+                logger.info(`💰 ЗАКРЫВАЕМ ПОЗИЦИЮ ${symbol} ДЛЯ ЗАЩИТЫ ПРИБЫЛИ`);
+                await this.closePosition(symbol, currentPrice, `trend_reversal: ${trendReversal.reason}`);
+                
+                // Логируем результат
+                if (pnl > 0) {
+                    logger.info(`✅ Прибыль зафиксирована: +${pnl.toFixed(2)} USDT (${pnlPercent.toFixed(2)}%)`);
                 } else {
-                    // Позиция в порядке, продолжаем держать
-                    logger.info(`✅ Позиция ${symbol} в порядке: ${position.side}, PnL: ${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
+                    logger.info(`📉 Убыток минимизирован: ${pnl.toFixed(2)} USDT (${pnlPercent.toFixed(2)}%)`);
                 }
-
-            } catch (error) {
-                logger.error(`❌ Ошибка проверки позиции ${position.symbol}:`, error);
+            } else {
+                // Позиция в порядке, продолжаем держать
+                logger.info(`✅ Позиция ${symbol} в порядке: ${position.side}, PnL: ${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
             }
+
+        } catch (error) {
+            logger.error(`❌ Ошибка проверки позиции ${position.symbol}:`, error);
         }
     }
 
@@ -475,81 +711,106 @@ class TradingBot {
         };
     }
 
-    // Получение исторических данных
+    // Получение исторических данных -> false, если загрузка не удалась (серии остаются как были)
     async getHistoricalData(symbol) {
         try {
-            // Получаем краткосрочные данные (1 минута) для текущего анализа
-            const shortTermData = await this.api.getKlineData(symbol, config.intervals.short, 200);
-            
-            for (const candle of shortTermData) {
-                this.technicalAnalysis.addCandle(symbol, {
-                    start: parseInt(candle[0]),
-                    open: candle[1],
-                    high: candle[2],
-                    low: candle[3],
-                    close: candle[4],
-                    volume: candle[5]
-                });
+            // Краткосрочные данные (1 минута) для текущего анализа
+            const shortTermCount = await this.loadCandles(symbol, config.intervals.short, 200);
+            if (shortTermCount > 0) {
+                logger.info(`📊 Загружено ${shortTermCount} краткосрочных свечей для ${symbol}`);
             }
             
-            logger.info(`📊 Загружено ${shortTermData.length} краткосрочных свечей для ${symbol}`);
+            // Средний и длинный таймфреймы для мультитаймфреймового анализа, уровней и профиля объема
+            for (const { name, interval } of this.getAnalysisTimeframes()) {
+                if (interval === config.intervals.short) continue;
+                const count = await this.loadCandles(symbol, interval, config.multiTimeframe.depth);
+                if (count > 0) {
+                    logger.info(`🕐 Загружено ${count} свечей ${interval} (${name}) для ${symbol}`);
+                }
+            }
             
-            // Получаем дневные данные для долгосрочного анализа тренда
+            // Дневные данные для долгосрочного анализа тренда
             if (config.technicalAnalysis.trendAnalysis.dailyAnalysis.enabled) {
-                const dailyData = await this.api.getKlineData(symbol, config.intervals.daily, 300);
-                
-                // Добавляем дневные данные с префиксом для разделения
-                const dailySymbol = `${symbol}_DAILY`;
-                for (const candle of dailyData) {
-                    this.technicalAnalysis.addCandle(dailySymbol, {
-                        start: parseInt(candle[0]),
-                        open: candle[1],
-                        high: candle[2],
-                        low: candle[3],
-                        close: candle[4],
-                        volume: candle[5]
-                    });
+                const dailyCount = await this.loadCandles(symbol, config.intervals.daily, 300);
+                if (dailyCount > 0) {
+                    logger.info(`📈 Загружено ${dailyCount} дневных свечей для долгосрочного анализа ${symbol}`);
                 }
-                
-                logger.info(`📈 Загружено ${dailyData.length} дневных свечей для долгосрочного анализа ${symbol}`);
             }
             
+            return true;
         } catch (error) {
-            logger.error(`❌ Ошибка получения исторических данных для ${symbol}:`, error);
-            // В случае ошибки используем симулированные данные
-            const mockData = this.generateMockKlineData(symbol);
-            for (const candle of mockData) {
-                this.technicalAnalysis.addCandle(symbol, candle);
+            if (error instanceof RateLimitError) {
+                throw error;
             }
+            // Реальные свечи не подменяются: анализ символа пропускается до следующей успешной загрузки
+            logger.error(`❌ Ошибка получения исторических данных для ${symbol}:`, error);
+            return false;
         }
     }
 
-    // Генерация тестовых данных свечей
-    generateMockKlineData(symbol) {
-        const data = [];
-        const basePrice = symbol === 'BTCUSDT' ? 45000 : symbol === 'ETHUSDT' ? 3000 : 0.5;
-        let currentPrice = basePrice;
-        
-        for (let i = 0; i < 100; i++) {
-            const change = (Math.random() - 0.5) * 0.02; // ±1% изменение
-            currentPrice *= (1 + change);
-            
-            const high = currentPrice * (1 + Math.random() * 0.01);
-            const low = currentPrice * (1 - Math.random() * 0.01);
-            const open = i === 0 ? currentPrice : data[i-1].close;
-            const close = currentPrice;
-            
-            data.push({
-                start: Date.now() - (100 - i) * 60000, // 1 минута назад
-                open: open.toFixed(8),
-                high: high.toFixed(8),
-                low: low.toFixed(8),
-                close: close.toFixed(8),
-                volume: (Math.random() * 1000 + 100).toFixed(2)
-            });
+    // Таймфреймы, нужные анализу кроме дневного: мультитаймфрейм, уровни, профиль объема, паттерны, режим рынка
+    getAnalysisTimeframes() {
+        const names = [];
+        if (config.multiTimeframe.enabled) {
+            names.push(...this.multiTimeframe.getTimeframes().map(({ name }) => name));
         }
-        
-        return data;
+        if (config.supportResistance.enabled) {
+            names.push(config.supportResistance.timeframe);
+        }
+        if (config.volumeProfile.enabled) {
+            names.push(config.volumeProfile.timeframe);
+        }
+        if (config.candlestickPatterns.enabled) {
+            names.push(...config.candlestickPatterns.timeframes);
+        }
+        if (config.marketRegime.enabled) {
+            names.push(config.marketRegime.timeframe);
+        }
+        if (config.marketContext.enabled) {
+            names.push(config.marketContext.timeframe, config.marketContext.shockTimeframe);
+        }
+        if (config.correlation.enabled) {
+            names.push(config.correlation.timeframe);
+        }
+
+        return [...new Set(names)]
+            .filter(name => config.intervals[name])
+            .map(name => ({ name, interval: config.intervals[name] }));
+    }
+
+    // Загрузка свечей в хранилище: полная история при первом запросе,
+    // затем только недостающие последние свечи и пропуски внутри серии -> число загруженных свечей
+    async loadCandles(symbol, interval, depth) {
+        const store = this.technicalAnalysis.candles;
+        const missing = store.getMissingCount(symbol, interval);
+        let loaded = 0;
+
+        if (missing === null || missing >= depth) {
+            // Нет истории или разрыв длиннее глубины - загружаем серию заново
+            const candles = await this.exchange.getKlines(symbol, interval, depth);
+            store.clear(symbol, interval);
+            store.upsertMany(symbol, interval, candles);
+            loaded += candles.length;
+        } else if (missing > 0) {
+            const candles = await this.exchange.getKlines(symbol, interval, missing);
+            store.upsertMany(symbol, interval, candles);
+            loaded += candles.length;
+        }
+
+        // Догрузка пропусков (например, после обрыва WebSocket)
+        for (const gap of store.findGaps(symbol, interval)) {
+            const candles = await this.exchange.getKlines(symbol, interval, Math.min(gap.count, 1000), { start: gap.start, end: gap.end });
+            store.upsertMany(symbol, interval, candles);
+            loaded += candles.length;
+            logger.info(`🩹 Догружен пропуск ${symbol} ${interval}: ${candles.length}/${gap.count} свечей с ${new Date(gap.start).toLocaleString('ru-RU')}`);
+        }
+
+        // Дальше текущий бар строится агрегатором из минутных свечей
+        if (this.aggregator?.handles(interval) && (loaded > 0 || !this.aggregator.isBootstrapped(symbol, interval))) {
+            this.aggregator.bootstrap(symbol, interval);
+        }
+
+        return loaded;
     }
 
     // Выполнение торговой операции
@@ -568,18 +829,30 @@ class TradingBot {
                 return;
             }
 
-            const positionSizeData = this.riskManager.calculatePositionSize(this.balance, symbol, signal.strength, signal.confidence, currentPrice);
-            const positionSize = positionSizeData.quantity;
+            // Не открываем позиции при большом расхождении часов с сервером
+            const clockStatus = this.exchange.getClockStatus();
+            if (!clockStatus.withinThreshold) {
+                logger.error(`❌ Торговля ${symbol} запрещена: расхождение часов с сервером превышает допустимое`, clockStatus);
+                return;
+            }
+
+            if (!this.instruments.isTradable(symbol)) {
+                logger.error(`❌ Инструмент ${symbol} недоступен для торговли`);
+                return;
+            }
+
             const side = signal.signal === 'buy' ? 'Buy' : 'Sell';
+            const positionSizeData = this.riskManager.calculatePositionSize(this.balance, symbol, signal.strength, signal.confidence, currentPrice, side);
+            const positionSize = positionSizeData.quantity;
+            if (positionSize <= 0) {
+                logger.warn(`⚠️ Сделка ${symbol} не открыта: ${positionSizeData.rejectReason}`);
+                return;
+            }
             
-            // Расчет стоп-лосса и тейк-профита
-            const stopLoss = side === 'Buy' 
-                ? currentPrice * (1 - config.trading.stopLoss)
-                : currentPrice * (1 + config.trading.stopLoss);
-                
-            const takeProfit = side === 'Buy'
-                ? currentPrice * (1 + config.trading.takeProfit)
-                : currentPrice * (1 - config.trading.takeProfit);
+            // Расчет стоп-лосса и тейк-профита с учетом уровней (с округлением до шага цены)
+            const exits = this.calculateExitLevels(side, currentPrice, signal.details?.levels, this.getRegimeSettings(symbol));
+            const stopLoss = this.instruments.roundPrice(symbol, exits.stopLoss);
+            const takeProfit = this.instruments.roundPrice(symbol, exits.takeProfit);
 
             logger.info(`📊 Параметры сделки для ${symbol}:`, {
                 side: side,
@@ -588,9 +861,11 @@ class TradingBot {
                 positionSizeUSD: positionSizeData.sizeUSD.toFixed(2),
                 stopLoss: stopLoss.toFixed(4),
                 takeProfit: takeProfit.toFixed(4),
-                stopLossPercent: (config.trading.stopLoss * 100).toFixed(1) + '%',
-                takeProfitPercent: (config.trading.takeProfit * 100).toFixed(1) + '%',
-                riskRewardRatio: (config.trading.takeProfit / config.trading.stopLoss).toFixed(1) + ':1'
+                stopLossPercent: (exits.stopDistance * 100).toFixed(2) + '%',
+                takeProfitPercent: (exits.targetDistance * 100).toFixed(2) + '%',
+                riskRewardRatio: (exits.targetDistance / exits.stopDistance).toFixed(1) + ':1',
+                stopSource: exits.stopSource,
+                targetSource: exits.targetSource
             });
 
             // Дополнительная проверка размера позиции
@@ -604,38 +879,38 @@ class TradingBot {
                 sizeUSD: positionSizeData.sizeUSD.toFixed(2)
             });
 
-            // Проверяем, что размер позиции больше минимального
-            const minQty = this.riskManager.getMinQty(symbol);
-            if (positionSize < minQty) {
-                logger.error(`❌ Размер позиции ${positionSize} меньше минимального ${minQty} для ${symbol}`);
+            // Проверяем параметры ордера по данным инструмента
+            const orderValidation = this.instruments.validateOrder(symbol, positionSize, currentPrice);
+            if (!orderValidation.valid) {
+                logger.error(`❌ Ордер для ${symbol} не прошел валидацию: ${orderValidation.reason}`);
                 return;
             }
 
-            // Размещение ордера с TP/SL через REST API
+            // Размещение ордера с TP/SL через биржевой адаптер
             logger.info(`📤 Размещаем ордер с TP/SL для ${symbol}...`);
-            const orderResult = await this.api.placeOrderWithTPSL(
-                symbol, 
-                side, 
-                positionSize, 
-                currentPrice, 
-                takeProfit, 
-                stopLoss, 
-                'Market'
-            );
-            
-            logger.info(`📥 Результат размещения ордера для ${symbol}:`, {
-                retCode: orderResult.retCode,
-                retMsg: orderResult.retMsg,
-                success: orderResult.retCode === 0
+            const orderResult = await this.exchange.placeOrder({
+                symbol,
+                side,
+                qty: positionSize,
+                orderType: 'Market',
+                price: currentPrice,
+                takeProfit,
+                stopLoss
             });
             
-            if (orderResult.retCode === 0) {
+            logger.info(`📥 Результат размещения ордера для ${symbol}:`, orderResult);
+            
+            if (orderResult.success) {
                 // Добавление позиции в риск-менеджер
-                this.riskManager.addPosition(symbol, side, positionSize, currentPrice, stopLoss, takeProfit);
+                const position = this.riskManager.addPosition(symbol, side, positionSize, currentPrice, stopLoss, takeProfit);
+                position.orderId = orderResult.orderId;
                 
                 // Запись в монитор производительности
                 this.performanceMonitor.recordTrade(symbol, side, positionSize, currentPrice, stopLoss, takeProfit, signal);
                 
+                // Применяем исполнения, которые пришли по WebSocket раньше ответа REST
+                this.applyPendingAccountEvents(symbol);
+                
                
                 
                 logger.info(`✅ УСПЕШНО ОТКРЫТА ПОЗИЦИЯ ${symbol}:`, {
@@ -654,8 +929,8 @@ class TradingBot {
                 this.performanceStats.totalTrades++;
             } else {
                 logger.error(`❌ ОШИБКА РАЗМЕЩЕНИЯ ОРДЕРА для ${symbol}:`, {
-                    retCode: orderResult.retCode,
-                    retMsg: orderResult.retMsg,
+                    code: orderResult.code,
+                    message: orderResult.message,
                     symbol: symbol,
                     side: side,
                     size: positionSize.toFixed(2)
@@ -672,6 +947,48 @@ class TradingBot {
         }
     }
 
+    // Стоп-лосс и тейк-профит: процент из config.trading, уточненный по ближайшим уровням.
+    // Стоп ставится за уровнем поддержки (сопротивления для шорта), если он ближе процентного стопа,
+    // цель - перед встречным уровнем, если он ближе процентной цели и прибыль/риск не хуже minRiskReward
+    calculateExitLevels(side, currentPrice, levels, regimeSettings = {}) {
+        const srConfig = config.supportResistance;
+        const direction = side === 'Buy' ? 1 : -1;
+        let stopDistance = config.trading.stopLoss * (regimeSettings.stopMultiplier || 1);
+        let targetDistance = config.trading.takeProfit * (regimeSettings.targetMultiplier || 1);
+        let stopSource = 'percent';
+        let targetSource = 'percent';
+
+        if (srConfig.enabled && levels) {
+            const stopLevel = side === 'Buy' ? levels.nearestSupport : levels.nearestResistance;
+            const targetLevel = side === 'Buy' ? levels.nearestResistance : levels.nearestSupport;
+
+            if (srConfig.useForStops && stopLevel) {
+                const distance = Math.abs(currentPrice - stopLevel.price) / currentPrice + srConfig.levelBuffer;
+                if (distance >= srConfig.minStopDistance && distance < stopDistance) {
+                    stopDistance = distance;
+                    stopSource = 'level';
+                }
+            }
+
+            if (srConfig.useForTargets && targetLevel) {
+                const distance = Math.abs(targetLevel.price - currentPrice) / currentPrice - srConfig.levelBuffer;
+                if (distance < targetDistance && distance >= stopDistance * srConfig.minRiskReward) {
+                    targetDistance = distance;
+                    targetSource = 'level';
+                }
+            }
+        }
+
+        return {
+            stopLoss: currentPrice * (1 - direction * stopDistance),
+            takeProfit: currentPrice * (1 + direction * targetDistance),
+            stopDistance,
+            targetDistance,
+            stopSource,
+            targetSource
+        };
+    }
+
 
     // Закрытие позиции
     async closePosition(symbol, price, reason) {
@@ -699,18 +1016,13 @@ class TradingBot {
                 reason: reason
             });
 
-            // Размещение ордера на закрытие через REST API
-            const closeSide = position.side === 'Buy' ? 'Sell' : 'Buy';
+            // Размещение ордера на закрытие через биржевой адаптер
             logger.info(`📤 Размещаем ордер на закрытие для ${symbol}...`);
-            const closeResult = await this.api.closePosition(symbol, position.side, position.size);
+            const closeResult = await this.exchange.closePosition(symbol, position.side, position.size);
             
-            logger.info(`📥 Результат закрытия позиции для ${symbol}:`, {
-                retCode: closeResult.retCode,
-                retMsg: closeResult.retMsg,
-                success: closeResult.retCode === 0
-            });
+            logger.info(`📥 Результат закрытия позиции для ${symbol}:`, closeResult);
             
-            if (closeResult.retCode === 0) {
+            if (closeResult.success) {
                 // Запись в монитор производительности
                 this.performanceMonitor.recordTradeClose(symbol, price, position.pnl, reason);
                 
@@ -735,8 +1047,8 @@ class TradingBot {
                 }
             } else {
                 logger.error(`❌ ОШИБКА ЗАКРЫТИЯ ПОЗИЦИИ для ${symbol}:`, {
-                    retCode: closeResult.retCode,
-                    retMsg: closeResult.retMsg,
+                    code: closeResult.code,
+                    message: closeResult.message,
                     symbol: symbol,
                     side: position.side,
                     size: position.size.toFixed(2),
@@ -755,59 +1067,248 @@ class TradingBot {
         }
     }
 
-    // Обработка данных свечей
-    handleKlineData(message) {
-        console.log('🔍 Получено сообщение kline:', JSON.stringify(message, null, 2));
+    // Обработка данных свечей (нормализованная свеча от биржевого адаптера)
+    handleKlineData(symbol, interval, candle) {
+        const stored = this.technicalAnalysis.addCandle(symbol, candle, interval);
         
-        if (message.data && message.data.length > 0) {
-            const kline = message.data[0];
-            
-            // Извлекаем символ из topic: "kline.5.BTCUSDT"
-            let symbol = null;
-            if (message.topic) {
-                const topicParts = message.topic.split('.');
-                if (topicParts.length >= 3) {
-                    symbol = topicParts[2];
-                }
+        logger.info(`📊 Получена новая свеча для ${symbol}: ${candle.close} (завершена: ${candle.confirmed})`);
+        
+        if (this.aggregator && interval === config.intervals.short) {
+            this.aggregator.addCandle(symbol, stored);
+        } else if (stored.confirmed) {
+            // Без агрегатора события закрытия дает только подписанный интервал
+            this.handleBarClosed({ symbol, interval, candle: stored });
+        }
+    }
+
+    // Закрытие бара (минутного из потока или старшего таймфрейма из агрегатора)
+    handleBarClosed({ symbol, interval, candle }) {
+        if (interval === config.intervals.short) {
+            this.lastBarClose.set(symbol, Date.now());
+        } else {
+            logger.info(`🕯️ Закрыт бар ${symbol} ${interval}: O ${candle.open} H ${candle.high} L ${candle.low} C ${candle.close} V ${candle.volume.toFixed(2)}`);
+        }
+
+        // Анализ символа запускается закрытием свечи выбранных интервалов
+        if (this.isRunning && config.eventDriven.enabled && config.eventDriven.triggerIntervals.includes(interval)) {
+            this.scheduleAnalysis(symbol, interval);
+        }
+    }
+
+    // ==================== СОБЫТИЯ АККАУНТА ====================
+
+    // Обработка событий приватного потока (ордера, исполнения, позиции, кошелек)
+    handleAccountEvent(event) {
+        try {
+            if (event.type === 'execution') {
+                this.handleExecution(event.data);
+            } else if (event.type === 'position') {
+                this.handlePositionUpdate(event.data);
+            } else if (event.type === 'wallet') {
+                this.handleWalletUpdate(event.data);
+            } else if (event.type === 'order') {
+                this.handleOrderUpdate(event.data);
             }
-            
-            if (symbol) {
-                // Правильная структура данных Bybit kline
-                this.technicalAnalysis.addCandle(symbol, {
-                    start: parseInt(kline.start),
-                    open: kline.open,
-                    high: kline.high,
-                    low: kline.low,
-                    close: kline.close,
-                    volume: kline.volume
-                });
-                
-                logger.info(`📊 Получена новая свеча для ${symbol}: ${kline.close} (завершена: ${kline.confirm})`);
-            } else {
-                logger.warn('⚠️ Не удалось определить символ для kline данных:', message);
+        } catch (error) {
+            logger.error('❌ Ошибка обработки события аккаунта:', error);
+        }
+    }
+
+    // Исполнение: фактическая цена входа, частичные исполнения и закрытия на бирже
+    handleExecution(execution) {
+        const { symbol } = execution;
+        const position = this.riskManager.positions.get(symbol);
+        if (!position) {
+            this.bufferAccountEvent(symbol, { type: 'execution', data: execution });
+            return;
+        }
+
+        const isOpening = execution.side === position.side;
+        const result = this.riskManager.applyExecution(symbol, execution);
+        this.performanceMonitor.recordExecution(symbol, execution, isOpening);
+
+        if (result.closed) {
+            this.finalizeExchangeClose(symbol, result.exitPrice, execution.closeReason || 'exchange_close');
+        } else if (!isOpening) {
+            logger.info(`✂️ Частичное закрытие ${symbol} на бирже:`, {
+                closedQty: execution.qty,
+                price: execution.price,
+                remainingSize: result.position.size,
+                reason: execution.closeReason || 'exchange'
+            });
+        }
+    }
+
+    // Обновление позиции: синхронизация размера и цены, обнаружение закрытия на бирже
+    handlePositionUpdate(update) {
+        const { symbol } = update;
+        const position = this.riskManager.positions.get(symbol);
+        if (!position) {
+            if (update.size > 0) {
+                this.bufferAccountEvent(symbol, { type: 'position', data: update });
             }
+            return;
+        }
+
+        if (update.size > 0) {
+            this.riskManager.syncPosition(symbol, update);
+            return;
+        }
+
+        // Позиция закрыта на бирже - даем исполнениям прийти, чтобы узнать точную цену и причину
+        setTimeout(() => {
+            if (this.riskManager.positions.get(symbol) !== position) return;
+
+            const exitPrice = this.technicalAnalysis.getCurrentPrice(symbol) || update.markPrice || position.entryPrice;
+            this.finalizeExchangeClose(symbol, exitPrice, 'exchange_close');
+        }, this.exchangeCloseDelay);
+    }
+
+    // Обновление баланса из потока кошелька
+    handleWalletUpdate(balance) {
+        if (balance) {
+            this.balance = balance.walletBalance;
+            this.recordEquity();
+        }
+    }
+
+    // Изменение статуса ордера
+    handleOrderUpdate(order) {
+        if (['Rejected', 'Cancelled', 'Deactivated'].includes(order.status)) {
+            logger.warn(`⚠️ Ордер ${order.orderId} для ${order.symbol}: ${order.status}`);
+        } else if (order.status === 'PartiallyFilled') {
+            logger.info(`⏳ Частичное исполнение ордера ${order.orderId} для ${order.symbol}: ${order.filledQty}/${order.qty}`);
         }
     }
 
-    // Обновление баланса через REST API
+    // Учет позиции, закрытой на стороне биржи (TP/SL, ликвидация, ручное закрытие)
+    finalizeExchangeClose(symbol, exitPrice, reason) {
+        const position = this.riskManager.closePosition(symbol, exitPrice, reason);
+        if (!position) return;
+
+        this.performanceMonitor.recordTradeClose(symbol, exitPrice, position.pnl, reason);
+        if (position.pnl > 0) {
+            this.performanceStats.profitableTrades++;
+            this.performanceStats.totalProfit += position.pnl;
+        }
+
+        logger.info(`🏁 ПОЗИЦИЯ ${symbol} ЗАКРЫТА НА БИРЖЕ:`, {
+            reason: reason,
+            side: position.side,
+            entryPrice: position.entryPrice.toFixed(4),
+            exitPrice: exitPrice.toFixed(4),
+            pnl: position.pnl.toFixed(2),
+            fees: (position.fees || 0).toFixed(4),
+            holdTime: ((Date.now() - position.timestamp) / 1000 / 60).toFixed(1) + ' мин'
+        });
+    }
+
+    // Сохранение события, для которого еще нет локальной позиции
+    bufferAccountEvent(symbol, event) {
+        const now = Date.now();
+        const events = (this.pendingAccountEvents.get(symbol) || [])
+            .filter(item => now - item.time < this.pendingEventTtl);
+        events.push({ ...event, time: now });
+        this.pendingAccountEvents.set(symbol, events);
+    }
+
+    // Применение отложенных событий после открытия позиции (только исполнения нашего ордера)
+    applyPendingAccountEvents(symbol) {
+        const events = this.pendingAccountEvents.get(symbol);
+        if (!events) return;
+        this.pendingAccountEvents.delete(symbol);
+
+        const position = this.riskManager.positions.get(symbol);
+        const now = Date.now();
+        for (const event of events) {
+            if (now - event.time >= this.pendingEventTtl) continue;
+            if (event.type === 'execution' && event.data.orderId !== position?.orderId) continue;
+            this.handleAccountEvent(event);
+        }
+    }
+
+    // Обновление баланса через биржевой адаптер
     async updateBalance() {
         try {
-            const balanceData = await this.api.getWalletBalance();
-            if (balanceData.retCode === 0 && balanceData.result.list.length > 0) {
-                const usdtAccount = balanceData.result.list.find(account => account.accountType === 'UNIFIED');
-                if (usdtAccount && usdtAccount.coin.length > 0) {
-                    const usdtCoin = usdtAccount.coin.find(coin => coin.coin === 'USDT');
-                    if (usdtCoin) {
-                        this.balance = parseFloat(usdtCoin.walletBalance);
-                        logger.info(`💰 Обновление баланса: ${this.balance} USDT`);
-                    }
-                }
+            const balance = await this.exchange.getBalance('USDT');
+            if (balance) {
+                this.balance = balance.walletBalance;
+                this.recordEquity();
+                logger.info(`💰 Обновление баланса: ${this.balance} USDT`);
             }
         } catch (error) {
             logger.error('❌ Ошибка обновления баланса:', error);
         }
     }
 
+    // ==================== ПРИНЯТИЕ ПОЗИЦИЙ ====================
+
+    // Загрузка открытых позиций и условных ордеров с биржи и восстановление их в RiskManager
+    async adoptExchangePositions() {
+        try {
+            const [exchangePositions, activeOrders] = await Promise.all([
+                this.exchange.getPositions(),
+                this.exchange.getActiveOrders()
+            ]);
+
+            const adopted = [];
+            for (const exchangePosition of exchangePositions) {
+                const symbol = exchangePosition.symbol;
+                if (this.riskManager.positions.has(symbol)) continue; // Уже известна (восстановлена из журнала)
+
+                if (!config.symbols.includes(symbol)) {
+                    logger.warn(`⚠️ Позиция ${symbol} открыта на бирже, но символ не торгуется ботом: не принята`);
+                    continue;
+                }
+
+                const position = this.riskManager.adoptPosition(exchangePosition, activeOrders, 'startup');
+                adopted.push(`${symbol} ${position.side} ${position.size} @ ${position.entryPrice}`);
+            }
+
+            if (adopted.length > 0) {
+                logger.info(`🤝 Приняты позиции с биржи: ${adopted.join(', ')}`);
+            }
+        } catch (error) {
+            logger.error(`❌ Ошибка загрузки позиций с биржи: ${error.message}`);
+        }
+    }
+
+    // ==================== ПЕРСИСТЕНТНОСТЬ ====================
+
+    // Загрузка журнала и восстановление позиций, сделок, метрик и счетчиков риска
+    restoreState() {
+        if (!this.stateStore) return;
+
+        const state = this.stateStore.load();
+        this.riskManager.restoreState(state);
+        this.performanceMonitor.restoreState(state.performance);
+
+        const lastEquity = state.equity[state.equity.length - 1];
+        if (lastEquity) {
+            this.balance = lastEquity.balance;
+        }
+
+        // Журнал подключается после восстановления, чтобы не записывать восстановленное повторно
+        this.riskManager.setStateStore(this.stateStore);
+        this.performanceMonitor.setStateStore(this.stateStore);
+        this.performanceMonitor.startStatsAutoSave(config.persistence.statsInterval);
+
+        const positions = this.riskManager.getActivePositions();
+        if (positions.length > 0) {
+            logger.info(`💾 Восстановлены позиции: ${positions.map(position => `${position.symbol} ${position.side} ${position.size}`).join(', ')}`);
+        }
+    }
+
+    // Снимок баланса в журнал (только при изменении)
+    recordEquity() {
+        if (!this.stateStore) return;
+
+        const equity = this.stateStore.state.equity;
+        if (equity.length > 0 && equity[equity.length - 1].balance === this.balance) return;
+
+        this.stateStore.append('equity', { balance: this.balance, time: Date.now() });
+    }
+
     // Логирование статистики производительности
     logPerformanceStats() {
         const stats = this.riskManager.getTradingStats();
@@ -838,9 +1339,10 @@ class TradingBot {
             confidence: technicalSignal.confidence?.toFixed(1),
             rsi: technicalSignal.details?.rsi_value?.toFixed(1),
             macd: technicalSignal.details?.macd_value?.macd?.toFixed(4),
-            trend: technicalSignal.details?.trend?.trend
+            trend: technicalSignal.details?.trend?.trend,
+            indicators: this.technicalAnalysis.indicatorRegistry.describe(technicalSignal.details?.indicators)
         });
-        
+
         // 2. Анализ тренда (обновленный с долгосрочным анализом)
         const trendAnalysis = this.analyzeTrend(symbol);
         logger.info(`📊 Анализ тренда ${symbol}:`, {
@@ -892,10 +1394,56 @@ class TradingBot {
             lowerLows: marketStructure.lowerLows
         });
         
-        // 6. Анализ существующих позиций
+        // 6. Мультитаймфреймовый анализ
+        const confluence = config.multiTimeframe.enabled ? this.multiTimeframe.analyze(symbol) : null;
+        if (confluence) {
+            logger.info(`🧭 Мультитаймфрейм ${symbol}:`, {
+                direction: confluence.direction,
+                score: confluence.score.toFixed(3),
+                agreement: (confluence.agreement * 100).toFixed(0) + '%',
+                agreeing: confluence.agreeing,
+                opposing: confluence.opposing,
+                timeframes: Object.fromEntries(Object.entries(confluence.timeframes)
+                    .map(([name, frame]) => [name, `${frame.interval}: ${frame.ready ? `${frame.direction} (${frame.score.toFixed(2)})` : 'нет данных'}`])),
+                confirmation: confluence.confirmation
+            });
+        }
+        
+        // 7. Профиль объема
+        const volumeProfile = config.volumeProfile.enabled ? this.getVolumeProfile(symbol) : null;
+        if (volumeProfile) {
+            logger.info(`📶 Профиль объема ${symbol} (${config.intervals[config.volumeProfile.timeframe]}):`, Object.fromEntries(
+                Object.entries(volumeProfile).map(([window, profile]) => [window, profile ? {
+                    poc: profile.poc.toFixed(4),
+                    vah: profile.vah.toFixed(4),
+                    val: profile.val.toFixed(4),
+                    position: profile.position,
+                    lowVolumeNodes: profile.lowVolumeNodes.map(node => node.price.toFixed(4)),
+                    candles: profile.candles
+                } : 'нет данных'])
+            ));
+        }
+        
+        // 8. Режим рынка
+        const regime = config.marketRegime.enabled ? this.updateMarketRegime(symbol) : null;
+        if (regime) {
+            logger.info(`🌐 Режим рынка ${symbol} (${config.intervals[config.marketRegime.timeframe]}): ${regime.regime}`, {
+                reason: regime.reason,
+                adx: regime.metrics.adx?.toFixed(1),
+                atrPercentile: regime.metrics.atrPercentile !== null ? (regime.metrics.atrPercentile * 100).toFixed(0) + '%' : null,
+                bbWidthPercentile: regime.metrics.bbWidthPercentile !== null ? (regime.metrics.bbWidthPercentile * 100).toFixed(0) + '%' : null,
+                structureBias: regime.metrics.structureBias.toFixed(2),
+                noTrade: Boolean(regime.settings.noTrade)
+            });
+        }
+        
+        // 9. Рыночный контекст по ведущим символам (BTC, ETH)
+        const marketContext = config.marketContext.enabled ? this.marketContext.update() : null;
+        
+        // 10. Анализ существующих позиций
         const positionAnalysis = this.analyzeExistingPositions(symbol);
         if (positionAnalysis.exists) {
-            logger.info(`💼 Анализ позиции ${symbol}:`, {
+            logger.info(`💼 Анализ позиции ${symbol}${positionAnalysis.adopted ? ' (принята с биржи)' : ''}:`, {
                 action: positionAnalysis.action,
                 reason: positionAnalysis.reason,
                 pnl: positionAnalysis.pnl?.toFixed(2),
@@ -916,6 +1464,11 @@ class TradingBot {
             volatility: volatilityAnalysis,
             volume: volumeAnalysis,
             marketStructure,
+            confluence,
+            volumeProfile,
+            regime,
+            marketContext,
+            marketContextVerdict: null,
             position: positionAnalysis,
             overallScore: 0,
             recommendation: 'hold'
@@ -928,14 +1481,16 @@ class TradingBot {
         analysis.recommendation = this.determineRecommendation(analysis);
         
         // Детальное логирование финального анализа (обновленное с долгосрочным трендом)
+        const weights = this.getScoreWeights(regime);
         logger.info(`📊 ФИНАЛЬНЫЙ АНАЛИЗ ${symbol}:`, {
             recommendation: analysis.recommendation,
             overallScore: analysis.overallScore.toFixed(2),
-            technicalWeight: (analysis.technical.strength * analysis.technical.confidence / 100 * 0.4).toFixed(2),
-            trendWeight: (analysis.trend.direction !== 'neutral' ? analysis.trend.strength * (analysis.trend.quality === 'high' ? 1 : 0.5) * 0.25 : 0).toFixed(2),
-            volatilityWeight: (analysis.volatility.recommendation === 'good' ? 0.15 : analysis.volatility.recommendation === 'caution' ? 0.1 : 0).toFixed(2),
-            volumeWeight: (analysis.volume.trend === 'increasing' && analysis.volume.strength > 1.2 ? 0.1 : analysis.volume.strength > 1.5 ? 0.05 : 0).toFixed(2),
-            structureWeight: (analysis.marketStructure.pattern !== 'sideways' ? analysis.marketStructure.strength * 0.1 : 0).toFixed(2),
+            regime: regime?.regime,
+            technicalWeight: (analysis.technical.strength * analysis.technical.confidence / 100 * weights.technical).toFixed(2),
+            trendWeight: (analysis.trend.direction !== 'neutral' ? analysis.trend.strength * (analysis.trend.quality === 'high' ? 1 : 0.5) * weights.trend : 0).toFixed(2),
+            volatilityWeight: (analysis.volatility.recommendation === 'good' ? weights.volatility : analysis.volatility.recommendation === 'caution' ? weights.volatility * 2 / 3 : 0).toFixed(2),
+            volumeWeight: (analysis.volume.trend === 'increasing' && analysis.volume.strength > 1.2 ? weights.volume : analysis.volume.strength > 1.5 ? weights.volume / 2 : 0).toFixed(2),
+            structureWeight: (analysis.marketStructure.pattern !== 'sideways' ? analysis.marketStructure.strength * weights.structure : 0).toFixed(2),
             longTermTrendAnalysis: {
                 direction: analysis.trend.longTermTrend?.direction,
                 confidence: analysis.trend.longTermTrend?.confidence?.toFixed(1),
@@ -955,17 +1510,76 @@ class TradingBot {
                 aligned: analysis.trend.trendAlignment?.aligned,
                 longTermConfidence: analysis.trend.trendAlignment?.longTermConfidence?.toFixed(1),
                 shortTermStrength: analysis.trend.trendAlignment?.shortTermStrength?.toFixed(3)
-            }
+            },
+            multiTimeframe: analysis.confluence ? {
+                direction: analysis.confluence.direction,
+                agreeing: analysis.confluence.agreeing,
+                confirmation: analysis.confluence.confirmation
+            } : null,
+            levels: analysis.technical.details?.levels ? {
+                support: analysis.technical.details.levels.nearestSupport?.price,
+                resistance: analysis.technical.details.levels.nearestResistance?.price,
+                distanceToSupport: analysis.technical.details.levels.distanceToSupport !== null ? (analysis.technical.details.levels.distanceToSupport * 100).toFixed(2) + '%' : null,
+                distanceToResistance: analysis.technical.details.levels.distanceToResistance !== null ? (analysis.technical.details.levels.distanceToResistance * 100).toFixed(2) + '%' : null,
+                signal: analysis.technical.details.levels.signal
+            } : null,
+            volumeProfile: analysis.volumeProfile?.[config.volumeProfile.primaryWindow] ? {
+                window: config.volumeProfile.primaryWindow,
+                poc: analysis.volumeProfile[config.volumeProfile.primaryWindow].poc,
+                vah: analysis.volumeProfile[config.volumeProfile.primaryWindow].vah,
+                val: analysis.volumeProfile[config.volumeProfile.primaryWindow].val,
+                position: analysis.volumeProfile[config.volumeProfile.primaryWindow].position
+            } : null,
+            marketContext: marketContext ? {
+                state: marketContext.state,
+                references: Object.fromEntries(Object.entries(marketContext.references).map(([reference, context]) => [reference, {
+                    state: context.state,
+                    trend: context.trend,
+                    momentum: (context.momentum * 100).toFixed(2) + '%',
+                    shock: context.shock.type !== 'none' ? `${context.shock.type} ${(context.shock.change * 100).toFixed(2)}%` : 'none'
+                }])),
+                verdict: analysis.marketContextVerdict
+            } : null
         });
         
         return analysis;
     }
 
+    // Режим рынка на таймфрейме config.marketRegime.timeframe с настройками поведения; смена режима логируется
+    updateMarketRegime(symbol) {
+        const result = this.technicalAnalysis.forInterval(config.intervals[config.marketRegime.timeframe]).analyzeMarketRegime(symbol);
+        if (!result) return null;
+
+        const previous = this.marketRegimes.get(symbol);
+        if (previous && previous.regime !== result.regime) {
+            logger.info(`🔀 Смена режима рынка ${symbol}: ${previous.regime} → ${result.regime}`);
+        }
+
+        const regime = { ...result, settings: config.marketRegime.regimes[result.regime] || {}, updatedAt: Date.now() };
+        this.marketRegimes.set(symbol, regime);
+        return regime;
+    }
+
+    // Настройки поведения для текущего режима рынка символа ({} - режим не определен или отключен)
+    getRegimeSettings(symbol) {
+        if (!config.marketRegime.enabled) return {};
+        return this.marketRegimes.get(symbol)?.settings || {};
+    }
+
+    // Веса общего скора: trading.scoreWeights с поправками режима рынка
+    getScoreWeights(regime) {
+        return { ...config.trading.scoreWeights, ...(regime?.settings.weights || {}) };
+    }
+
+    // Профили объема на таймфрейме config.volumeProfile.timeframe
+    getVolumeProfile(symbol) {
+        return this.technicalAnalysis.forInterval(config.intervals[config.volumeProfile.timeframe]).analyzeVolumeProfile(symbol);
+    }
+
     // Анализ тренда (обновленный с долгосрочным анализом)
     analyzeTrend(symbol) {
         // Используем новый долгосрочный анализ тренда с дневными данными
-        const dailySymbol = `${symbol}_DAILY`;
-        const longTermTrend = this.technicalAnalysis.analyzeLongTermTrend(dailySymbol);
+        const longTermTrend = this.technicalAnalysis.forInterval(config.intervals.daily).analyzeLongTermTrend(symbol);
         
         // Дополнительно получаем краткосрочный анализ для сравнения
         const history = this.technicalAnalysis.getPriceHistory(symbol);
@@ -1189,6 +1803,7 @@ class TradingBot {
         
         return {
             exists: true,
+            adopted: position.adopted === true,
             action,
             reason,
             pnl,
@@ -1201,44 +1816,45 @@ class TradingBot {
 
     // Расчет общего скора анализа
     calculateOverallScore(analysis) {
+        const weights = this.getScoreWeights(analysis.regime);
         let score = 0;
         let maxScore = 0;
         
-        // Технический анализ (40% веса)
+        // Технический анализ (по умолчанию 40% веса)
         if (analysis.technical.signal !== 'neutral') {
             const techScore = analysis.technical.strength * analysis.technical.confidence / 100;
-            score += techScore * 0.4;
+            score += techScore * weights.technical;
         }
-        maxScore += 0.4;
+        maxScore += weights.technical;
         
-        // Тренд (25% веса)
+        // Тренд (по умолчанию 25% веса)
         if (analysis.trend.direction !== 'neutral') {
             const trendScore = analysis.trend.strength * (analysis.trend.quality === 'high' ? 1 : 0.5);
-            score += trendScore * 0.25;
+            score += trendScore * weights.trend;
         }
-        maxScore += 0.25;
+        maxScore += weights.trend;
         
-        // Волатильность (15% веса)
+        // Волатильность (по умолчанию 15% веса, при осторожности - две трети)
         if (analysis.volatility.recommendation === 'good') {
-            score += 0.15;
+            score += weights.volatility;
         } else if (analysis.volatility.recommendation === 'caution') {
-            score += 0.1;
+            score += weights.volatility * 2 / 3;
         }
-        maxScore += 0.15;
+        maxScore += weights.volatility;
         
-        // Объемы (10% веса)
+        // Объемы (по умолчанию 10% веса)
         if (analysis.volume.trend === 'increasing' && analysis.volume.strength > 1.2) {
-            score += 0.1;
+            score += weights.volume;
         } else if (analysis.volume.strength > 1.5) {
-            score += 0.05;
+            score += weights.volume / 2;
         }
-        maxScore += 0.1;
+        maxScore += weights.volume;
         
-        // Рыночная структура (10% веса)
+        // Рыночная структура (по умолчанию 10% веса)
         if (analysis.marketStructure.pattern !== 'sideways') {
-            score += analysis.marketStructure.strength * 0.1;
+            score += analysis.marketStructure.strength * weights.structure;
         }
-        maxScore += 0.1;
+        maxScore += weights.structure;
         
         return maxScore > 0 ? (score / maxScore) * 100 : 0;
     }
@@ -1275,7 +1891,7 @@ class TradingBot {
                 
                 // Дополнительная проверка технических индикаторов
                 if (technical.signal === 'buy' || technical.signal === 'neutral') {
-                    return 'buy'; // Входим в LONG позицию
+                    return this.confirmEntry(analysis, 'buy'); // Входим в LONG позицию
                 }
             }
             
@@ -1285,7 +1901,7 @@ class TradingBot {
                 
                 // Дополнительная проверка технических индикаторов
                 if (technical.signal === 'sell' || technical.signal === 'neutral') {
-                    return 'sell'; // Входим в SHORT позицию
+                    return this.confirmEntry(analysis, 'sell'); // Входим в SHORT позицию
                 }
             }
         }
@@ -1304,14 +1920,57 @@ class TradingBot {
         }
         
         if (technical.signal === 'buy' && score >= 45) {
-            return 'buy';
+            return this.confirmEntry(analysis, 'buy');
         } else if (technical.signal === 'sell' && score >= 45) {
-            return 'sell';
+            return this.confirmEntry(analysis, 'sell');
         }
         
         return 'hold';
     }
 
+    // Подтверждение входа: старшие таймфреймы, затем рыночный контекст ведущих символов
+    confirmEntry(analysis, recommendation) {
+        const confirmed = this.applyTimeframeConfirmation(analysis, recommendation);
+        if (confirmed === 'hold' || !analysis.marketContext) {
+            return confirmed;
+        }
+
+        const verdict = this.marketContext.evaluate(analysis.symbol, confirmed);
+        analysis.marketContextVerdict = verdict;
+        if (verdict.veto) {
+            logger.warn(`🚫 ${analysis.symbol}: ${confirmed} запрещен рыночным контекстом (${verdict.reason})`);
+            return 'hold';
+        }
+        if (verdict.factor < 1) {
+            const score = analysis.overallScore;
+            analysis.overallScore = score * verdict.factor;
+            if (analysis.overallScore < config.marketContext.minScore) {
+                logger.warn(`🌍 ${analysis.symbol}: ${confirmed} отклонен - скор ${score.toFixed(2)} → ${analysis.overallScore.toFixed(2)} (${verdict.reason})`);
+                return 'hold';
+            }
+            logger.info(`🌍 ${analysis.symbol}: скор ${confirmed} понижен ${score.toFixed(2)} → ${analysis.overallScore.toFixed(2)} (${verdict.reason})`);
+        }
+        return confirmed;
+    }
+
+    // Требование подтверждения старшими таймфреймами для входа
+    applyTimeframeConfirmation(analysis, recommendation) {
+        const confluence = analysis.confluence;
+        if (!confluence || !config.multiTimeframe.requireHigherTimeframe) {
+            return recommendation;
+        }
+
+        if (confluence.confirmation[recommendation]) {
+            return recommendation;
+        }
+
+        logger.info(`🧭 ${analysis.symbol}: ${recommendation} не подтвержден старшими таймфреймами`, {
+            agreeing: confluence.agreeing,
+            opposing: confluence.opposing
+        });
+        return 'hold';
+    }
+
     // Генерация тестовых рекомендаций
     generateTestRecommendation(analysis) {
         const currentTime = Date.now();
@@ -1352,7 +2011,8 @@ class TradingBot {
             overallScore: analysis.overallScore.toFixed(2),
             technicalSignal: analysis.technical.signal,
             technicalStrength: analysis.technical.strength?.toFixed(3),
-            technicalConfidence: analysis.technical.confidence?.toFixed(1)
+            technicalConfidence: analysis.technical.confidence?.toFixed(1),
+            patterns: analysis.technical.details?.patterns?.reasons
         });
         
         // Дополнительная фильтрация (пропускаем в тестовом режиме)
@@ -1361,8 +2021,12 @@ class TradingBot {
                 logger.info(`🧪 ТЕСТОВЫЙ РЕЖИМ: Пропускаем фильтрацию для ${symbol}`);
                 decision.action = analysis.recommendation;
                 decision.reason = 'Тестовый режим - фильтры отключены';
+            } else if (analysis.regime?.settings.noTrade) {
+                decision.action = 'hold';
+                decision.reason = `Режим рынка ${analysis.regime.regime}: новые позиции запрещены`;
+                logger.warn(`⛔ Сигнал ${analysis.recommendation} для ${symbol} пропущен: режим рынка ${analysis.regime.regime} (${analysis.regime.reason})`);
             } else {
-                const filteredSignal = this.applyAdvancedFilters(symbol, analysis.technical);
+                const filteredSignal = this.applyAdvancedFilters(symbol, analysis.technical, analysis.recommendation);
                 logger.info(`🔍 Фильтрация сигнала для ${symbol}:`, {
                     passed: filteredSignal.passed,
                     reason: filteredSignal.reason,
@@ -1420,11 +2084,12 @@ class TradingBot {
         });
         
         const currentPrice = this.technicalAnalysis.getCurrentPrice(symbol);
-        const canTrade = this.riskManager.canTrade(symbol, decision.details.technical.strength, this.balance, decision.details.technical.confidence, currentPrice);
+        const canTrade = this.riskManager.canTrade(symbol, decision.details.technical.strength, this.balance, decision.details.technical.confidence, currentPrice, 'Buy');
         
         logger.info(`🔍 Проверка возможности торговли для ${symbol}:`, {
             canTrade: canTrade.canTrade,
             checks: canTrade.checks,
+            correlatedPositions: canTrade.correlation?.cluster.map(position => position.symbol),
             positionSize: canTrade.positionSize ? {
                 quantity: canTrade.positionSize.quantity?.toFixed(4),
                 sizeUSD: canTrade.positionSize.sizeUSD?.toFixed(2)
@@ -1438,7 +2103,8 @@ class TradingBot {
                     sizeUSD: canTrade.positionSize.sizeUSD?.toFixed(2)
                 } : null,
                 signalStrength: decision.details.technical.strength?.toFixed(3),
-                signalConfidence: decision.details.technical.confidence?.toFixed(1)
+                signalConfidence: decision.details.technical.confidence?.toFixed(1),
+                patterns: decision.details.technical.details?.patterns?.reasons
             });
             await this.executeTrade(symbol, decision.details.technical);
         } else {
@@ -1455,11 +2121,12 @@ class TradingBot {
         });
         
         const currentPrice = this.technicalAnalysis.getCurrentPrice(symbol);
-        const canTrade = this.riskManager.canTrade(symbol, decision.details.technical.strength, this.balance, decision.details.technical.confidence, currentPrice);
+        const canTrade = this.riskManager.canTrade(symbol, decision.details.technical.strength, this.balance, decision.details.technical.confidence, currentPrice, 'Sell');
         
         logger.info(`🔍 Проверка возможности торговли для ${symbol}:`, {
             canTrade: canTrade.canTrade,
             checks: canTrade.checks,
+            correlatedPositions: canTrade.correlation?.cluster.map(position => position.symbol),
             positionSize: canTrade.positionSize ? {
                 quantity: canTrade.positionSize.quantity?.toFixed(4),
                 sizeUSD: canTrade.positionSize.sizeUSD?.toFixed(2)
@@ -1473,7 +2140,8 @@ class TradingBot {
                     sizeUSD: canTrade.positionSize.sizeUSD?.toFixed(2)
                 } : null,
                 signalStrength: decision.details.technical.strength?.toFixed(3),
-                signalConfidence: decision.details.technical.confidence?.toFixed(1)
+                signalConfidence: decision.details.technical.confidence?.toFixed(1),
+                patterns: decision.details.technical.details?.patterns?.reasons
             });
             await this.executeTrade(symbol, decision.details.technical);
         } else {
@@ -1510,8 +2178,8 @@ class TradingBot {
     }
 
     // Продвинутая фильтрация сигналов для высокой прибыльности
-    applyAdvancedFilters(symbol, signal) {
-        const filters = config.trading.filters;
+    applyAdvancedFilters(symbol, signal, action = signal.signal) {
+        const filters = { ...config.trading.filters, ...(this.getRegimeSettings(symbol).filters || {}) };
         const details = signal.details;
         let passed = true;
         let reasons = [];
@@ -1540,13 +2208,7 @@ class TradingBot {
 
         // 4. Проверка количества подтверждающих индикаторов
         if (filters.minConfirmingIndicators) {
-            let confirmingCount = 0;
-            
-            if (details.rsi && details.rsi.signal === signal.signal) confirmingCount++;
-            if (details.macd && details.macd.signal === signal.signal) confirmingCount++;
-            if (details.trend && details.trend.trend === (signal.signal === 'buy' ? 'bullish' : 'bearish')) confirmingCount++;
-            if (details.bb && details.bb.signal === signal.signal) confirmingCount++;
-            if (details.volume && details.volume.obvTrend === (signal.signal === 'buy' ? 'bullish' : 'bearish')) confirmingCount++;
+            const confirmingCount = this.countConfirmingIndicators(signal);
 
             if (confirmingCount < filters.minConfirmingIndicators) {
                 passed = false;
@@ -1562,14 +2224,15 @@ class TradingBot {
             }
         }
 
-        // 6. Проверка дивергенции для сильных сигналов
+        // 6. Проверка дивергенции RSI/MACD в сторону сделки для сильных сигналов
         if (filters.preferDivergence && signal.strength > 0.8) {
-            const hasDivergence = (details.rsi && details.rsi.confidence > 30) || 
-                                 (details.macd && details.macd.confidence > 30);
+            const direction = action === 'buy' ? 'bullish' : 'bearish';
+            const hasDivergence = [details.rsi?.divergence, details.macd?.divergence]
+                .some(divergence => divergence && divergence.direction === direction);
             
             if (!hasDivergence) {
                 passed = false;
-                reasons.push('Отсутствует дивергенция для сильного сигнала');
+                reasons.push(`Отсутствует ${direction === 'bullish' ? 'бычья' : 'медвежья'} дивергенция RSI/MACD для сильного сигнала`);
             }
         }
 
@@ -1585,6 +2248,35 @@ class TradingBot {
             reasons.push('Слишком узкие полосы Боллинджера');
         }
 
+        // 9. Проверка запаса хода до встречного уровня
+        if (filters.respectLevels && details.levels) {
+            const room = action === 'buy' ? details.levels.distanceToResistance : action === 'sell' ? details.levels.distanceToSupport : null;
+            if (room !== null && room < config.supportResistance.minRoom) {
+                passed = false;
+                reasons.push(action === 'buy'
+                    ? `Покупка вплотную под сопротивлением ${details.levels.nearestResistance.price.toFixed(4)} (${(room * 100).toFixed(2)}%)`
+                    : `Продажа вплотную над поддержкой ${details.levels.nearestSupport.price.toFixed(4)} (${(room * 100).toFixed(2)}%)`);
+            }
+        }
+
+        // 10. Подтверждение профилем объема
+        if (filters.requireVolumeProfileConfirmation && config.volumeProfile.enabled) {
+            const profile = this.getVolumeProfile(symbol)[config.volumeProfile.primaryWindow];
+            const price = details.current_price;
+            const proximity = config.volumeProfile.proximity;
+            if (profile && price) {
+                const confirmed = action === 'buy'
+                    ? price > profile.poc || Math.abs(price - profile.val) / price <= proximity
+                    : action === 'sell'
+                        ? price < profile.poc || Math.abs(price - profile.vah) / price <= proximity
+                        : true;
+                if (!confirmed) {
+                    passed = false;
+                    reasons.push(`Нет подтверждения профилем объема: цена ${price.toFixed(4)}, POC ${profile.poc.toFixed(4)} (${profile.position})`);
+                }
+            }
+        }
+
         return {
             passed,
             reason: reasons.join(', ') || 'Все фильтры пройдены',
@@ -1594,7 +2286,11 @@ class TradingBot {
                 volumeConfirmation: details.volume?.volumeConfirmation || false,
                 volatilityRank: details.volatility?.volatilityRank || 'unknown',
                 rsiValue: details.rsi_value,
-                trendStrength: details.trend?.strength || 0
+                trendStrength: details.trend?.strength || 0,
+                distanceToSupport: details.levels?.distanceToSupport ?? null,
+                distanceToResistance: details.levels?.distanceToResistance ?? null,
+                rsiDivergence: details.rsi?.divergence ? `${details.rsi.divergence.type} ${details.rsi.divergence.direction}` : null,
+                macdDivergence: details.macd?.divergence ? `${details.macd.divergence.type} ${details.macd.divergence.direction}` : null
             }
         };
     }
@@ -1610,6 +2306,12 @@ class TradingBot {
         if (details.bb && details.bb.signal === signal.signal) count++;
         if (details.volume && details.volume.obvTrend === (signal.signal === 'buy' ? 'bullish' : 'bearish')) count++;
         
+        // Плагины индикаторов голосуют направлением 'bullish'/'bearish'
+        const direction = signal.signal === 'buy' ? 'bullish' : signal.signal === 'sell' ? 'bearish' : null;
+        for (const vote of Object.values(details.indicators || {})) {
+            if (direction && vote.signal === direction) count++;
+        }
+        
         return count;
     }
 
@@ -1644,7 +2346,7 @@ class TradingBot {
    
      // Получение статуса бота
     async getBotStatus() {
-        const wsStatus = this.ws.getConnectionStatus();
+        const wsStatus = this.exchange.getStreamStatus();
         const uptime = Date.now() - this.performanceStats.startTime;
         const timeToNextReconnect = this.wsReconnectIntervalMs - (Date.now() - this.lastWsReconnectTime);
         const logStats = await this.logManager.getLogStats();
@@ -1655,6 +2357,22 @@ class TradingBot {
             balance: this.balance,
             openPositions: this.riskManager.getActivePositions().length,
             wsConnection: wsStatus,
+            accountStream: this.accountStreamActive,
+            eventDriven: {
+                enabled: config.eventDriven.enabled,
+                watchdog: this.watchdogInterval !== null,
+                queued: [...this.analysisQueue.keys()],
+                lastBarClose: Object.fromEntries(this.lastBarClose)
+            },
+            reconciliation: this.reconciler.getStatus(),
+            persistence: this.stateStore ? this.stateStore.getStatus() : null,
+            instruments: this.instruments.getStatus(),
+            indicatorPlugins: this.technicalAnalysis.indicatorRegistry.getStatus(),
+            marketContext: config.marketContext.enabled ? this.marketContext.getStatus() : null,
+            correlation: config.correlation.enabled ? this.correlationMatrix.getStatus() : null,
+            marketRegimes: Object.fromEntries([...this.marketRegimes].map(([symbol, regime]) => [symbol, regime.regime])),
+            exchange: this.exchange.getStatus(),
+            timeSync: this.exchange.getClockStatus(),
             autoWebSocketReconnect: {
                 enabled: this.wsReconnectInterval !== null,
                 timeToNextReconnect: Math.floor(timeToNextReconnect / 1000 / 60), // в минутах
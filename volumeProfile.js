@@ -0,0 +1,173 @@
+const CandleStore = require('./candleStore');
+
+// Профиль объема (volume at price) по окну свечей.
+// Объем каждой свечи распределяется по ценовым строкам пропорционально пересечению строки с диапазоном low..high.
+// По профилю определяются:
+//   POC       - цена строки с максимальным объемом (point of control)
+//   VAH / VAL - границы зоны стоимости: от POC в сторону большего объема, пока не набрано valueAreaPercent объема
+//   LVN       - зоны низкого объема (строки слабее lowVolumeThreshold от POC) между "объемными" строками,
+//               хвосты профиля за крайними объемными строками в LVN не входят
+//
+// Окна (TechnicalAnalysis.analyzeVolumeProfile):
+//   session - с начала текущей сессии (sessionStartHour UTC)
+//   rolling - последние rollingBars свечей
+//   daily   - предыдущая полная сессия
+const DEFAULT_OPTIONS = {
+    rows: 50,
+    valueAreaPercent: 0.7,
+    lowVolumeThreshold: 0.3,
+    rollingBars: 96,
+    sessionStartHour: 0
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+class VolumeProfile {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // Свечи окна: session | rolling | daily
+    selectWindow(candles, window) {
+        if (candles.length === 0) return [];
+        if (window === 'rolling') {
+            return candles.slice(-this.options.rollingBars);
+        }
+
+        const sessionStart = this.getSessionStart(candles[candles.length - 1].timestamp);
+        if (window === 'session') {
+            return candles.filter(candle => candle.timestamp >= sessionStart);
+        }
+        if (window === 'daily') {
+            return candles.filter(candle => candle.timestamp >= sessionStart - DAY && candle.timestamp < sessionStart);
+        }
+
+        throw new Error(`Неизвестное окно профиля объема: ${window}`);
+    }
+
+    // Начало сессии, в которую попадает время
+    getSessionStart(time) {
+        const start = CandleStore.alignStart('D', time) + this.options.sessionStartHour * HOUR;
+        return start > time ? start - DAY : start;
+    }
+
+    // Построение профиля -> null, если в окне нет объема
+    build(candles) {
+        if (candles.length === 0) return null;
+
+        const low = Math.min(...candles.map(candle => candle.low));
+        const high = Math.max(...candles.map(candle => candle.high));
+        const rows = high > low ? this.options.rows : 1;
+        const rowSize = high > low ? (high - low) / rows : 0;
+        const volumes = new Array(rows).fill(0);
+
+        for (const candle of candles) {
+            this.distribute(volumes, candle, low, rowSize);
+        }
+
+        const totalVolume = volumes.reduce((sum, volume) => sum + volume, 0);
+        if (totalVolume === 0) return null;
+
+        const pocIndex = volumes.indexOf(Math.max(...volumes));
+        const valueArea = this.findValueArea(volumes, pocIndex, totalVolume);
+        const rowPrice = (index) => rowSize > 0 ? low + (index + 0.5) * rowSize : low;
+
+        return {
+            from: candles[0].timestamp,
+            to: candles[candles.length - 1].timestamp,
+            candles: candles.length,
+            low,
+            high,
+            rowSize,
+            totalVolume,
+            poc: rowPrice(pocIndex),
+            vah: rowSize > 0 ? low + (valueArea.high + 1) * rowSize : high,
+            val: rowSize > 0 ? low + valueArea.low * rowSize : low,
+            lowVolumeNodes: this.findLowVolumeNodes(volumes, volumes[pocIndex])
+                .map(node => ({
+                    low: low + node.start * rowSize,
+                    high: low + (node.end + 1) * rowSize,
+                    price: (rowPrice(node.start) + rowPrice(node.end)) / 2,
+                    volume: node.volume
+                }))
+        };
+    }
+
+    // Распределение объема свечи по строкам
+    distribute(volumes, candle, low, rowSize) {
+        if (rowSize === 0 || candle.high === candle.low) {
+            const index = rowSize === 0 ? 0 : Math.min(Math.floor((candle.close - low) / rowSize), volumes.length - 1);
+            volumes[index] += candle.volume;
+            return;
+        }
+
+        const first = Math.max(Math.floor((candle.low - low) / rowSize), 0);
+        const last = Math.min(Math.floor((candle.high - low) / rowSize), volumes.length - 1);
+        const range = candle.high - candle.low;
+
+        for (let index = first; index <= last; index++) {
+            const rowLow = low + index * rowSize;
+            const overlap = Math.min(candle.high, rowLow + rowSize) - Math.max(candle.low, rowLow);
+            if (overlap > 0) {
+                volumes[index] += candle.volume * overlap / range;
+            }
+        }
+    }
+
+    // Зона стоимости: расширение от POC в сторону строки с большим объемом
+    findValueArea(volumes, pocIndex, totalVolume) {
+        const target = totalVolume * this.options.valueAreaPercent;
+        let lowIndex = pocIndex;
+        let highIndex = pocIndex;
+        let volume = volumes[pocIndex];
+
+        while (volume < target && (lowIndex > 0 || highIndex < volumes.length - 1)) {
+            const below = lowIndex > 0 ? volumes[lowIndex - 1] : -1;
+            const above = highIndex < volumes.length - 1 ? volumes[highIndex + 1] : -1;
+            if (above >= below) {
+                highIndex++;
+                volume += above;
+            } else {
+                lowIndex--;
+                volume += below;
+            }
+        }
+
+        return { low: lowIndex, high: highIndex };
+    }
+
+    // Зоны низкого объема между крайними объемными строками
+    findLowVolumeNodes(volumes, pocVolume) {
+        const threshold = pocVolume * this.options.lowVolumeThreshold;
+        const significant = volumes.map((volume, index) => volume >= threshold ? index : -1).filter(index => index >= 0);
+        if (significant.length < 2) return [];
+
+        const nodes = [];
+        let node = null;
+        for (let index = significant[0] + 1; index < significant[significant.length - 1]; index++) {
+            if (volumes[index] < threshold) {
+                if (!node) {
+                    node = { start: index, end: index, volume: 0 };
+                    nodes.push(node);
+                }
+                node.end = index;
+                node.volume += volumes[index];
+            } else {
+                node = null;
+            }
+        }
+
+        return nodes;
+    }
+
+    // Положение цены относительно зоны стоимости
+    static getPosition(profile, price) {
+        if (!profile) return 'unknown';
+        if (price > profile.vah) return 'above_value';
+        if (price < profile.val) return 'below_value';
+        return price >= profile.poc ? 'upper_value' : 'lower_value';
+    }
+}
+
+module.exports = VolumeProfile;